@@ -6,6 +6,8 @@
  */
 
 // --- 1. State Management ---
+const DEFAULT_PALETTE = ['#000000', '#ffffff', '#ff0000', '#00ff00', '#0000ff', '#ffff00', '#ff00ff', '#00ffff', '#ffa500', '#800080', '#38bdf8', '#fbbf24', '#f87171', '#4ade80', '#a78bfa'];
+
 class State {
     constructor() {
         this.width = 16;
@@ -13,15 +15,100 @@ class State {
         this.zoom = 30;
         this.panX = 0;
         this.panY = 0;
+        // Foreground and background colors; right-click paints with the background one. colorSlot ('primary' or
+        // 'secondary') is the one the color panel edits
         this.currentColor = '#38bdf8';
+        this.secondaryColor = '#000000';
+        this.colorSlot = 'primary';
+        // Colors most recently painted with, newest first
+        this.recentColors = [];
+        // The eyedropper reads the active layer ('layer') or everything visible ('composite')
+        this.eyedropperSample = 'layer';
         this.currentTool = 'pencil';
         this.brushSize = 1;
+        // 'square', 'round', 'diamond' or 'custom' (brushCustom: { name, width, height, bits } taken from the canvas,
+        // see Brush). Freehand strokes stamp every brushSpacing-th pixel, each moved up to brushJitter pixels; a
+        // pixel-perfect 1px pencil leaves out the corner pixel of every L-shaped step.
+        this.brushShape = 'square';
+        this.brushCustom = null;
+        this.brushSpacing = 1;
+        this.brushJitter = 0;
+        this.pixelPerfect = false;
+        // Swatch colors; the array is replaced, never edited in place, so undo can keep old ones
+        this.palette = DEFAULT_PALETTE;
+        this.paletteName = 'Default';
+        // 'indexed' keeps every pixel on a palette color (see ColorModeManager)
+        this.colorMode = 'rgba';
+        this.layers = [];
+        this.activeLayerIndex = 0;
+        this.frames = [];
+        this.activeFrameIndex = 0;
+        this.isPlaying = false;
+        this.playbackMode = 'loop';
+        this.onionSkin = false;
+        this.documentName = 'Untitled';
+        this.documentId = null;
+        this.projectIncludesHistory = false;
         this.settingsVisible = false;
         this.isDrawing = false;
         this.isPanning = false;
+        this.shapeFilled = false;
+        // Pencil and fill can paint through a dither pattern (see DitherPattern); its off pixels are left alone
+        // ('transparent') or painted with the secondary color ('secondary')
+        this.pattern = 'solid';
+        this.patternLevel = 0.5;
+        this.patternBackground = 'transparent';
+        this.patternCustom = null;
+        // Gradient tool: a 'linear' or 'radial' ramp from the current to the secondary color ('colors') or across
+        // palette entries gradientFrom..gradientTo ('palette'), dithered with a Bayer matrix or 'none'
+        this.gradientShape = 'linear';
+        this.gradientSource = 'colors';
+        this.gradientFrom = 0;
+        this.gradientTo = 3;
+        this.gradientDither = 'bayer4';
+        // Bucket fill: pixels within fillTolerance (0–255 on every channel) of the clicked color are filled, either
+        // the connected area (through corners too with fillDiagonal) or every match on the layer. fillBlend is
+        // 'normal' (composited like the pencil), 'behind' (only shows through transparent parts) or 'replace'
+        // (alpha included)
+        this.fillTolerance = 0;
+        this.fillContiguous = true;
+        this.fillDiagonal = false;
+        this.fillBlend = 'normal';
+        // Tracing reference drawn under or over the pixels but never part of them (so never exported):
+        // { src (data URL), x, y (offset in canvas pixels), scale (1 fits the canvas), opacity, above, grayscale, visible }.
+        // Replaced as a whole on every change.
+        this.reference = null;
+        // Preview panel: the sprite at previewScale× over previewBackground (null shows the checkerboard)
+        this.previewScale = 1;
+        this.previewBackground = null;
+        // Mirror drawing: mode is 'horizontal', 'vertical', 'four' or 'radial'; a null axis means the canvas centre
+        this.symmetryEnabled = false;
+        this.symmetryMode = 'horizontal';
+        this.symmetrySegments = 6;
+        this.symmetryX = null;
+        this.symmetryY = null;
+        // View aids: the pixel grid fades in as you zoom; the tile grid repeats every tileGridWidth × tileGridHeight
+        // pixels starting at its offset
+        this.pixelGrid = true;
+        this.tileGrid = false;
+        this.tileGridWidth = 16;
+        this.tileGridHeight = 16;
+        this.tileGridOffsetX = 0;
+        this.tileGridOffsetY = 0;
+        this.tileGridColor = '#f472b6';
+        // Tiled mode shows the canvas repeated 3 × 3 and wraps strokes across its edges
+        this.tiledMode = false;
+        // Selected pixels ({ width, height, mask, bounds }) and the lifted piece being moved, if any
+        this.selection = null;
+        this.floating = null;
+        // Rubber-band canvas for a shape being dragged out, drawn over the document until mouseup
+        this.preview = null;
+        // Undo log: entries before historyIndex are applied, the rest can be redone (see HistoryManager)
         this.history = [];
-        this.redoStack = [];
-        this.maxHistory = 50;
+        this.historyIndex = 0;
+        this.historyRevision = 0;
+        this.historyBudget = 64 * 1024 * 1024;
+        this.historyBaseLabel = 'New document';
         this.subscribers = new Set();
     }
 
@@ -39,25 +126,39 @@ class State {
         this.subscribers.forEach(callback => callback(this));
     }
 
-    saveHistory(dataURL) {
-        this.history.push(dataURL);
-        if (this.history.length > this.maxHistory) this.history.shift();
-        this.redoStack = [];
+    // Drops any redoable entries, then trims the oldest ones until the log fits the memory budget
+    saveHistory(entry) {
+        this.history.splice(this.historyIndex);
+        this.history.push(entry);
+        let total = this.history.reduce((sum, e) => sum + e.bytes, 0);
+        while (total > this.historyBudget && this.history.length > 1) {
+            total -= this.history.shift().bytes;
+            this.historyBaseLabel = 'Earlier edits';
+        }
+        this.historyIndex = this.history.length;
+        this.historyRevision++;
+        this.notify();
+    }
+
+    resetHistory(baseLabel, entries = [], index = entries.length) {
+        this.history = entries;
+        this.historyIndex = index;
+        this.historyBaseLabel = baseLabel;
+        this.historyRevision++;
         this.notify();
     }
 
     performUndo() {
-        if (this.history.length <= 1) return null;
-        const current = this.history.pop();
-        this.redoStack.push(current);
-        return this.history[this.history.length - 1];
+        if (this.historyIndex === 0) return null;
+        this.historyIndex--;
+        this.historyRevision++;
+        return this.history[this.historyIndex];
     }
 
     performRedo() {
-        if (this.redoStack.length === 0) return null;
-        const next = this.redoStack.pop();
-        this.history.push(next);
-        return next;
+        if (this.historyIndex >= this.history.length) return null;
+        this.historyRevision++;
+        return this.history[this.historyIndex++];
     }
 }
 
@@ -69,38 +170,65 @@ class CoordinateManager {
         this.state = state;
     }
 
+    // Tiled mode shows the document 3 × 3 on the canvas with the real one in the middle
+    get tiles() { return this.state.tiledMode ? 3 : 1; }
+
+    // Where the real document starts on the canvas, in document pixels
+    origin() {
+        const repeat = (this.tiles - 1) / 2;
+        return { x: repeat * this.state.width, y: repeat * this.state.height };
+    }
+
+    // Pixels left of or above the real document (in tiled mode) come out negative
     screenToPixel(e, canvasRect) {
-        const pixelWidth = canvasRect.width / this.state.width;
-        const pixelHeight = canvasRect.height / this.state.height;
+        const point = this.screenToPoint(e, canvasRect);
+        return { x: Math.floor(point.x), y: Math.floor(point.y) };
+    }
+
+    // The same position in fractional document pixels, for things that sit on pixel edges (the symmetry axes)
+    screenToPoint(e, canvasRect) {
+        const pixelWidth = canvasRect.width / (this.state.width * this.tiles);
+        const pixelHeight = canvasRect.height / (this.state.height * this.tiles);
+        const origin = this.origin();
         return {
-            x: Math.floor((e.clientX - canvasRect.left) / pixelWidth),
-            y: Math.floor((e.clientY - canvasRect.top) / pixelHeight)
+            x: (e.clientX - canvasRect.left) / pixelWidth - origin.x,
+            y: (e.clientY - canvasRect.top) / pixelHeight - origin.y
         };
     }
 
     calculateFit(viewportWidth, viewportHeight, padding = 100) {
         const availableW = Math.max(10, viewportWidth - padding);
         const availableH = Math.max(10, viewportHeight - padding);
-        const scaleW = availableW / this.state.width;
-        const scaleH = availableH / this.state.height;
+        const fullWidth = this.state.width * this.tiles, fullHeight = this.state.height * this.tiles;
+        const scaleW = availableW / fullWidth;
+        const scaleH = availableH / fullHeight;
         let zoom = Math.floor(Math.min(scaleW, scaleH));
         zoom = Math.max(1, Math.min(100, zoom));
         return {
             zoom,
-            panX: (viewportWidth - (this.state.width * zoom)) / 2,
-            panY: (viewportHeight - (this.state.height * zoom)) / 2
+            panX: (viewportWidth - (fullWidth * zoom)) / 2,
+            panY: (viewportHeight - (fullHeight * zoom)) / 2
         };
     }
 }
 
 // --- 3. Viewport Management ---
 class ViewportManager {
+    // The pixel grid starts to show at `from` px per pixel and is fully visible at `to`
+    static PIXEL_GRID_FADE = { from: 6, to: 16 };
+    // How close (in screen pixels) the pointer has to be to a symmetry axis to drag it
+    static SYMMETRY_GRAB = 5;
+
     constructor(state, elements) {
         this.state = state;
         this.canvas = elements.canvas;
         this.container = elements.container;
         this.viewport = elements.viewport;
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.overlay = elements.overlay;
+        this.overlayCtx = this.overlay ? this.overlay.getContext('2d') : null;
+        this.antsOffset = 0;
+        this.antsTimer = null;
         this.coords = new CoordinateManager(state);
         this.isInitialized = false;
         this.setupResizing();
@@ -141,8 +269,8 @@ class ViewportManager {
 
     syncDisplaySize() {
         const z = Math.max(1, Math.floor(this.state.zoom));
-        const targetW = this.state.width * z;
-        const targetH = this.state.height * z;
+        const targetW = this.state.width * z * this.coords.tiles;
+        const targetH = this.state.height * z * this.coords.tiles;
         if (this.canvas.width !== targetW || this.canvas.height !== targetH) {
             this.canvas.width = targetW;
             this.canvas.height = targetH;
@@ -150,6 +278,19 @@ class ViewportManager {
         }
     }
 
+    // Zooms keeping the document point under (clientX, clientY) in place; shared by the wheel and pinch gestures
+    zoomAt(zoom, clientX, clientY) {
+        const newZoom = Math.max(1, Math.min(100, zoom));
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = clientX - rect.left, mouseY = clientY - rect.top;
+        const ratio = newZoom / this.state.zoom;
+        this.state.update({
+            zoom: newZoom,
+            panX: this.state.panX - (mouseX * ratio - mouseX),
+            panY: this.state.panY - (mouseY * ratio - mouseY)
+        });
+    }
+
     applyTransform() {
         if (!this.container) return;
         this.container.style.transition = 'none';
@@ -159,13 +300,19 @@ class ViewportManager {
         });
     }
 
-    render(workCanvas) {
+    // `lassoPath` is an unfinished lasso outline to draw with the selection
+    render(layers, lassoPath = null) {
         this.syncDisplaySize();
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         const isLight = document.documentElement.getAttribute('data-theme') === 'light';
         const color1 = isLight ? '#ffffff' : '#1e293b';
         const color2 = isLight ? '#94a3b8' : '#475569';
         const z = Math.max(1, Math.floor(this.state.zoom));
+        const width = this.state.width * z, height = this.state.height * z;
+        // Everything is drawn for the real document, then copied around it in tiled mode
+        const origin = this.coords.origin();
+        this.ctx.save();
+        this.ctx.translate(origin.x * z, origin.y * z);
 
         for (let y = 0; y < this.state.height; y++) {
             for (let x = 0; x < this.state.width; x++) {
@@ -174,547 +321,7309 @@ class ViewportManager {
             }
         }
 
-        if (workCanvas) {
-            // Draw only the active logical area of the work canvas
-            this.ctx.drawImage(workCanvas, 0, 0, this.state.width, this.state.height, 0, 0, this.canvas.width, this.canvas.height);
+        const reference = this.state.reference;
+        if (reference && !reference.above) this.renderReference(reference, z);
+
+        if (layers) {
+            const { activeFrameIndex, frames } = this.state;
+            if (this.state.onionSkin && !this.state.isPlaying) {
+                // Neighbouring frames show faintly underneath the current one
+                if (!this.onionCanvas) this.onionCanvas = document.createElement('canvas');
+                [[activeFrameIndex - 1, 0.3], [activeFrameIndex + 1, 0.2]].forEach(([index, alpha]) => {
+                    if (index < 0 || index >= frames.length) return;
+                    this.ctx.globalAlpha = alpha;
+                    this.ctx.drawImage(layers.flatten(index, this.onionCanvas), 0, 0, this.state.width, this.state.height, 0, 0, width, height);
+                });
+                this.ctx.globalAlpha = 1;
+            }
+            // Composite the visible layers first so blend modes mix with each other, not with the checkerboard
+            const composite = layers.flatten();
+            this.ctx.drawImage(composite, 0, 0, this.state.width, this.state.height, 0, 0, width, height);
+            if (this.state.preview) {
+                this.ctx.drawImage(this.state.preview, 0, 0, this.state.width, this.state.height, 0, 0, width, height);
+            }
+            const floating = this.state.floating;
+            if (floating) {
+                this.ctx.drawImage(floating.canvas, floating.x * z, floating.y * z, floating.canvas.width * z, floating.canvas.height * z);
+            }
+        }
+        if (reference && reference.above) this.renderReference(reference, z);
+        this.ctx.restore();
+        if (this.state.tiledMode) this.renderTiles(origin.x * z, origin.y * z, width, height);
+        this.renderGrids(z);
+        if (layers && this.state.symmetryEnabled && !this.state.isPlaying) {
+            this.ctx.save();
+            this.ctx.translate(origin.x * z, origin.y * z);
+            this.renderSymmetryGuide(z);
+            this.ctx.restore();
         }
+        this.renderSelection(lassoPath);
         this.applyTransform();
     }
-}
 
-// --- 4. Tool Management ---
-class ToolManager {
-    constructor(state, viewport, workCtx) {
-        this.state = state; this.viewport = viewport; this.workCtx = workCtx;
-        this.lastX = -1; this.lastY = -1;
+    // Fitted and centred on the document at scale 1, then offset; clipped to the document and smoothed like a photo
+    renderReference(reference, z) {
+        const image = reference.visible && this.referenceImage(reference);
+        if (!image) return;
+        const { width, height } = this.state;
+        const scale = Math.min(width / image.width, height / image.height) * reference.scale;
+        const w = image.width * scale, h = image.height * scale;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(0, 0, width * z, height * z);
+        this.ctx.clip();
+        this.ctx.globalAlpha = reference.opacity;
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(image, ((width - w) / 2 + reference.x) * z, ((height - h) / 2 + reference.y) * z, w * z, h * z);
+        this.ctx.restore();
     }
 
-    execute(action, x, y) {
-        if (x < 0 || x >= this.state.width || y < 0 || y >= this.state.height) return;
-        const tool = this.state.currentTool;
-        const color = this.state.currentColor;
-        switch (action) {
-            case 'start':
-                this.state.update({ isDrawing: true });
-                if (tool === 'fill') this.floodFill(x, y, color);
-                else if (tool === 'eyedropper') this.pickColor(x, y);
-                else { this.drawPixel(x, y, color); this.lastX = x; this.lastY = y; }
-                break;
-            case 'move':
-                if (!this.state.isDrawing) return;
-                if (tool === 'pencil' || tool === 'eraser') {
-                    this.drawLine(this.lastX, this.lastY, x, y, color);
-                    this.lastX = x; this.lastY = y;
-                }
-                break;
-            case 'end':
-                if (this.state.isDrawing) {
-                    this.state.update({ isDrawing: false });
-                    return 'SHOULD_SAVE_HISTORY';
-                }
-                break;
+    // Decodes the reference once (and greys it once); nothing is drawn until the image has loaded
+    referenceImage(reference) {
+        let cache = this.referenceCache;
+        if (!cache || cache.src !== reference.src) {
+            cache = this.referenceCache = { src: reference.src, image: new Image(), loaded: false, gray: null };
+            cache.image.onload = () => {
+                cache.loaded = true;
+                this.state.notify();
+            };
+            cache.image.src = reference.src;
+        }
+        if (!cache.loaded) return null;
+        if (!reference.grayscale) return cache.image;
+        if (!cache.gray) {
+            const canvas = document.createElement('canvas');
+            canvas.width = cache.image.width;
+            canvas.height = cache.image.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(cache.image, 0, 0);
+            ctx.putImageData(ColorAdjust.apply(ctx.getImageData(0, 0, canvas.width, canvas.height), ColorAdjust.filter('desaturate')), 0, 0);
+            cache.gray = canvas;
         }
+        return cache.gray;
     }
 
-    drawPixel(x, y, color) {
-        const b = this.state.brushSize || 1;
-        const half = Math.floor(b / 2);
-        const px = x - half;
-        const py = y - half;
-        const cx = Math.max(0, px);
-        const cy = Math.max(0, py);
-        const cw = Math.min(b, this.state.width - cx);
-        const ch = Math.min(b, this.state.height - cy);
-        if (this.state.currentTool === 'eraser') {
-            this.workCtx.clearRect(cx, cy, cw, ch);
-        } else {
-            this.workCtx.fillStyle = color;
-            this.workCtx.fillRect(cx, cy, cw, ch);
+    // Copies the real document into the eight surrounding cells and outlines it
+    renderTiles(x, y, width, height) {
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                if (row === 1 && col === 1) continue;
+                this.ctx.drawImage(this.canvas, x, y, width, height, col * width, row * height, width, height);
+            }
         }
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(56, 189, 248, 0.6)';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+        this.ctx.restore();
     }
 
-    drawLine(x0, y0, x1, y1, color) {
-        const dx = Math.abs(x1 - x0), dy = Math.abs(y1 - y0);
-        const sx = (x0 < x1) ? 1 : -1, sy = (y0 < y1) ? 1 : -1;
-        let err = dx - dy;
-        while (true) {
-            this.drawPixel(x0, y0, color);
-            if (x0 === x1 && y0 === y1) break;
-            const e2 = 2 * err;
-            if (e2 > -dy) { err -= dy; x0 += sx; }
-            if (e2 < dx) { err += dx; y0 += sy; }
+    // Pixel and tile grids cover the whole canvas; tile lines are measured from the real document's corner
+    renderGrids(z) {
+        const ctx = this.ctx;
+        const columns = this.state.width * this.coords.tiles, rows = this.state.height * this.coords.tiles;
+        const lines = (stepX, stepY, startX, startY) => {
+            if (!(stepX > 0 && stepY > 0)) return;
+            ctx.beginPath();
+            // Half-pixel offsets keep 1px lines crisp; the last line is pulled inside the canvas
+            for (let x = startX; x <= columns; x += stepX) {
+                const px = Math.min(x * z, this.canvas.width - 1) + 0.5;
+                ctx.moveTo(px, 0);
+                ctx.lineTo(px, this.canvas.height);
+            }
+            for (let y = startY; y <= rows; y += stepY) {
+                const py = Math.min(y * z, this.canvas.height - 1) + 0.5;
+                ctx.moveTo(0, py);
+                ctx.lineTo(this.canvas.width, py);
+            }
+            ctx.stroke();
+        };
+        ctx.save();
+        ctx.lineWidth = 1;
+        const { from, to } = ViewportManager.PIXEL_GRID_FADE;
+        const fade = Math.max(0, Math.min(1, (z - from) / (to - from)));
+        if (this.state.pixelGrid && fade > 0) {
+            ctx.strokeStyle = `rgba(128, 128, 128, ${(0.4 * fade).toFixed(3)})`;
+            lines(1, 1, 0, 0);
         }
+        if (this.state.tileGrid) {
+            // Whole pixels of at least 1, so a bad value can't stall the loops above
+            const size = (v) => Math.max(1, Math.floor(Number(v)) || 1);
+            const width = size(this.state.tileGridWidth), height = size(this.state.tileGridHeight);
+            const offsetX = Math.floor(Number(this.state.tileGridOffsetX)) || 0, offsetY = Math.floor(Number(this.state.tileGridOffsetY)) || 0;
+            const origin = this.coords.origin();
+            const wrap = (v, n) => ((v % n) + n) % n;
+            ctx.strokeStyle = this.state.tileGridColor;
+            lines(width, height, wrap(origin.x + offsetX, width), wrap(origin.y + offsetY, height));
+        }
+        ctx.restore();
     }
 
-    floodFill(startX, startY, fillColor) {
-        const imgData = this.workCtx.getImageData(0, 0, this.state.width, this.state.height);
-        const data = imgData.data;
-        const targetColor = this.getPixelColor(startX, startY, data);
-        const fillRGBA = this.hexToRgb(fillColor);
-        if (this.colorsMatch(targetColor, fillRGBA)) return;
-        const queue = [[startX, startY]];
-        while (queue.length > 0) {
-            const [x, y] = queue.shift();
-            const currentColor = this.getPixelColor(x, y, data);
-            if (this.colorsMatch(currentColor, targetColor)) {
-                this.setPixelData(x, y, data, fillRGBA);
-                if (x > 0) queue.push([x - 1, y]);
-                if (x < this.state.width - 1) queue.push([x + 1, y]);
-                if (y > 0) queue.push([x, y - 1]);
-                if (y < this.state.height - 1) queue.push([x, y + 1]);
+    // Which symmetry axes are under the pointer: { x, y } saying whether the vertical line (x) and the horizontal
+    // one (y) are grabbed, or null for neither. Radial symmetry is grabbed by its centre.
+    symmetryGrab(e, canvasRect) {
+        const { symmetryEnabled, symmetryMode, isPlaying, width, height } = this.state;
+        if (!symmetryEnabled || isPlaying) return null;
+        const point = this.coords.screenToPoint(e, canvasRect);
+        if (point.x < 0 || point.y < 0 || point.x > width || point.y > height) return null;
+        const axis = ToolManager.symmetryAxis(this.state);
+        const reach = ViewportManager.SYMMETRY_GRAB * width * this.coords.tiles / canvasRect.width;
+        const nearX = Math.abs(point.x - axis.x) <= reach, nearY = Math.abs(point.y - axis.y) <= reach;
+        if (symmetryMode === 'radial') return nearX && nearY ? { x: true, y: true } : null;
+        const x = nearX && (symmetryMode === 'horizontal' || symmetryMode === 'four');
+        const y = nearY && (symmetryMode === 'vertical' || symmetryMode === 'four');
+        return x || y ? { x, y } : null;
+    }
+
+    renderSymmetryGuide(z) {
+        const { symmetryMode, symmetrySegments } = this.state;
+        const axis = ToolManager.symmetryAxis(this.state);
+        const cx = Math.round(axis.x * z) + 0.5, cy = Math.round(axis.y * z) + 0.5;
+        const width = this.state.width * z, height = this.state.height * z;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(56, 189, 248, 0.85)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        if (symmetryMode === 'horizontal' || symmetryMode === 'four') {
+            ctx.moveTo(cx, 0);
+            ctx.lineTo(cx, height);
+        }
+        if (symmetryMode === 'vertical' || symmetryMode === 'four') {
+            ctx.moveTo(0, cy);
+            ctx.lineTo(width, cy);
+        }
+        if (symmetryMode === 'radial') {
+            // One spoke per segment, starting straight up
+            const n = Math.max(2, symmetrySegments);
+            const reach = Math.hypot(width, height);
+            for (let k = 0; k < n; k++) {
+                const angle = 2 * Math.PI * k / n - Math.PI / 2;
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(cx + Math.cos(angle) * reach, cy + Math.sin(angle) * reach);
             }
         }
-        this.workCtx.putImageData(imgData, 0, 0);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.restore();
     }
 
-    pickColor(x, y) {
-        const data = this.workCtx.getImageData(x, y, 1, 1).data;
-        if (data[3] > 0) {
-            const hex = "#" + ((1 << 24) + (data[0] << 16) + (data[1] << 8) + data[2]).toString(16).slice(1);
-            this.state.update({ currentColor: hex });
+    // Marching ants run on their own overlay canvas so animating them never repaints the artwork
+    renderSelection(path = this.lassoPath) {
+        if (!this.overlayCtx) return;
+        this.lassoPath = path;
+        const { selection } = this.state;
+        if (this.overlay.width !== this.canvas.width || this.overlay.height !== this.canvas.height) {
+            this.overlay.width = this.canvas.width;
+            this.overlay.height = this.canvas.height;
+        }
+        const z = Math.max(1, Math.floor(this.state.zoom));
+        if (selection !== this.edgeSelection || z !== this.edgeZoom) {
+            this.edgeSelection = selection;
+            this.edgeZoom = z;
+            this.edges = selection ? this.traceEdges(selection) : [];
+        }
+        const ctx = this.overlayCtx;
+        ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+        const animate = this.edges.length > 0 || !!path;
+        if (animate && !this.antsTimer) {
+            this.antsTimer = setInterval(() => { this.antsOffset = (this.antsOffset + 1) % 8; this.renderSelection(); }, 120);
+        } else if (!animate && this.antsTimer) {
+            clearInterval(this.antsTimer);
+            this.antsTimer = null;
         }
+        if (!animate) return;
+        // Outlines belong to the real document, the middle cell in tiled mode
+        const origin = this.coords.origin();
+        const ox = origin.x * z, oy = origin.y * z;
+        ctx.beginPath();
+        this.edges.forEach(([x0, y0, x1, y1]) => {
+            ctx.moveTo(ox + x0 * z + 0.5, oy + y0 * z + 0.5);
+            ctx.lineTo(ox + x1 * z + 0.5, oy + y1 * z + 0.5);
+        });
+        if (path) {
+            path.forEach(([x, y], i) => {
+                if (i === 0) ctx.moveTo(ox + (x + 0.5) * z, oy + (y + 0.5) * z);
+                else ctx.lineTo(ox + (x + 0.5) * z, oy + (y + 0.5) * z);
+            });
+        }
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+        ctx.setLineDash([4, 4]);
+        ctx.lineDashOffset = -this.antsOffset;
+        ctx.strokeStyle = '#000000';
+        ctx.stroke();
+        ctx.setLineDash([]);
     }
 
-    getPixelColor(x, y, data) {
-        const i = (y * this.state.width + x) * 4;
-        return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+    // Outline of a selection mask as [x0, y0, x1, y1] segments in pixel units, merged into runs
+    traceEdges({ mask, width, height }) {
+        const edges = [];
+        const at = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+        for (let y = 0; y <= height; y++) {
+            let start = -1;
+            for (let x = 0; x <= width; x++) {
+                const edge = x < width && at(x, y) !== at(x, y - 1);
+                if (edge && start < 0) start = x;
+                if (!edge && start >= 0) { edges.push([start, y, x, y]); start = -1; }
+            }
+        }
+        for (let x = 0; x <= width; x++) {
+            let start = -1;
+            for (let y = 0; y <= height; y++) {
+                const edge = y < height && at(x, y) !== at(x - 1, y);
+                if (edge && start < 0) start = y;
+                if (!edge && start >= 0) { edges.push([x, start, x, y]); start = -1; }
+            }
+        }
+        return edges;
     }
+}
 
-    setPixelData(x, y, data, rgba) {
-        const i = (y * this.state.width + x) * 4;
-        data[i] = rgba[0]; data[i + 1] = rgba[1]; data[i + 2] = rgba[2]; data[i + 3] = rgba[3];
+// --- 4. Layer Management ---
+class LayerManager {
+    static BLEND_MODES = [
+        ['source-over', 'Normal'], ['multiply', 'Multiply'], ['screen', 'Screen'], ['overlay', 'Overlay'],
+        ['darken', 'Darken'], ['lighten', 'Lighten'], ['color-dodge', 'Color Dodge'], ['color-burn', 'Color Burn'],
+        ['hard-light', 'Hard Light'], ['soft-light', 'Soft Light'], ['difference', 'Difference'], ['exclusion', 'Exclusion'],
+        ['hue', 'Hue'], ['saturation', 'Saturation'], ['color', 'Color'], ['luminosity', 'Luminosity']
+    ];
+
+    constructor(state) {
+        this.state = state;
+        this.nextId = 1;
+        this.nextCelId = 1;
+        // Reused for every viewport render so compositing doesn't allocate per frame
+        this.compositeCanvas = document.createElement('canvas');
+        this.compositeCtx = this.compositeCanvas.getContext('2d', { willReadFrequently: true });
     }
 
-    colorsMatch(c1, c2) { return c1[0] === c2[0] && c1[1] === c2[1] && c1[2] === c2[2] && c1[3] === c2[3]; }
+    // Layers are stored bottom-to-top: index 0 is drawn first
+    get list() { return this.state.layers; }
+    get active() { return this.list[this.state.activeLayerIndex] || null; }
+    get activeCtx() { return this.active ? this.cel(this.active).ctx : null; }
 
-    hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16), 255] : [0, 0, 0, 255];
+    // A cel is one layer's pixels on one animation frame
+    cel(layer, frameIndex = this.state.activeFrameIndex) { return layer.cels[frameIndex]; }
+
+    createCel(width = this.state.width, height = this.state.height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        // Ids let saved undo history refer to cels that are no longer in the document
+        return { id: this.nextCelId++, canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }) };
     }
-}
 
-// --- 5. Theme System ---
-class ThemeSystem {
-    constructor(state) {
-        this.state = state;
-        this.toggleBtn = document.getElementById('theme-toggle');
-        this.init();
+    createLayer(name, width = this.state.width, height = this.state.height, frameCount = this.state.frames.length) {
+        const id = this.nextId++;
+        return {
+            id,
+            name: name || `Layer ${id}`,
+            visible: true,
+            locked: false,
+            opacity: 1,
+            blendMode: 'source-over',
+            cels: Array.from({ length: Math.max(1, frameCount) }, () => this.createCel(width, height))
+        };
     }
 
-    init() {
-        const savedTheme = localStorage.getItem('theme') || (window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark');
-        this.apply(savedTheme);
-        if (this.toggleBtn) {
-            this.toggleBtn.onclick = () => {
-                const current = document.documentElement.getAttribute('data-theme');
-                this.apply(current === 'dark' ? 'light' : 'dark');
-            };
-        }
+    reset() {
+        this.nextId = 1;
+        this.state.update({
+            frames: [{ id: 1, duration: 100 }], activeFrameIndex: 0,
+            layers: [this.createLayer(null, this.state.width, this.state.height, 1)], activeLayerIndex: 0
+        });
     }
 
-    apply(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        if (this.toggleBtn) {
-            const targetIcon = theme === 'light' ? 'moon' : 'sun';
-            this.toggleBtn.innerHTML = `<i data-lucide="${targetIcon}"></i>`;
-            if (window.lucide) window.lucide.createIcons();
-        }
+    setActive(index) {
+        if (index < 0 || index >= this.list.length) return;
+        this.state.update({ activeLayerIndex: index });
+    }
+
+    setProps(index, props) {
+        const layer = this.list[index];
+        if (!layer) return;
+        Object.assign(layer, props);
         this.state.notify();
     }
-}
 
-// --- 6. File Management ---
-class FileManager {
-    constructor(state, viewport, workCanvas, workCtx) {
-        this.state = state; this.viewport = viewport; this.workCanvas = workCanvas; this.workCtx = workCtx;
-        this.fileInput = document.getElementById('file-input');
-        if (this.fileInput) {
-            this.fileInput.onchange = (e) => this.importPNG(e);
-        }
+    add() {
+        const layers = this.list.slice();
+        const index = this.state.activeLayerIndex + 1;
+        layers.splice(index, 0, this.createLayer());
+        this.state.update({ layers, activeLayerIndex: index });
     }
 
-    exportPNG() {
-        // PROFESSIONAL CLIPPING FIX: 
-        // We create a temporary canvas to ensure only the active area is exported.
-        const exportCanvas = document.createElement('canvas');
-        exportCanvas.width = this.state.width;
-        exportCanvas.height = this.state.height;
-        const exportCtx = exportCanvas.getContext('2d');
+    duplicate() {
+        const source = this.active;
+        if (!source) return;
+        const copy = this.createLayer(`${source.name} copy`);
+        Object.assign(copy, { visible: source.visible, opacity: source.opacity, blendMode: source.blendMode });
+        copy.cels.forEach((cel, f) => cel.ctx.drawImage(source.cels[f].canvas, 0, 0));
+        const layers = this.list.slice();
+        const index = this.state.activeLayerIndex + 1;
+        layers.splice(index, 0, copy);
+        this.state.update({ layers, activeLayerIndex: index });
+    }
 
-        // Copy only the logical area from workCanvas
-        exportCtx.drawImage(this.workCanvas, 0, 0, this.state.width, this.state.height, 0, 0, this.state.width, this.state.height);
+    remove() {
+        if (this.list.length <= 1) return false;
+        const layers = this.list.slice();
+        layers.splice(this.state.activeLayerIndex, 1);
+        this.state.update({ layers, activeLayerIndex: Math.min(this.state.activeLayerIndex, layers.length - 1) });
+        return true;
+    }
 
-        const link = document.createElement('a');
-        link.download = `texture_${this.state.width}x${this.state.height}.png`;
-        link.href = exportCanvas.toDataURL('image/png');
-        link.click();
+    move(delta) {
+        const from = this.state.activeLayerIndex;
+        const to = from + delta;
+        if (to < 0 || to >= this.list.length) return false;
+        const layers = this.list.slice();
+        [layers[from], layers[to]] = [layers[to], layers[from]];
+        this.state.update({ layers, activeLayerIndex: to });
+        return true;
     }
 
-    importPNG(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const img = new Image();
-            img.onload = () => {
-                if (img.width > 320 || img.height > 320) { alert('Image too large! Maximum 320x320.'); return; }
+    // Bakes the active layer (with its opacity and blend mode) into the layer below it, on every frame
+    mergeDown() {
+        const index = this.state.activeLayerIndex;
+        if (index <= 0) return false;
+        const top = this.list[index];
+        const below = this.list[index - 1];
+        if (top.visible) {
+            below.cels.forEach((cel, f) => {
+                cel.ctx.save();
+                cel.ctx.globalAlpha = top.opacity;
+                cel.ctx.globalCompositeOperation = top.blendMode;
+                cel.ctx.drawImage(top.cels[f].canvas, 0, 0);
+                cel.ctx.restore();
+            });
+        }
+        const layers = this.list.slice();
+        layers.splice(index, 1);
+        this.state.update({ layers, activeLayerIndex: index - 1 });
+        return true;
+    }
 
-                // Update State and Canvas Dimensions
-                this.state.update({ width: img.width, height: img.height });
-                this.workCanvas.width = img.width;
-                this.workCanvas.height = img.height;
+    clearAll() {
+        this.list.forEach(layer => layer.cels.forEach(cel => cel.ctx.clearRect(0, 0, cel.canvas.width, cel.canvas.height)));
+    }
 
-                this.workCtx.clearRect(0, 0, img.width, img.height);
-                this.workCtx.drawImage(img, 0, 0);
-                this.viewport.autoFit();
-                this.state.saveHistory(this.workCanvas.toDataURL());
-            };
-            img.src = event.target.result;
-        };
-        reader.readAsDataURL(file);
+    // Replaces every cel with `fn(imageData)` at the new document size; new cels keep the old ones intact for undo
+    transform(width, height, fn) {
+        const { width: oldWidth, height: oldHeight } = this.state;
+        this.list.forEach(layer => {
+            layer.cels = layer.cels.map(cel => {
+                const result = this.createCel(width, height);
+                result.ctx.putImageData(ImageTransform.imageData(fn(cel.ctx.getImageData(0, 0, oldWidth, oldHeight))), 0, 0);
+                return result;
+            });
+        });
+        this.state.update({ width, height });
     }
 
-    triggerImport() { if (this.fileInput) this.fileInput.click(); }
-}
+    // Composites all visible layers of a frame into `target` (the shared composite canvas by default) and returns it
+    flatten(frameIndex = this.state.activeFrameIndex, target = this.compositeCanvas) {
+        const { width, height } = this.state;
+        if (target.width !== width || target.height !== height) {
+            target.width = width;
+            target.height = height;
+        }
+        const ctx = target === this.compositeCanvas ? this.compositeCtx : target.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        this.list.forEach(layer => {
+            if (!layer.visible || layer.opacity <= 0 || !layer.cels[frameIndex]) return;
+            ctx.globalAlpha = layer.opacity;
+            ctx.globalCompositeOperation = layer.blendMode;
+            ctx.drawImage(layer.cels[frameIndex].canvas, 0, 0);
+        });
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        return target;
+    }
 
-// --- 7. UI Controller ---
-class UIController {
-    constructor(state, viewport, tools, files) {
-        this.state = state; this.viewport = viewport; this.tools = tools; this.files = files;
-        this.coordDisplay = document.getElementById('coord-display');
-        this.sizeDisplay = document.getElementById('size-display');
-        this.zoomDisplay = document.getElementById('zoom-display');
-        this.setupBindings();
-        this.setupEventListeners();
+    snapshot() {
+        return {
+            width: this.state.width,
+            height: this.state.height,
+            activeLayerIndex: this.state.activeLayerIndex,
+            activeFrameIndex: this.state.activeFrameIndex,
+            frames: this.state.frames.map(frame => ({ ...frame })),
+            layers: this.list.map(({ id, name, visible, locked, opacity, blendMode, cels }) => ({
+                id, name, visible, locked, opacity, blendMode, cels: cels.map(cel => cel.canvas.toDataURL())
+            }))
+        };
     }
 
-    setupBindings() {
-        this.state.subscribe((s) => {
-            if (this.sizeDisplay) this.sizeDisplay.innerText = `${s.width} x ${s.height}`;
-            if (this.zoomDisplay) this.zoomDisplay.innerText = `${Math.round(s.zoom * 100 / 30)}%`;
-            document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.toggle('active', btn.id === `tool-${s.currentTool}`));
-            this.updateColorUI(s.currentColor);
-            document.querySelectorAll('.swatch').forEach(sw => {
-                sw.classList.toggle('active', sw.dataset.color === s.currentColor.toLowerCase());
+    // `strict` rejects when a cel image fails to decode instead of leaving it blank (used for files from disk)
+    restore(snapshot, strict = false) {
+        const { width, height, frames } = snapshot;
+        const decode = (cel, dataURL, label) => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => { cel.ctx.drawImage(img, 0, 0); resolve(); };
+            img.onerror = () => strict ? reject(new Error(`The pixel data of ${label} is corrupt.`)) : resolve();
+            img.src = dataURL;
+        });
+        const layers = snapshot.layers.map(({ cels, ...props }) => {
+            const layer = this.createLayer(props.name, width, height, cels.length);
+            return Object.assign(layer, props);
+        });
+        const pending = [];
+        snapshot.layers.forEach((entry, i) => entry.cels.forEach((dataURL, f) => {
+            pending.push(decode(layers[i].cels[f], dataURL, `layer "${entry.name}" on frame ${f + 1}`));
+        }));
+        return Promise.all(pending).then(() => {
+            this.nextId = Math.max(this.nextId, ...layers.map(l => l.id + 1));
+            this.state.update({
+                width, height, layers,
+                frames: frames.map(frame => ({ ...frame })),
+                activeLayerIndex: snapshot.activeLayerIndex,
+                activeFrameIndex: Math.min(snapshot.activeFrameIndex, frames.length - 1)
             });
-            this.updateContextualSettings(s.currentTool, s.settingsVisible);
         });
     }
+}
 
-    updateContextualSettings(tool, visible = true) {
-        const panel = document.getElementById('tool-settings-panel');
-        const colorSet = document.getElementById('color-settings');
-        const brushSet = document.getElementById('brush-settings');
-        if (!panel) return;
+// --- 5. History Management ---
+// Every undoable edit is one entry in a command log. Pixel edits store just the changed rectangle of
+// each touched cel as raw RGBA (before and after); structural edits (layers, frames, resizing) store the
+// document structure, which shares cel objects instead of copying their pixels. Applying either
+// direction is synchronous.
+class HistoryManager {
+    constructor(state, layers) {
+        this.state = state; this.layers = layers;
+        this.transaction = null;
+    }
 
-        const toolSupportsColor = (tool === 'pencil' || tool === 'fill');
-        const toolSupportsBrush = (tool === 'pencil' || tool === 'eraser');
-        const toolHasSettings = toolSupportsColor || toolSupportsBrush;
+    get pending() { return !!this.transaction; }
 
-        const active = toolHasSettings && visible;
-        panel.classList.toggle('hidden', !active);
-        if (colorSet) colorSet.style.display = toolSupportsColor ? 'block' : 'none';
-        if (brushSet) brushSet.style.display = toolSupportsBrush ? 'block' : 'none';
+    // `scope` picks which cels get a pixel baseline: 'active', 'all' or 'none' (structure only).
+    // `settle` runs just before the entry is recorded, for edits that stay open across gestures.
+    begin(label, scope = 'active', settle = null) {
+        if (this.transaction) this.commit();
+        let cels = [];
+        if (scope === 'all') cels = this.layers.list.flatMap(layer => layer.cels);
+        else if (scope === 'active' && this.layers.active) cels = [this.layers.cel(this.layers.active)];
+        this.transaction = {
+            label, settle,
+            structure: this.captureStructure(),
+            baselines: cels.map(cel => ({ cel, image: cel.ctx.getImageData(0, 0, cel.canvas.width, cel.canvas.height) }))
+        };
     }
 
-    // Parse color string (hex3/6/8) → { hex6, alpha(0-255) }
-    parseColor(raw) {
-        let h = (raw || '').trim().replace(/^#/, '');
-        if (h.length === 3) h = h.split('').map(c => c + c).join('');
-        const hex6 = '#' + h.slice(0, 6).padEnd(6, '0');
-        const alpha = h.length >= 8 ? parseInt(h.slice(6, 8), 16) : 255;
-        return { hex6, alpha: isNaN(alpha) ? 255 : alpha };
+    // Records the open transaction; edits that changed nothing leave no entry
+    commit(label) {
+        const t = this.transaction;
+        if (!t) return null;
+        this.transaction = null;
+        if (t.settle) t.settle();
+        const after = this.captureStructure();
+        const structural = !this.sameStructure(t.structure, after);
+        const patches = t.baselines.map(baseline => this.diff(baseline)).filter(Boolean);
+        if (!structural && patches.length === 0) return null;
+        const entry = { label: label || t.label, patches, before: structural ? t.structure : null, after: structural ? after : null };
+        entry.bytes = this.measure(entry);
+        this.state.saveHistory(entry);
+        return entry;
     }
 
-    // Build full RGBA hex from hex6 and alpha
-    buildColor(hex6, alpha) {
-        if (alpha >= 255) return hex6.toLowerCase();
-        return hex6.toLowerCase() + Math.round(alpha).toString(16).padStart(2, '0');
-    }
+    cancel() { this.transaction = null; }
 
-    updateColorUI(colorRaw) {
-        const { hex6, alpha } = this.parseColor(colorRaw);
-        const cp = document.getElementById('color-picker');
-        const hexIn = document.getElementById('hex-input');
-        const alphaSl = document.getElementById('alpha-slider');
-        const alphaNum = document.getElementById('alpha-value');
-        const preview = document.getElementById('color-preview-swatch');
+    // Drops the open transaction and puts the pixels it touched back
+    rollback() {
+        const t = this.transaction;
+        if (!t) return;
+        this.transaction = null;
+        t.baselines.forEach(({ cel, image }) => cel.ctx.putImageData(image, 0, 0));
+        this.state.notify();
+    }
 
-        if (cp) cp.value = hex6;
-        if (hexIn && document.activeElement !== hexIn) {
-            hexIn.value = alpha < 255 ? (hex6 + Math.round(alpha).toString(16).padStart(2, '0')).toUpperCase() : hex6.toUpperCase();
+    // Runs `fn` as a single history entry; returning false from it records nothing
+    record(label, fn, scope = 'none') {
+        this.begin(label, scope);
+        const result = fn();
+        if (result === false) {
+            this.cancel();
+            return false;
         }
-        if (alphaSl) alphaSl.value = alpha;
-        if (alphaNum) alphaNum.textContent = alpha;
+        this.commit();
+        return result;
+    }
 
-        // Update CSS custom property for swatch preview and alpha slider gradient
-        const rgbParts = hex6.slice(1).match(/.{2}/g).map(x => parseInt(x, 16));
-        const rgbaStr = `rgba(${rgbParts.join(',')},${(alpha / 255).toFixed(2)})`;
-        if (preview) preview.parentElement.style.setProperty('--preview-color', rgbaStr);
-        const slider = document.getElementById('alpha-slider');
-        if (slider) slider.style.background = `linear-gradient(to right, transparent, ${hex6})`;
+    // A settle-able edit (a floating selection) is committed before the history moves; a stroke in progress blocks it
+    ready() {
+        if (!this.transaction) return true;
+        if (!this.transaction.settle) return false;
+        this.commit();
+        return true;
     }
 
-    setupEventListeners() {
-        const toolMap = { 'tool-pencil': 'pencil', 'tool-eraser': 'eraser', 'tool-fill': 'fill', 'tool-eyedropper': 'eyedropper', 'tool-hand': 'hand' };
-        Object.entries(toolMap).forEach(([id, tool]) => {
-            const el = document.getElementById(id);
-            if (el) el.onclick = () => {
-                if (this.state.currentTool === tool) {
-                    this.state.update({ settingsVisible: !this.state.settingsVisible });
-                } else {
-                    this.state.update({ currentTool: tool, settingsVisible: true });
-                }
-            };
-        });
+    undo() {
+        if (!this.ready()) return;
+        const entry = this.state.performUndo();
+        if (entry) this.revert(entry);
+    }
 
-        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+    redo() {
+        if (!this.ready()) return;
+        const entry = this.state.performRedo();
+        if (entry) this.apply(entry);
+    }
 
-        // Color picker: native colour input
-        const cp = document.getElementById('color-picker');
-        if (cp) cp.oninput = () => {
-            const alphaSl = document.getElementById('alpha-slider');
-            const alpha = alphaSl ? parseInt(alphaSl.value) : 255;
-            this.state.update({ currentColor: this.buildColor(cp.value, alpha) });
+    // Walks the log to just after entry `index - 1` (0 is the state before the first entry)
+    jumpTo(index) {
+        if (!this.ready()) return;
+        while (this.state.historyIndex > index) this.revert(this.state.performUndo());
+        while (this.state.historyIndex < index) this.apply(this.state.performRedo());
+    }
+
+    revert(entry) {
+        for (let i = entry.patches.length - 1; i >= 0; i--) {
+            const patch = entry.patches[i];
+            patch.cel.ctx.putImageData(patch.before, patch.x, patch.y);
+        }
+        if (entry.before) this.applyStructure(entry.before);
+        else this.state.notify();
+    }
+
+    apply(entry) {
+        entry.patches.forEach(patch => patch.cel.ctx.putImageData(patch.after, patch.x, patch.y));
+        if (entry.after) this.applyStructure(entry.after);
+        else this.state.notify();
+    }
+
+    captureStructure() {
+        const { width, height, activeLayerIndex, activeFrameIndex } = this.state;
+        return {
+            width, height, activeLayerIndex, activeFrameIndex,
+            palette: this.state.palette, colorMode: this.state.colorMode,
+            frames: this.state.frames.map(frame => ({ ...frame })),
+            layers: this.layers.list.map(layer => ({
+                layer,
+                props: { name: layer.name, visible: layer.visible, locked: layer.locked, opacity: layer.opacity, blendMode: layer.blendMode },
+                cels: layer.cels.slice()
+            }))
         };
+    }
 
-        // Hex text input
-        const hexIn = document.getElementById('hex-input');
-        if (hexIn) hexIn.addEventListener('input', () => {
-            const raw = hexIn.value.trim();
-            if (/^#?[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/.test(raw)) {
-                const full = raw.startsWith('#') ? raw : '#' + raw;
-                const { hex6, alpha } = this.parseColor(full);
-                this.state.update({ currentColor: this.buildColor(hex6, alpha) });
-            }
+    applyStructure(structure) {
+        structure.layers.forEach(({ layer, props, cels }) => {
+            Object.assign(layer, props);
+            layer.cels = cels.slice();
         });
-
-        // Alpha slider
-        const alphaSl = document.getElementById('alpha-slider');
-        if (alphaSl) alphaSl.addEventListener('input', () => {
-            const { hex6 } = this.parseColor(this.state.currentColor);
-            this.state.update({ currentColor: this.buildColor(hex6, parseInt(alphaSl.value)) });
+        // Logs saved before palettes were undoable have no palette to restore
+        if (structure.palette) this.state.palette = structure.palette;
+        if (structure.colorMode) this.state.colorMode = structure.colorMode;
+        this.state.update({
+            width: structure.width,
+            height: structure.height,
+            frames: structure.frames.map(frame => ({ ...frame })),
+            layers: structure.layers.map(entry => entry.layer),
+            activeLayerIndex: structure.activeLayerIndex,
+            activeFrameIndex: structure.activeFrameIndex
         });
+    }
 
-        bind('undo-btn', () => { const d = this.state.performUndo(); if (d) this.loadStateToWorkCanvas(d); });
-        bind('redo-btn', () => { const d = this.state.performRedo(); if (d) this.loadStateToWorkCanvas(d); });
-        bind('export-btn', () => this.files.exportPNG());
-        bind('import-btn', () => this.files.triggerImport());
-        bind('center-view-btn', () => this.viewport.centerOnly());
-        bind('fit-btn', () => this.viewport.autoFit());
-        bind('center-view-btn-sidebar', () => this.viewport.centerOnly());
+    // Active layer/frame are restored with a structure but are not edits on their own
+    sameStructure(a, b) {
+        if (a.width !== b.width || a.height !== b.height || a.palette !== b.palette || a.colorMode !== b.colorMode) return false;
+        if (a.frames.length !== b.frames.length || a.layers.length !== b.layers.length) return false;
+        if (a.frames.some((f, i) => f.id !== b.frames[i].id || f.duration !== b.frames[i].duration)) return false;
+        return a.layers.every((entry, i) => {
+            const other = b.layers[i];
+            if (entry.layer !== other.layer || entry.cels.length !== other.cels.length) return false;
+            if (entry.cels.some((cel, f) => cel !== other.cels[f])) return false;
+            return Object.keys(entry.props).every(key => entry.props[key] === other.props[key]);
+        });
+    }
 
-        const wIn = document.getElementById('canvas-width-input');
-        const hIn = document.getElementById('canvas-height-input');
+    // Bounding rectangle of the pixels that differ from the baseline, as a before/after patch
+    diff({ cel, image }) {
+        const { width, height } = image;
+        if (cel.canvas.width !== width || cel.canvas.height !== height) return null;
+        const current = cel.ctx.getImageData(0, 0, width, height).data;
+        const base = image.data;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (current[i] !== base[i] || current[i + 1] !== base[i + 1] || current[i + 2] !== base[i + 2] || current[i + 3] !== base[i + 3]) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return null;
+        const w = maxX - minX + 1, h = maxY - minY + 1;
+        const before = new ImageData(w, h);
+        for (let y = 0; y < h; y++) {
+            const from = ((minY + y) * width + minX) * 4;
+            before.data.set(base.subarray(from, from + w * 4), y * w * 4);
+        }
+        return { cel, x: minX, y: minY, before, after: cel.ctx.getImageData(minX, minY, w, h) };
+    }
+
+    // Approximate memory held by an entry: patch pixels plus any cels only this entry keeps alive
+    measure(entry) {
+        let bytes = 256;
+        entry.patches.forEach(p => { bytes += p.before.data.length + p.after.data.length; });
+        if (entry.before) {
+            const celsOf = (structure) => new Set(structure.layers.flatMap(e => e.cels));
+            const before = celsOf(entry.before), after = celsOf(entry.after);
+            const retained = (from, other) => Array.from(from).filter(cel => !other.has(cel));
+            retained(before, after).concat(retained(after, before)).forEach(cel => {
+                bytes += cel.canvas.width * cel.canvas.height * 4;
+            });
+        }
+        return bytes;
+    }
+
+    // Plain-JSON form of the log for project files. Cels and layers are referred to by id; pixels of
+    // cels that only the history still holds (deleted layers, pre-resize canvases) are stored alongside.
+    serialize() {
+        const encode = (image) => ProjectFile.encodePixels(image.data);
+        const live = new Set(this.layers.list.flatMap(layer => layer.cels));
+        const orphans = new Map();
+        const structure = (st) => st && {
+            width: st.width, height: st.height,
+            activeLayerIndex: st.activeLayerIndex, activeFrameIndex: st.activeFrameIndex,
+            palette: st.palette, colorMode: st.colorMode,
+            frames: st.frames.map(frame => ({ ...frame })),
+            layers: st.layers.map(({ layer, props, cels }) => {
+                cels.forEach(cel => { if (!live.has(cel)) orphans.set(cel.id, cel); });
+                return { id: layer.id, ...props, cels: cels.map(cel => cel.id) };
+            })
+        };
+        const entries = this.state.history.map(entry => ({
+            label: entry.label,
+            patches: entry.patches.map(({ cel, x, y, before, after }) => {
+                if (!live.has(cel)) orphans.set(cel.id, cel);
+                return { cel: cel.id, x, y, width: before.width, height: before.height, before: encode(before), after: encode(after) };
+            }),
+            before: structure(entry.before),
+            after: structure(entry.after)
+        }));
+        return {
+            index: this.state.historyIndex,
+            baseLabel: this.state.historyBaseLabel,
+            documentCels: this.layers.list.map(layer => layer.cels.map(cel => cel.id)),
+            cels: Array.from(orphans.values()).map(cel => ({
+                id: cel.id, width: cel.canvas.width, height: cel.canvas.height,
+                pixels: encode(cel.ctx.getImageData(0, 0, cel.canvas.width, cel.canvas.height))
+            })),
+            entries
+        };
+    }
+
+    // Rebuilds a log written by serialize() onto the freshly restored document (ProjectFile.parse has
+    // already checked that every id it mentions resolves)
+    deserialize(data) {
+        const cels = new Map();
+        const layers = new Map(this.layers.list.map(layer => [layer.id, layer]));
+        data.documentCels.forEach((ids, i) => ids.forEach((id, f) => cels.set(id, this.layers.list[i].cels[f])));
+        data.cels.forEach(({ id, width, height, pixels }) => {
+            const cel = this.layers.createCel(width, height);
+            cel.ctx.putImageData(new ImageData(ProjectFile.decodePixels(pixels), width, height), 0, 0);
+            cels.set(id, cel);
+        });
+        const image = (pixels, width, height) => new ImageData(ProjectFile.decodePixels(pixels), width, height);
+        const structure = (st) => st && {
+            width: st.width, height: st.height,
+            activeLayerIndex: st.activeLayerIndex, activeFrameIndex: st.activeFrameIndex,
+            palette: st.palette, colorMode: st.colorMode,
+            frames: st.frames.map(frame => ({ ...frame })),
+            layers: st.layers.map(({ id, cels: ids, ...props }) => {
+                // Layers deleted before saving come back as empty shells that the structure fills in
+                if (!layers.has(id)) layers.set(id, { id, ...props, cels: [] });
+                return { layer: layers.get(id), props, cels: ids.map(celId => cels.get(celId)) };
+            })
+        };
+        const entries = data.entries.map(entry => {
+            const restored = {
+                label: entry.label,
+                patches: entry.patches.map(p => ({
+                    cel: cels.get(p.cel), x: p.x, y: p.y,
+                    before: image(p.before, p.width, p.height),
+                    after: image(p.after, p.width, p.height)
+                })),
+                before: structure(entry.before),
+                after: structure(entry.after)
+            };
+            restored.bytes = this.measure(restored);
+            return restored;
+        });
+        // New layers must not reuse the id of one that only exists in history
+        this.layers.nextId = Math.max(this.layers.nextId, ...Array.from(layers.keys(), id => id + 1));
+        this.state.resetHistory(data.baseLabel, entries, data.index);
+    }
+}
+
+// --- 6. Frame Management ---
+class FrameManager {
+    constructor(state, layers) {
+        this.state = state; this.layers = layers;
+    }
+
+    get list() { return this.state.frames; }
+    get active() { return this.list[this.state.activeFrameIndex] || null; }
+
+    nextId() { return Math.max(0, ...this.list.map(f => f.id)) + 1; }
+
+    setActive(index) {
+        if (index < 0 || index >= this.list.length) return;
+        this.state.update({ activeFrameIndex: index });
+    }
+
+    setDuration(index, duration) {
+        const frame = this.list[index];
+        if (!frame) return;
+        frame.duration = Math.max(10, Math.min(10000, Math.round(duration) || 100));
+        this.state.notify();
+    }
+
+    // Inserts a frame after the active one; `copy` clones the active frame's cels instead of leaving them blank
+    insert(copy) {
+        const from = this.state.activeFrameIndex;
+        const index = from + 1;
+        this.layers.list.forEach(layer => {
+            const cel = this.layers.createCel();
+            if (copy) cel.ctx.drawImage(layer.cels[from].canvas, 0, 0);
+            layer.cels.splice(index, 0, cel);
+        });
+        const frames = this.list.slice();
+        frames.splice(index, 0, { id: this.nextId(), duration: this.active ? this.active.duration : 100 });
+        this.state.update({ frames, activeFrameIndex: index });
+    }
+
+    add() { this.insert(false); }
+
+    duplicate() { this.insert(true); }
+
+    remove() {
+        if (this.list.length <= 1) return false;
+        const index = this.state.activeFrameIndex;
+        this.layers.list.forEach(layer => layer.cels.splice(index, 1));
+        const frames = this.list.slice();
+        frames.splice(index, 1);
+        this.state.update({ frames, activeFrameIndex: Math.min(index, frames.length - 1) });
+        return true;
+    }
+
+    move(delta) {
+        const from = this.state.activeFrameIndex;
+        const to = from + delta;
+        if (to < 0 || to >= this.list.length) return false;
+        const swap = (arr) => { [arr[from], arr[to]] = [arr[to], arr[from]]; };
+        this.layers.list.forEach(layer => swap(layer.cels));
+        const frames = this.list.slice();
+        swap(frames);
+        this.state.update({ frames, activeFrameIndex: to });
+        return true;
+    }
+
+    // Frame order for playback and export: ping-pong plays back down without repeating the end frames
+    sequence(mode = this.state.playbackMode) {
+        const order = this.list.map((_, i) => i);
+        if (mode === 'pingpong' && order.length > 2) {
+            for (let i = order.length - 2; i > 0; i--) order.push(i);
+        }
+        return order;
+    }
+}
+
+// --- 7. Selection Management ---
+// A selection is a document-sized mask. Moving it lifts the selected pixels into a floating piece that
+// hovers over the active cel until it is dropped; the whole lift-move-drop is one history entry.
+class SelectionManager {
+    constructor(state, layers, history, colorModes) {
+        this.state = state; this.layers = layers; this.history = history; this.colorModes = colorModes;
+        // In-progress lasso outline, drawn by the viewport until the gesture ends
+        this.path = null;
+        // Pixels copied while the system clipboard was unavailable
+        this.clipboard = null;
+        this.clipboardSynced = false;
+        // The document the selection was made on
+        this.documentId = state.documentId;
+        this.state.subscribe(() => this.validate());
+    }
+
+    get active() { return !!this.state.selection; }
+
+    contains(x, y) {
+        const sel = this.state.selection;
+        if (!sel) return true;
+        return x >= 0 && y >= 0 && x < sel.width && y < sel.height && sel.mask[y * sel.width + x] === 1;
+    }
+
+    // Takes ownership of `mask`; an empty mask clears the selection
+    setMask(mask) {
+        const { width, height } = this.state;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!mask[y * width + x]) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+        const selection = maxX < 0 ? null : { width, height, mask, bounds: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } };
+        this.state.update({ selection });
+    }
+
+    selectRect(x0, y0, x1, y1) {
+        const { width, height } = this.state;
+        const mask = new Uint8Array(width * height);
+        const left = Math.max(0, Math.min(x0, x1)), right = Math.min(width - 1, Math.max(x0, x1));
+        const top = Math.max(0, Math.min(y0, y1)), bottom = Math.min(height - 1, Math.max(y0, y1));
+        for (let y = top; y <= bottom; y++) mask.fill(1, y * width + left, y * width + right + 1);
+        this.setMask(mask);
+    }
+
+    selectAll() {
+        this.drop();
+        this.selectRect(0, 0, this.state.width - 1, this.state.height - 1);
+    }
+
+    // Pixels whose centres fall inside the polygon (even-odd rule)
+    selectPolygon(points) {
+        const { width, height } = this.state;
+        const mask = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const cy = y + 0.5;
+            const crossings = [];
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [ax, ay] = points[j], [bx, by] = points[i];
+                const ay5 = ay + 0.5, by5 = by + 0.5;
+                if ((ay5 > cy) !== (by5 > cy)) crossings.push(ax + 0.5 + (cy - ay5) * (bx - ax) / (by5 - ay5));
+            }
+            crossings.sort((a, b) => a - b);
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                const from = Math.max(0, Math.ceil(crossings[k] - 0.5));
+                const to = Math.min(width - 1, Math.floor(crossings[k + 1] - 0.5));
+                if (to >= from) mask.fill(1, y * width + from, y * width + to + 1);
+            }
+        }
+        // The outline itself always counts, so thin lassos still select something
+        const mark = (x, y) => { if (x >= 0 && y >= 0 && x < width && y < height) mask[y * width + x] = 1; };
+        points.forEach(([x0, y0], i) => {
+            const [x1, y1] = points[(i + 1) % points.length];
+            const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0));
+            for (let t = 0; t <= steps; t++) {
+                mark(Math.round(x0 + (x1 - x0) * t / (steps || 1)), Math.round(y0 + (y1 - y0) * t / (steps || 1)));
+            }
+        });
+        this.setMask(mask);
+    }
+
+    clear() {
+        this.drop();
+        this.path = null;
+        if (this.state.selection) this.state.update({ selection: null });
+    }
+
+    // Cuts the selected pixels of the active cel into a floating piece, opening the history entry that drop() closes
+    lift(label = 'Move selection') {
+        const sel = this.state.selection;
+        const layer = this.layers.active;
+        if (!sel || !layer || this.state.floating) return;
+        const cel = this.layers.cel(layer);
+        const { x, y, width, height } = sel.bounds;
+        this.history.begin(label, 'active', () => this.stamp());
+        const image = cel.ctx.getImageData(x, y, width, height);
+        const rest = new ImageData(new Uint8ClampedArray(image.data), width, height);
+        const mask = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const i = row * width + col;
+                mask[i] = sel.mask[(y + row) * sel.width + x + col];
+                (mask[i] ? rest : image).data.fill(0, i * 4, i * 4 + 4);
+            }
+        }
+        cel.ctx.putImageData(rest, x, y);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        this.float({ canvas, mask, x, y, cel });
+    }
+
+    moveBy(dx, dy) {
+        const floating = this.state.floating;
+        if (!floating || (dx === 0 && dy === 0)) return;
+        this.float({ ...floating, x: floating.x + dx, y: floating.y + dy });
+    }
+
+    // Puts a floating piece in place and points the selection at wherever it now covers
+    float(floating) {
+        const { width, height } = this.state;
+        const mask = new Uint8Array(width * height);
+        const { canvas, x, y } = floating;
+        for (let row = 0; row < canvas.height; row++) {
+            const dy = y + row;
+            if (dy < 0 || dy >= height) continue;
+            for (let col = 0; col < canvas.width; col++) {
+                const dx = x + col;
+                if (dx >= 0 && dx < width && floating.mask[row * canvas.width + col]) mask[dy * width + dx] = 1;
+            }
+        }
+        this.state.floating = floating;
+        this.setMask(mask);
+    }
+
+    // Called by HistoryManager when the floating piece's transaction is committed
+    stamp() {
+        const floating = this.state.floating;
+        if (!floating) return;
+        floating.cel.ctx.drawImage(floating.canvas, floating.x, floating.y);
+        this.state.floating = null;
+    }
+
+    drop() {
+        if (this.state.floating) this.history.commit();
+    }
+
+    // Clears the selected pixels of the active cel
+    erase(label = 'Delete selection') {
+        if (!this.active) return;
+        if (this.state.floating) {
+            const { canvas } = this.state.floating;
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            this.history.commit(label);
+            return;
+        }
+        const layer = this.layers.active;
+        if (!layer || !layer.visible || layer.locked) return;
+        this.history.record(label, () => {
+            const ctx = this.layers.cel(layer).ctx;
+            const { mask, width, bounds } = this.state.selection;
+            const image = ctx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+            for (let row = 0; row < bounds.height; row++) {
+                for (let col = 0; col < bounds.width; col++) {
+                    const i = (row * bounds.width + col) * 4;
+                    if (mask[(bounds.y + row) * width + bounds.x + col]) image.data.fill(0, i, i + 4);
+                }
+            }
+            ctx.putImageData(image, bounds.x, bounds.y);
+        }, 'active');
+    }
+
+    // The selected pixels of the active cel (or the floating piece) cropped to the selection bounds
+    extract() {
+        const sel = this.state.selection;
+        const layer = this.layers.active;
+        if (!sel || !layer) return null;
+        const { x, y, width, height } = sel.bounds;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const floating = this.state.floating;
+        if (floating) ctx.drawImage(floating.canvas, floating.x - x, floating.y - y);
+        else ctx.drawImage(this.layers.cel(layer).canvas, -x, -y);
+        const image = ctx.getImageData(0, 0, width, height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (!sel.mask[(y + row) * sel.width + x + col]) image.data.fill(0, (row * width + col) * 4, (row * width + col) * 4 + 4);
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    async copy() {
+        const canvas = this.extract();
+        if (!canvas) return false;
+        this.clipboard = canvas;
+        this.clipboardSynced = false;
+        // Writing images needs ClipboardItem and a secure context; without them only this editor can paste
+        if (!navigator.clipboard || !navigator.clipboard.write || !window.ClipboardItem) return true;
+        try {
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+            this.clipboardSynced = true;
+        } catch (err) {
+            console.warn('Clipboard write failed, keeping the copy in the editor:', err);
+        }
+        return true;
+    }
+
+    async cut() {
+        const layer = this.layers.active;
+        if (!layer || !layer.visible || layer.locked) return;
+        if (await this.copy()) this.erase('Cut');
+    }
+
+    // Handles a paste event: an image on the system clipboard wins, otherwise the editor's own copy.
+    // `place` receives the decoded clipboard image.
+    paste(e, place = (image) => this.pasteImage(image)) {
+        const items = e.clipboardData ? Array.from(e.clipboardData.items || []) : [];
+        const item = items.find(entry => entry.kind === 'file' && entry.type.startsWith('image/'));
+        if (item) {
+            e.preventDefault();
+            const url = URL.createObjectURL(item.getAsFile());
+            const img = new Image();
+            img.onload = () => { URL.revokeObjectURL(url); place(img); };
+            img.onerror = () => { URL.revokeObjectURL(url); alert('The clipboard image could not be read.'); };
+            img.src = url;
+            return;
+        }
+        if (this.clipboard && !this.clipboardSynced) {
+            e.preventDefault();
+            this.pasteImage(this.clipboard);
+        }
+    }
+
+    // Pastes as a floating piece at `at`, by default the current selection's corner or the top-left of the canvas
+    pasteImage(image, at = null, label = 'Paste') {
+        const layer = this.layers.active;
+        if (!layer || !layer.visible || layer.locked || this.state.isPlaying) return false;
+        this.drop();
+        const origin = at || (this.state.selection ? this.state.selection.bounds : { x: 0, y: 0 });
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        this.colorModes.quantizeCanvas(canvas);
+        this.history.begin(label, 'active', () => this.stamp());
+        this.float({ canvas, mask: new Uint8Array(canvas.width * canvas.height).fill(1), x: origin.x, y: origin.y, cel: this.layers.cel(layer) });
+        return true;
+    }
+
+    // Resizing, opening or importing replaces the pixels a selection refers to. A new document drops both
+    // the selection and any floating piece, even at the same size.
+    validate() {
+        const { selection, floating, width, height, documentId } = this.state;
+        const replaced = documentId !== this.documentId;
+        this.documentId = documentId;
+        if (floating && (replaced || !this.layers.list.some(layer => layer.cels.includes(floating.cel)))) {
+            this.history.cancel();
+            this.state.floating = null;
+        }
+        if (selection && (replaced || selection.width !== width || selection.height !== height)) this.clear();
+    }
+}
+
+// --- 8. Color Modes ---
+// In indexed mode the document only ever holds palette colors, so a pixel's palette index is the entry with
+// its color. Tools, pastes and palette edits go through here to keep it that way, and the palette never holds
+// the same color twice, which would leave pixels unable to tell the two entries apart.
+class ColorModeManager {
+    constructor(state, layers, history) {
+        this.state = state; this.layers = layers; this.history = history;
+        // The color pickers stay locked to the palette too, so the preview shows what will be painted
+        this.state.subscribe((s) => {
+            ['currentColor', 'secondaryColor'].forEach(key => {
+                const snapped = this.snap(s[key]);
+                if (snapped !== s[key]) s.update({ [key]: snapped });
+            });
+        });
+    }
+
+    get indexed() { return this.state.colorMode === 'indexed' && this.state.palette.length > 0; }
+
+    static hasDuplicates(colors) {
+        return new Set(colors.map(color => color.slice(0, 7).toLowerCase())).size !== colors.length;
+    }
+
+    // The color tools actually place: the nearest palette entry, fully opaque, in indexed mode
+    snap(color) {
+        if (!this.indexed) return color;
+        const palette = this.state.palette;
+        return palette[ColorQuantizer.nearest(IndexedColor.table(palette), ...PaletteFile.toRgb(color.slice(0, 7)))];
+    }
+
+    quantizeCanvas(canvas, dither = false) {
+        if (!this.indexed) return;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        ctx.putImageData(IndexedColor.quantize(image, this.state.palette, dither), 0, 0);
+    }
+
+    // Runs `fn` on the pixels of every cel in the document; returning false skips writing them back
+    eachCel(fn) {
+        this.layers.list.forEach(layer => layer.cels.forEach(cel => {
+            const image = cel.ctx.getImageData(0, 0, cel.canvas.width, cel.canvas.height);
+            if (fn(image) !== false) cel.ctx.putImageData(image, 0, 0);
+        }));
+    }
+
+    convertToIndexed(dither = false) {
+        const palette = this.state.palette;
+        if (palette.length === 0) {
+            alert('Add at least one color to the palette before switching to indexed mode.');
+            return false;
+        }
+        if (ColorModeManager.hasDuplicates(palette)) {
+            alert('The palette has the same color more than once. Remove the duplicates before switching to indexed mode.');
+            return false;
+        }
+        return this.history.record(dither ? 'Convert to indexed (dithered)' : 'Convert to indexed', () => {
+            this.eachCel(image => { IndexedColor.quantize(image, palette, dither); });
+            this.state.update({ colorMode: 'indexed' });
+        }, 'all');
+    }
+
+    convertToRGBA() {
+        if (this.state.colorMode === 'rgba') return false;
+        return this.history.record('Convert to RGBA', () => this.state.update({ colorMode: 'rgba' }));
+    }
+
+    // Replaces the palette as one history step. In indexed mode pixels follow their entry: `mapping(i)` is the new
+    // index of old entry i, or -1 for the nearest new color. Without a mapping the pixels are left alone.
+    setPalette(label, colors, paletteName = this.state.paletteName, mapping = null) {
+        const old = this.state.palette;
+        if (this.indexed && ColorModeManager.hasDuplicates(colors)) {
+            alert('In indexed mode every palette entry needs a color of its own. Switch to RGBA to keep duplicate colors.');
+            return false;
+        }
+        if (!this.indexed || !mapping || colors.length === 0) {
+            return this.history.record(label, () => this.state.update({ palette: colors, paletteName }));
+        }
+        return this.history.record(label, () => {
+            const table = IndexedColor.table(colors);
+            const pack = ([r, g, b]) => (r << 16) | (g << 8) | b;
+            const remap = new Map();
+            IndexedColor.table(old).forEach((rgb, i) => {
+                const key = pack(rgb);
+                if (remap.has(key)) return; // duplicate entries: pixels belong to the first
+                const target = mapping(i);
+                remap.set(key, pack(target >= 0 && target < colors.length ? table[target] : table[ColorQuantizer.nearest(table, ...rgb)]));
+            });
+            this.eachCel(image => IndexedColor.recolor(image, remap, table));
+            this.state.update({ palette: colors, paletteName });
+        }, 'all');
+    }
+}
+
+// --- 9. Transforms ---
+// Flips, rotations, offsets and resizes. With a selection they act on the selected pixels of the active cel
+// (lifted, transformed and stamped back around the same centre); without one they replace every cel of the
+// document. Either way the whole transform is one history entry.
+class TransformManager {
+    constructor(state, layers, history, selection) {
+        this.state = state; this.layers = layers; this.history = history; this.selection = selection;
+    }
+
+    // `size(width, height)` gives the result size and `fn(image, width, height)` produces it
+    apply(label, size, fn) {
+        if (this.state.isPlaying) return false;
+        if (this.selection.active) return this.applyToSelection(label, size, fn);
+        const { width, height } = this.state;
+        const next = size(width, height);
+        return this.history.record(label, () => this.layers.transform(next.width, next.height, image => fn(image, next.width, next.height)));
+    }
+
+    applyToSelection(label, size, fn) {
+        const layer = this.layers.active;
+        if (!layer || !layer.visible || layer.locked) return false;
+        // A piece already being moved is put down first so the transform is its own entry
+        this.selection.drop();
+        this.selection.lift(label);
+        const floating = this.state.floating;
+        if (!floating) {
+            this.history.cancel();
+            return false;
+        }
+        const { canvas, mask, x, y } = floating;
+        const next = size(canvas.width, canvas.height);
+        const image = fn(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height), next.width, next.height);
+        // The mask goes through the same transform as an opaque-or-clear image
+        const maskImage = new ImageData(canvas.width, canvas.height);
+        const maskPixels = ImageTransform.pixels(maskImage);
+        mask.forEach((bit, i) => { if (bit) maskPixels[i] = 0xffffffff; });
+        const nextMask = ImageTransform.pixels(fn(maskImage, next.width, next.height)).map(pixel => pixel >>> 24 ? 1 : 0);
+        const result = document.createElement('canvas');
+        result.width = next.width;
+        result.height = next.height;
+        result.getContext('2d').putImageData(image, 0, 0);
+        this.selection.float({
+            ...floating, canvas: result, mask: new Uint8Array(nextMask),
+            x: x + Math.floor((canvas.width - next.width) / 2), y: y + Math.floor((canvas.height - next.height) / 2)
+        });
+        this.history.commit();
+        return true;
+    }
+
+    flip(horizontal) {
+        return this.apply(horizontal ? 'Flip horizontal' : 'Flip vertical', (w, h) => ({ width: w, height: h }),
+            image => ImageTransform.flip(image, horizontal));
+    }
+
+    // Clockwise quarter turns; on the document an odd count swaps width and height
+    rotate(turns) {
+        const t = ((turns % 4) + 4) % 4;
+        if (t === 0) return false;
+        const label = ['', 'Rotate 90° clockwise', 'Rotate 180°', 'Rotate 90° counter-clockwise'][t];
+        return this.apply(label, (w, h) => t % 2 ? { width: h, height: w } : { width: w, height: h },
+            image => ImageTransform.rotate(image, t));
+    }
+
+    // Wraps around the document (or the selection bounds), for checking and fixing tile seams
+    offset(dx, dy) {
+        if (dx === 0 && dy === 0) return false;
+        return this.apply(`Offset ${dx}, ${dy}`, (w, h) => ({ width: w, height: h }),
+            image => ImageTransform.offset(image, dx, dy));
+    }
+
+    // Always the whole document: crops or pads around `anchor`
+    resizeCanvas(width, height, anchor = 'tl') {
+        const { width: oldWidth, height: oldHeight } = this.state;
+        if (width === oldWidth && height === oldHeight) return false;
+        return this.history.record(`Resize canvas ${oldWidth}×${oldHeight} → ${width}×${height}`,
+            () => this.layers.transform(width, height, image => ImageTransform.resizeCanvas(image, width, height, anchor)));
+    }
+
+    // Nearest neighbour; on a selection the piece is scaled about its centre
+    scale(width, height) {
+        return this.apply(`Scale to ${width}×${height}`, () => ({ width, height }),
+            image => ImageTransform.scale(image, width, height));
+    }
+
+    // RotSprite rotation: the document keeps its size, a selection grows to hold the rotated piece
+    rotateBy(degrees) {
+        if (degrees % 360 === 0) return false;
+        const selected = this.selection.active;
+        return this.apply(`Rotate ${degrees}°`, (w, h) => selected ? ImageTransform.rotatedSize(w, h, degrees) : { width: w, height: h },
+            (image, width, height) => ImageTransform.rotsprite(image, degrees, width, height));
+    }
+}
+
+// --- 10. Color Adjustments ---
+// Per-pixel color operations. Each kind builds a function from (r, g, b) to a new [r, g, b]; alpha is kept and
+// fully transparent pixels are left alone.
+class ColorAdjust {
+    static LABELS = {
+        hsl: 'Hue/Saturation', brightness: 'Brightness/Contrast', invert: 'Invert', desaturate: 'Desaturate',
+        posterize: 'Posterize', replace: 'Replace Color'
+    };
+
+    static filter(kind, o) {
+        switch (kind) {
+            case 'hsl': return (r, g, b) => {
+                const [h, s, l] = ColorAdjust.toHsl(r, g, b);
+                return ColorAdjust.fromHsl(h + o.hue / 360, ColorAdjust.shift(s, o.saturation), ColorAdjust.shift(l, o.lightness));
+            };
+            case 'brightness': {
+                // The usual contrast curve around mid-grey, with the -100..100 slider mapped onto -255..255
+                const c = o.contrast * 2.55;
+                const factor = (259 * (c + 255)) / (255 * (259 - c));
+                const add = o.brightness * 2.55;
+                const f = (v) => factor * (v + add - 128) + 128;
+                return (r, g, b) => [f(r), f(g), f(b)];
+            }
+            case 'invert': return (r, g, b) => [255 - r, 255 - g, 255 - b];
+            case 'desaturate': return (r, g, b) => {
+                const y = 0.299 * r + 0.587 * g + 0.114 * b;
+                return [y, y, y];
+            };
+            case 'posterize': {
+                if (o.usePalette && o.palette.length) {
+                    const table = IndexedColor.table(o.palette);
+                    return (r, g, b) => table[ColorQuantizer.nearest(table, r, g, b)];
+                }
+                const steps = Math.max(1, o.levels - 1);
+                const f = (v) => Math.round(v / 255 * steps) * 255 / steps;
+                return (r, g, b) => [f(r), f(g), f(b)];
+            }
+            case 'replace': {
+                const [fr, fg, fb] = PaletteFile.toRgb(o.from.slice(0, 7));
+                const to = PaletteFile.toRgb(o.to.slice(0, 7));
+                return (r, g, b) => ColorAdjust.matches(r, g, b, fr, fg, fb, o.tolerance) ? to : [r, g, b];
+            }
+        }
+        return null;
+    }
+
+    // Within `tolerance` (0–255) on every channel
+    static matches(r, g, b, tr, tg, tb, tolerance) {
+        return Math.abs(r - tr) <= tolerance && Math.abs(g - tg) <= tolerance && Math.abs(b - tb) <= tolerance;
+    }
+
+    // Runs `fn` over the pixels of `image` in place, only where `mask` (one byte per pixel) is set
+    static apply(image, fn, mask = null) {
+        const data = image.data;
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            if (data[i + 3] === 0 || (mask && !mask[p])) continue;
+            const [r, g, b] = fn(data[i], data[i + 1], data[i + 2]);
+            data[i] = r; data[i + 1] = g; data[i + 2] = b;
+        }
+        return image;
+    }
+
+    // Moves a 0–1 value toward 1 for positive amounts and toward 0 for negative ones; ±100 goes all the way
+    static shift(v, amount) {
+        return amount >= 0 ? v + (1 - v) * amount / 100 : v * (1 + amount / 100);
+    }
+
+    // h, s and l all 0–1
+    static toHsl(r, g, b) {
+        r /= 255; g /= 255; b /= 255;
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        if (max === min) return [0, 0, l];
+        const d = max - min;
+        const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        let h;
+        if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        return [h / 6, s, l];
+    }
+
+    static fromHsl(h, s, l) {
+        h = ((h % 1) + 1) % 1;
+        if (s === 0) return [l * 255, l * 255, l * 255];
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        const channel = (t) => {
+            t = ((t % 1) + 1) % 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        return [channel(h + 1 / 3) * 255, channel(h) * 255, channel(h - 1 / 3) * 255];
+    }
+}
+
+// Adjusts the active cel, only inside the selection when there is one. The dialog previews straight on the
+// canvas inside an open history transaction; applying commits it as one entry and cancelling rolls it back.
+// Nothing else may touch the history meanwhile (see CommandRegistry.modalOpen).
+class AdjustmentManager {
+    constructor(state, layers, history, selection, colorModes) {
+        this.state = state; this.layers = layers; this.history = history; this.selection = selection; this.colorModes = colorModes;
+        this.original = null;
+    }
+
+    get previewing() { return !!this.original; }
+
+    begin() {
+        const layer = this.layers.active;
+        if (this.state.isPlaying || !layer || !layer.visible || layer.locked) return false;
+        if (this.original) return true;
+        // A piece being moved is put down first so it is adjusted where it lands
+        this.selection.drop();
+        this.history.begin('Adjust colors', 'active');
+        this.cel = this.layers.cel(layer);
+        this.original = this.cel.ctx.getImageData(0, 0, this.cel.canvas.width, this.cel.canvas.height);
+        return true;
+    }
+
+    preview(kind, options) {
+        if (!this.original) return;
+        const { width, height } = this.original;
+        const image = new ImageData(new Uint8ClampedArray(this.original.data), width, height);
+        const fn = ColorAdjust.filter(kind, options);
+        const selection = this.state.selection;
+        if (fn) ColorAdjust.apply(image, fn, selection ? selection.mask : null);
+        if (this.colorModes.indexed) IndexedColor.quantize(image, this.state.palette);
+        this.cel.ctx.putImageData(image, 0, 0);
+        this.state.notify();
+    }
+
+    apply(kind, options) {
+        if (!this.original) return false;
+        this.preview(kind, options);
+        this.original = null;
+        return !!this.history.commit(ColorAdjust.LABELS[kind]);
+    }
+
+    cancel() {
+        if (!this.original) return;
+        this.original = null;
+        this.history.rollback();
+    }
+}
+
+// --- 11. Dither Patterns ---
+// Ordered-dither patterns for the pencil, fill and gradient tools. They are anchored to the canvas rather than
+// to the stroke, so separate strokes and fills line up with each other.
+class DitherPattern {
+    static PATTERNS = {
+        solid: 'Solid', bayer2: 'Bayer 2×2', bayer4: 'Bayer 4×4', bayer8: 'Bayer 8×8', checker: 'Checker',
+        'lines-h': 'Horizontal lines', 'lines-v': 'Vertical lines', diagonal: 'Diagonal lines', custom: 'Custom (from selection)'
+    };
+    // Largest custom pattern, in pixels per side
+    static MAX_CUSTOM = 64;
+
+    // Bayer index matrix for a power-of-two size: each quadrant is the half-size matrix, interleaved 0, 2, 3, 1
+    static bayer(n) {
+        if (n === 1) return [[0]];
+        const half = DitherPattern.bayer(n / 2), h = n / 2;
+        return Array.from({ length: n }, (_, y) => Array.from({ length: n }, (_, x) =>
+            4 * half[y % h][x % h] + [[0, 2], [3, 1]][Math.floor(y / h)][Math.floor(x / h)]));
+    }
+
+    static MATRICES = { bayer2: DitherPattern.bayer(2), bayer4: DitherPattern.bayer(4), bayer8: DitherPattern.bayer(8) };
+
+    // Threshold in (0, 1) of a Bayer matrix at (x, y); any other name gives the plain 0.5 cut-off
+    static threshold(name, x, y) {
+        const matrix = DitherPattern.MATRICES[name];
+        if (!matrix) return 0.5;
+        const n = matrix.length;
+        return (matrix[y % n][x % n] + 0.5) / (n * n);
+    }
+
+    // Whether `pattern` ({ name, level, custom }) paints canvas pixel (x, y). `level` (0–1) is the density of
+    // the Bayer patterns; the others have a fixed look.
+    static covers({ name, level, custom }, x, y) {
+        switch (name) {
+            case 'bayer2': case 'bayer4': case 'bayer8': return DitherPattern.threshold(name, x, y) < level;
+            case 'checker': return (x + y) % 2 === 0;
+            case 'lines-h': return y % 2 === 0;
+            case 'lines-v': return x % 2 === 0;
+            case 'diagonal': return (x + y) % 4 === 0;
+            case 'custom': return !custom || custom.bits[(y % custom.height) * custom.width + x % custom.width] === 1;
+            default: return true;
+        }
+    }
+
+    // Opaque pixels of `image` become the painted pixels of a custom pattern (a plain array, so it saves as JSON)
+    static fromImage(image) {
+        const bits = [];
+        for (let i = 0; i < image.width * image.height; i++) bits.push(image.data[i * 4 + 3] > 0 ? 1 : 0);
+        return { width: image.width, height: image.height, bits };
+    }
+}
+
+// --- 12. Brushes ---
+// A brush is a mask of the pixels one stamp covers, centred on the pointer at (floor(width / 2), floor(height / 2))
+class Brush {
+    static SHAPES = { square: 'Square', round: 'Round', diamond: 'Diamond' };
+    static MAX_CUSTOM = 32;
+
+    // { width, height, bits, solid } for a built-in shape of `size`, or the custom brush
+    static mask(shape, size, custom) {
+        if (shape === 'custom' && custom) return { ...custom, solid: custom.bits.every(bit => bit === 1) };
+        const c = (size - 1) / 2, r = size / 2;
+        const bits = [];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dx = Math.abs(x - c), dy = Math.abs(y - c);
+                // The round threshold is pulled in a little so small brushes don't come out square
+                if (shape === 'round') bits.push(dx * dx + dy * dy <= r * r - 0.5 ? 1 : 0);
+                else if (shape === 'diamond') bits.push(dx + dy <= r ? 1 : 0);
+                else bits.push(1);
+            }
+        }
+        return { width: size, height: size, bits, solid: bits.every(bit => bit === 1) };
+    }
+
+    // Whether a custom brush read back from a project or the saved library is usable
+    static isValid(custom) {
+        if (!custom || typeof custom !== 'object' || typeof custom.name !== 'string') return false;
+        const { width, height, bits } = custom;
+        const side = (v) => Number.isInteger(v) && v >= 1 && v <= Brush.MAX_CUSTOM;
+        return side(width) && side(height) && Array.isArray(bits) && bits.length === width * height &&
+            bits.every(bit => bit === 0 || bit === 1);
+    }
+
+    // Opaque pixels of `image`, trimmed to their bounds, or null when there are none
+    static fromImage(image, name) {
+        const { width, height, data } = image;
+        let left = width, top = height, right = -1, bottom = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] === 0) continue;
+                left = Math.min(left, x); right = Math.max(right, x);
+                top = Math.min(top, y); bottom = Math.max(bottom, y);
+            }
+        }
+        if (right < 0) return null;
+        const bits = [];
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) bits.push(data[(y * width + x) * 4 + 3] > 0 ? 1 : 0);
+        }
+        return { name, width: right - left + 1, height: bottom - top + 1, bits };
+    }
+}
+
+// --- 13. Tool Management ---
+class ToolManager {
+    static TOOLS = ['pencil', 'eraser', 'fill', 'eyedropper', 'gradient', 'line', 'rect', 'ellipse', 'select', 'lasso', 'wand', 'move', 'hand'];
+    static HISTORY_LABELS = { pencil: 'Pencil stroke', eraser: 'Eraser stroke', fill: 'Fill', line: 'Line', rect: 'Rectangle', ellipse: 'Ellipse', gradient: 'Gradient' };
+    static SHAPES = ['line', 'rect', 'ellipse'];
+    // Tools shown as a rubber band while dragging and drawn into the cel on mouseup
+    static PREVIEWED = [...ToolManager.SHAPES, 'gradient'];
+    // Tools that only read pixels, so they also work on hidden or locked layers
+    static READ_ONLY = ['eyedropper', 'select', 'lasso', 'wand'];
+    static RECENT_COLORS = 16;
+
+    constructor(state, viewport, layers, history, selection, colorModes) {
+        this.state = state; this.viewport = viewport; this.layers = layers; this.history = history; this.selection = selection; this.colorModes = colorModes;
+        this.lastX = -1; this.lastY = -1;
+        // Moves tiled-mode strokes onto the real canvas (see tilePoint)
+        this.tileShift = [0, 0];
+        this.previewCanvas = document.createElement('canvas');
+        this.previewCtx = this.previewCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    // Tools always paint on whichever layer is active
+    get workCtx() { return this.layers.activeCtx; }
+
+    // Abandons the gesture in progress (a second finger turned it into a pinch): painting is rolled back,
+    // anything else ends as if the pointer had been lifted
+    cancel() {
+        if (!this.state.isDrawing) return null;
+        if (!ToolManager.HISTORY_LABELS[this.state.currentTool]) return this.execute('end');
+        this.stroke = null;
+        this.state.preview = null;
+        this.state.update({ isDrawing: false });
+        this.history.rollback();
+        return null;
+    }
+
+    canPaint() {
+        const layer = this.layers.active;
+        return !!layer && layer.visible && !layer.locked;
+    }
+
+    // The color the gesture paints with: the background color for a right-button gesture
+    get paintColor() { return this.colorModes.snap(this.secondaryStroke ? this.state.secondaryColor : this.state.currentColor); }
+
+    // `options.shift` constrains shapes to 45° lines, squares and circles; `options.secondary` (given on 'start')
+    // paints with the background color
+    execute(action, x, y, options = {}) {
+        const tool = this.state.currentTool;
+        if (this.state.tiledMode) {
+            if (x !== undefined) [x, y] = this.tilePoint(action, x, y);
+        } else if (x < 0 || x >= this.state.width || y < 0 || y >= this.state.height) {
+            // A shape or gradient being dragged keeps following the pointer past the edge; it is clipped as it is plotted
+            if (!(action === 'move' && this.state.isDrawing && ToolManager.PREVIEWED.includes(tool))) return;
+        }
+        if (action === 'start') this.secondaryStroke = !!options.secondary;
+        const color = this.paintColor;
+        switch (action) {
+            case 'start':
+                if (this.state.isPlaying) return;
+                if (!ToolManager.READ_ONLY.includes(tool) && !this.canPaint()) return;
+                if (tool === 'move' && !(this.selection.active && this.selection.contains(x, y))) return;
+                if (ToolManager.HISTORY_LABELS[tool]) this.history.begin(ToolManager.HISTORY_LABELS[tool]);
+                if (tool === 'select' || tool === 'lasso' || tool === 'wand') this.selection.drop();
+                this.state.update({ isDrawing: true });
+                this.startX = x; this.startY = y; this.lastX = x; this.lastY = y;
+                if (tool === 'pencil' || tool === 'fill' || ToolManager.SHAPES.includes(tool)) this.remember(color);
+                if (tool === 'fill') this.floodFill(x, y, color);
+                else if (tool === 'eyedropper') this.pickColor(x, y);
+                else if (tool === 'wand') this.selection.setMask(this.floodRegion(x, y, this.workCtx.getImageData(0, 0, this.state.width, this.state.height).data));
+                else if (tool === 'lasso') this.selection.path = [[x, y]];
+                else if (tool === 'move') this.selection.lift();
+                else if (tool === 'pencil' || tool === 'eraser') { this.beginStroke(); this.drawPixel(x, y, color); }
+                else if (tool === 'gradient') { this.gradientRegion = this.gradientArea(x, y); this.updatePreview(); }
+                else if (ToolManager.SHAPES.includes(tool)) { this.shift = !!options.shift; this.updatePreview(); }
+                break;
+            case 'move':
+                if (!this.state.isDrawing) return;
+                if (tool === 'pencil' || tool === 'eraser') this.drawLine(this.lastX, this.lastY, x, y, color);
+                else if (tool === 'eyedropper') this.pickColor(x, y);
+                else if (tool === 'select') this.selection.selectRect(this.startX, this.startY, x, y);
+                else if (tool === 'lasso') this.selection.path.push([x, y]);
+                else if (tool === 'move') this.selection.moveBy(x - this.lastX, y - this.lastY);
+                this.lastX = x; this.lastY = y;
+                if (ToolManager.PREVIEWED.includes(tool)) { this.shift = !!options.shift; this.updatePreview(); }
+                break;
+            case 'end':
+                if (this.state.isDrawing) {
+                    this.state.update({ isDrawing: false });
+                    this.stroke = null;
+                    // A click without dragging deselects
+                    if (tool === 'select' && this.lastX === this.startX && this.lastY === this.startY) this.selection.clear();
+                    if (tool === 'lasso' && this.selection.path) {
+                        const path = this.selection.path;
+                        this.selection.path = null;
+                        if (path.length > 2) this.selection.selectPolygon(path); else this.selection.clear();
+                    }
+                    // The floating piece stays open for further drags; it is recorded when dropped
+                    if (tool === 'move') return;
+                    if (ToolManager.PREVIEWED.includes(tool) && this.state.preview) {
+                        this.state.preview = null;
+                        if (tool === 'gradient') this.drawGradient(this.workCtx);
+                        else this.drawShape(tool, this.startX, this.startY, this.lastX, this.lastY, this.workCtx);
+                    }
+                    return 'SHOULD_SAVE_HISTORY';
+                }
+                break;
+        }
+    }
+
+    // In tiled mode a gesture may start on any copy of the canvas: it is shifted onto the real one and then
+    // follows the pointer without jumping, so lines can run past an edge and plot() wraps them around
+    tilePoint(action, x, y) {
+        const { width, height } = this.state;
+        if (action === 'start') this.tileShift = [ToolManager.wrap(x, width) - x, ToolManager.wrap(y, height) - y];
+        return [x + this.tileShift[0], y + this.tileShift[1]];
+    }
+
+    static wrap(value, size) { return ((value % size) + size) % size; }
+
+    // Where a pixel lands on the canvas: wrapped around the edges in tiled mode, unchanged otherwise
+    place(x, y) {
+        if (!this.state.tiledMode) return [x, y];
+        return [ToolManager.wrap(x, this.state.width), ToolManager.wrap(y, this.state.height)];
+    }
+
+    drawPixel(x, y, color, ctx = this.workCtx) {
+        this.symmetric(x, y, x, y).forEach(([px, py], copy) => this.stamp(px, py, color, ctx, copy));
+    }
+
+    // The brush mask (see Brush), rebuilt only when its settings change
+    get brush() {
+        const { brushShape: shape, brushSize, brushCustom: custom } = this.state;
+        const size = brushSize || 1;
+        const cached = this.brushCache;
+        if (!cached || cached.shape !== shape || cached.size !== size || cached.custom !== custom) {
+            this.brushCache = { shape, size, custom, brush: Brush.mask(shape, size, custom) };
+        }
+        return this.brushCache.brush;
+    }
+
+    // A pencil or eraser stroke keeps per-copy progress for spacing and pixel-perfect (each mirrored copy is
+    // a line of its own). Pixel-perfect needs the pixels from before the stroke to put back the corners it removes.
+    beginStroke() {
+        const brush = this.brush;
+        const pixelPerfect = this.state.pixelPerfect && this.state.currentTool === 'pencil' && brush.width === 1 && brush.height === 1;
+        const { width, height } = this.state;
+        this.stroke = { copies: [], pixelPerfect, painted: new Map(), before: pixelPerfect ? this.workCtx.getImageData(0, 0, width, height) : null };
+    }
+
+    // One point of a line: plotted directly for shapes; along a stroke, spaced, jittered or pixel-perfect
+    stamp(x, y, color, ctx, copy) {
+        const stroke = this.stroke;
+        if (!stroke) {
+            this.plot(x, y, color, ctx);
+            return;
+        }
+        const track = stroke.copies[copy] || (stroke.copies[copy] = { last: null, count: 0, path: [] });
+        // Consecutive segments share their end point
+        if (track.last && track.last[0] === x && track.last[1] === y) return;
+        track.last = [x, y];
+        if (stroke.pixelPerfect) {
+            this.stampPixelPerfect(track.path, x, y, color, ctx);
+            return;
+        }
+        if (track.count++ % Math.max(1, Math.min(16, this.state.brushSpacing)) !== 0) return;
+        const jitter = Math.max(0, Math.min(16, this.state.brushJitter));
+        if (jitter > 0) {
+            x += Math.round((Math.random() * 2 - 1) * jitter);
+            y += Math.round((Math.random() * 2 - 1) * jitter);
+        }
+        this.plot(x, y, color, ctx);
+    }
+
+    // When the last three points turn an L (the first and third touch diagonally) the middle one is removed,
+    // unless the stroke had already painted that pixel before
+    stampPixelPerfect(path, x, y, color, ctx) {
+        const stroke = this.stroke;
+        const key = (px, py) => { const [tx, ty] = this.place(px, py); return ty * this.state.width + tx; };
+        this.plot(x, y, color, ctx);
+        stroke.painted.set(key(x, y), (stroke.painted.get(key(x, y)) || 0) + 1);
+        path.push([x, y]);
+        if (path.length < 3) return;
+        const [a, b, c] = path.slice(-3);
+        if (Math.abs(a[0] - c[0]) === 1 && Math.abs(a[1] - c[1]) === 1) {
+            const k = key(b[0], b[1]);
+            if (stroke.painted.get(k) === 1) {
+                stroke.painted.delete(k);
+                const [tx, ty] = this.place(b[0], b[1]);
+                if (tx >= 0 && ty >= 0 && tx < this.state.width && ty < this.state.height) {
+                    const i = k * 4;
+                    ctx.putImageData(new ImageData(stroke.before.data.slice(i, i + 4), 1, 1), tx, ty);
+                }
+            }
+            path.splice(-2, 1);
+        }
+        if (path.length > 2) path.shift();
+    }
+
+    // Stamps the brush once, clipped to the canvas (or wrapped around it in tiled mode) and the selection
+    plot(x, y, color, ctx) {
+        const brush = this.brush;
+        const px = x - Math.floor(brush.width / 2);
+        const py = y - Math.floor(brush.height / 2);
+        const erase = this.state.currentTool === 'eraser';
+        const patterned = this.patterned;
+        if (!erase) ctx.fillStyle = color;
+        if (!this.state.tiledMode && !patterned && brush.solid) {
+            const cx = Math.max(0, px);
+            const cy = Math.max(0, py);
+            const cw = Math.min(px + brush.width, this.state.width) - cx;
+            const ch = Math.min(py + brush.height, this.state.height) - cy;
+            if (cw <= 0 || ch <= 0) return;
+            if (!this.selection.active) {
+                if (erase) ctx.clearRect(cx, cy, cw, ch);
+                else ctx.fillRect(cx, cy, cw, ch);
+                return;
+            }
+        }
+        // One pixel at a time for shaped brushes, the selection, wrapping and patterns
+        for (let row = 0; row < brush.height; row++) {
+            for (let col = 0; col < brush.width; col++) {
+                if (!brush.bits[row * brush.width + col]) continue;
+                const [tx, ty] = this.place(px + col, py + row);
+                if (tx < 0 || ty < 0 || tx >= this.state.width || ty >= this.state.height || !this.selection.contains(tx, ty)) continue;
+                if (erase) {
+                    ctx.clearRect(tx, ty, 1, 1);
+                    continue;
+                }
+                if (patterned) {
+                    const paint = this.patternColor(tx, ty, color);
+                    if (!paint) continue;
+                    ctx.fillStyle = paint;
+                }
+                ctx.fillRect(tx, ty, 1, 1);
+            }
+        }
+    }
+
+    // Only the pencil and the fill paint through the pattern
+    get patterned() {
+        const tool = this.state.currentTool;
+        return this.state.pattern !== 'solid' && (tool === 'pencil' || tool === 'fill');
+    }
+
+    // What the pattern puts at canvas pixel (x, y): `color`, the other color of the pair, or null to leave the pixel alone
+    patternColor(x, y, color) {
+        const { pattern: name, patternLevel: level, patternCustom: custom } = this.state;
+        if (DitherPattern.covers({ name, level, custom }, x, y)) return color;
+        if (this.state.patternBackground !== 'secondary') return null;
+        return this.colorModes.snap(this.secondaryStroke ? this.state.currentColor : this.state.secondaryColor);
+    }
+
+    // Uses the selected pixels of the active layer as the custom pattern: opaque pixels paint, clear ones don't
+    patternFromSelection() {
+        const canvas = this.selection.extract();
+        if (!canvas) {
+            alert('Select the pixels to use as a pattern first.');
+            return false;
+        }
+        const max = DitherPattern.MAX_CUSTOM;
+        if (canvas.width > max || canvas.height > max) {
+            alert(`Patterns can be at most ${max}×${max} pixels; the selection is ${canvas.width}×${canvas.height}.`);
+            return false;
+        }
+        const patternCustom = DitherPattern.fromImage(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+        this.state.update({ patternCustom, pattern: 'custom' });
+        return true;
+    }
+
+    // Mirrored copies are separate lines between mirrored endpoints, so rotated strokes stay unbroken
+    drawLine(x0, y0, x1, y1, color, ctx = this.workCtx) {
+        this.symmetric(x0, y0, x1, y1).forEach(([ax, ay, bx, by], copy) => {
+            this.rasterLine(ax, ay, bx, by, (x, y) => this.stamp(x, y, color, ctx, copy));
+        });
+    }
+
+    rasterLine(x0, y0, x1, y1, fn) {
+        const dx = Math.abs(x1 - x0), dy = Math.abs(y1 - y0);
+        const sx = (x0 < x1) ? 1 : -1, sy = (y0 < y1) ? 1 : -1;
+        let err = dx - dy;
+        while (true) {
+            fn(x0, y0);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * err;
+            if (e2 > -dy) { err -= dy; x0 += sx; }
+            if (e2 < dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    // Redraws the rubber band for the shape or gradient being dragged; nothing touches the cel until mouseup
+    updatePreview() {
+        const { width, height } = this.state;
+        if (this.previewCanvas.width !== width || this.previewCanvas.height !== height) {
+            this.previewCanvas.width = width;
+            this.previewCanvas.height = height;
+        }
+        this.previewCtx.clearRect(0, 0, width, height);
+        if (this.state.currentTool === 'gradient') this.drawGradient(this.previewCtx);
+        else this.drawShape(this.state.currentTool, this.startX, this.startY, this.lastX, this.lastY, this.previewCtx);
+        this.state.preview = this.previewCanvas;
+    }
+
+    // The pixels a gradient fills: the selection if there is one, otherwise the same-colored area under (x, y)
+    gradientArea(x, y) {
+        const { width, height, selection } = this.state;
+        if (selection) return selection.mask;
+        return this.floodRegion(x, y, this.workCtx.getImageData(0, 0, width, height).data);
+    }
+
+    // Palette entries gradientFrom..gradientTo (either direction), or the current and secondary colors (the other
+    // way round when dragged with the right button)
+    gradientColors() {
+        const { palette, gradientSource, gradientFrom, gradientTo } = this.state;
+        if (gradientSource === 'palette' && palette.length > 0) {
+            const clamp = (i) => Math.max(0, Math.min(palette.length - 1, i));
+            const from = clamp(gradientFrom), to = clamp(gradientTo), step = from <= to ? 1 : -1;
+            const colors = [];
+            for (let i = from; i !== to + step; i += step) colors.push(palette[i]);
+            return colors;
+        }
+        const colors = [this.colorModes.snap(this.state.currentColor), this.colorModes.snap(this.state.secondaryColor)];
+        return this.secondaryStroke ? colors.reverse() : colors;
+    }
+
+    // Ramps from the drag start (t = 0) to the pointer (t = 1), along the drag or outward from the start for a
+    // radial gradient. Between two neighbouring colors the dither matrix decides which one each pixel gets.
+    drawGradient(ctx) {
+        const { width, height, gradientShape, gradientDither } = this.state;
+        const colors = this.gradientColors().map(color => this.hexToRgb(color));
+        const region = this.gradientRegion;
+        const dx = this.lastX - this.startX, dy = this.lastY - this.startY;
+        const length2 = dx * dx + dy * dy;
+        const image = ctx.getImageData(0, 0, width, height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!region[y * width + x]) continue;
+                const rx = x - this.startX, ry = y - this.startY;
+                let t = 0;
+                if (length2 > 0) t = gradientShape === 'radial' ? Math.sqrt((rx * rx + ry * ry) / length2) : (rx * dx + ry * dy) / length2;
+                const position = Math.max(0, Math.min(1, t)) * (colors.length - 1);
+                let k = Math.floor(position);
+                if (k < colors.length - 1 && DitherPattern.threshold(gradientDither, x, y) < position - k) k++;
+                image.data.set(colors[k], (y * width + x) * 4);
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    drawShape(tool, x0, y0, x1, y1, ctx) {
+        const color = this.paintColor;
+        [x1, y1] = this.constrain(tool, x0, y0, x1, y1);
+        if (tool === 'line') {
+            this.drawLine(x0, y0, x1, y1, color, ctx);
+            return;
+        }
+        const left = Math.min(x0, x1), right = Math.max(x0, x1);
+        const top = Math.min(y0, y1), bottom = Math.max(y0, y1);
+        if (tool === 'rect') {
+            if (this.state.shapeFilled) {
+                for (let y = top; y <= bottom; y++) this.fillSpan(left, right, y, color, ctx);
+                return;
+            }
+            this.drawLine(left, top, right, top, color, ctx);
+            this.drawLine(right, top, right, bottom, color, ctx);
+            this.drawLine(right, bottom, left, bottom, color, ctx);
+            this.drawLine(left, bottom, left, top, color, ctx);
+        } else if (tool === 'ellipse') {
+            this.drawEllipse(left, top, right, bottom, color, ctx);
+        }
+    }
+
+    // Shift snaps lines to the nearest 45° and makes rectangles and ellipses square
+    constrain(tool, x0, y0, x1, y1) {
+        if (!this.shift) return [x1, y1];
+        const dx = x1 - x0, dy = y1 - y0;
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        if (tool === 'line') {
+            if (Math.abs(dx) > 2 * Math.abs(dy)) return [x1, y0];
+            if (Math.abs(dy) > 2 * Math.abs(dx)) return [x0, y1];
+        }
+        return [x0 + (dx < 0 ? -size : size), y0 + (dy < 0 ? -size : size)];
+    }
+
+    // Ellipse inscribed in the box: each row and column contributes its end pixels, which keeps the
+    // outline gap-free on both the flat and the steep parts of the curve
+    drawEllipse(left, top, right, bottom, color, ctx) {
+        const cx = (left + right) / 2, cy = (top + bottom) / 2;
+        const rx = (right - left) / 2 + 0.5, ry = (bottom - top) / 2 + 0.5;
+        const span = (center, radius, t) => {
+            const half = radius * Math.sqrt(Math.max(0, 1 - t * t));
+            let from = Math.ceil(center - half), to = Math.floor(center + half);
+            if (from > to) { from = Math.floor(center); to = Math.ceil(center); }
+            return [from, to];
+        };
+        for (let y = top; y <= bottom; y++) {
+            const [from, to] = span(cx, rx, (y - cy) / ry);
+            if (this.state.shapeFilled) {
+                this.fillSpan(from, to, y, color, ctx);
+            } else {
+                this.drawPixel(from, y, color, ctx);
+                this.drawPixel(to, y, color, ctx);
+            }
+        }
+        if (this.state.shapeFilled) return;
+        for (let x = left; x <= right; x++) {
+            const [from, to] = span(cy, ry, (x - cx) / rx);
+            this.drawPixel(x, from, color, ctx);
+            this.drawPixel(x, to, color, ctx);
+        }
+    }
+
+    // One-pixel-high run for filled shapes, clipped to (or wrapped around) the canvas and the selection
+    fillSpan(x0, x1, y, color, ctx) {
+        const { width, height } = this.state;
+        ctx.fillStyle = color;
+        this.symmetric(x0, y, x1, y).forEach(([ax, ay, bx, by]) => {
+            // Mirrors of a row are rows; only radial copies come out slanted
+            if (ay === by && !this.selection.active && !this.state.tiledMode) {
+                const from = Math.max(0, Math.min(ax, bx)), to = Math.min(width - 1, Math.max(ax, bx));
+                if (ay >= 0 && ay < height && to >= from) ctx.fillRect(from, ay, to - from + 1, 1);
+                return;
+            }
+            this.rasterLine(ax, ay, bx, by, (x, y2) => {
+                [x, y2] = this.place(x, y2);
+                if (x >= 0 && y2 >= 0 && x < width && y2 < height && this.selection.contains(x, y2)) ctx.fillRect(x, y2, 1, 1);
+            });
+        });
+    }
+
+    // Also used by the viewport to place the guide
+    static symmetryAxis({ symmetryX, symmetryY, width, height }) {
+        return { x: symmetryX === null ? width / 2 : symmetryX, y: symmetryY === null ? height / 2 : symmetryY };
+    }
+
+    // The segment from (x0, y0) to (x1, y1) plus its copies under the active symmetry mode, without duplicates.
+    // A single pixel is passed as a zero-length segment.
+    symmetric(x0, y0, x1, y1) {
+        const segments = [[x0, y0, x1, y1]];
+        const { symmetryEnabled, symmetryMode, symmetrySegments } = this.state;
+        if (!symmetryEnabled) return segments;
+        const axis = ToolManager.symmetryAxis(this.state);
+        // The axes sit on pixel edges or centres, so mirrored pixel indices stay whole
+        const mirrorX = (x) => 2 * axis.x - 1 - x;
+        const mirrorY = (y) => 2 * axis.y - 1 - y;
+        if (symmetryMode === 'horizontal' || symmetryMode === 'four') segments.push([mirrorX(x0), y0, mirrorX(x1), y1]);
+        if (symmetryMode === 'vertical' || symmetryMode === 'four') segments.push([x0, mirrorY(y0), x1, mirrorY(y1)]);
+        if (symmetryMode === 'four') segments.push([mirrorX(x0), mirrorY(y0), mirrorX(x1), mirrorY(y1)]);
+        if (symmetryMode === 'radial') {
+            const n = Math.max(2, symmetrySegments);
+            // Rotates the pixel centre about the axis point; the epsilon keeps exact edges from flooring down
+            const rotate = (x, y, angle) => {
+                const dx = x + 0.5 - axis.x, dy = y + 0.5 - axis.y;
+                const cos = Math.cos(angle), sin = Math.sin(angle);
+                return [Math.floor(axis.x + dx * cos - dy * sin + 1e-9), Math.floor(axis.y + dx * sin + dy * cos + 1e-9)];
+            };
+            for (let k = 1; k < n; k++) {
+                const angle = 2 * Math.PI * k / n;
+                segments.push([...rotate(x0, y0, angle), ...rotate(x1, y1, angle)]);
+            }
+        }
+        const seen = new Set();
+        return segments.filter(segment => {
+            const key = segment.join(',');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    floodFill(startX, startY, fillColor) {
+        const imgData = this.workCtx.getImageData(0, 0, this.state.width, this.state.height);
+        const data = imgData.data;
+        const fillRGBA = this.hexToRgb(fillColor);
+        const { width, height, fillTolerance, fillContiguous, fillDiagonal, fillBlend } = this.state;
+        const patterned = this.patterned;
+        // Mirrored start points each fill their own region, but no pixel is painted twice
+        const filled = new Uint8Array(width * height);
+        this.symmetric(startX, startY, startX, startY).forEach(([x, y]) => {
+            if (x < 0 || y < 0 || x >= width || y >= height || filled[y * width + x]) return;
+            if (!patterned && fillTolerance === 0 && this.colorsMatch(this.getPixelColor(x, y, data), fillRGBA)) return;
+            const region = this.floodRegion(x, y, data, (x2, y2) => this.selection.contains(x2, y2),
+                { tolerance: fillTolerance, contiguous: fillContiguous, diagonal: fillDiagonal });
+            for (let i = 0; i < region.length; i++) {
+                if (!region[i] || filled[i]) continue;
+                filled[i] = 1;
+                const px = i % width;
+                const paint = patterned ? this.patternColor(px, (i - px) / width, fillColor) : fillColor;
+                if (paint) ToolManager.blend(data, i * 4, paint === fillColor ? fillRGBA : this.hexToRgb(paint), fillBlend);
+            }
+        });
+        this.workCtx.putImageData(imgData, 0, 0);
+    }
+
+    // Writes `rgba` into `data` at byte `i`: 'replace' overwrites, 'normal' composites over the pixel and
+    // 'behind' composites under it
+    static blend(data, i, rgba, mode) {
+        if (mode === 'replace') {
+            data[i] = rgba[0]; data[i + 1] = rgba[1]; data[i + 2] = rgba[2]; data[i + 3] = rgba[3];
+            return;
+        }
+        let top = rgba, bottom = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+        if (mode === 'behind') [top, bottom] = [bottom, top];
+        const ta = top[3] / 255, ba = bottom[3] / 255 * (1 - ta);
+        const a = ta + ba;
+        if (a === 0) return;
+        for (let c = 0; c < 3; c++) data[i + c] = (top[c] * ta + bottom[c] * ba) / a;
+        data[i + 3] = a * 255;
+    }
+
+    // Mask of the pixels whose color is within `tolerance` of the color at (startX, startY), optionally limited by
+    // `allowed(x, y)`. Contiguous regions are found with a scanline fill: every seed is widened to its whole
+    // horizontal span and the rows above and below get one seed per run of matching pixels; `diagonal` lets the
+    // region continue through pixels that only touch at a corner. Shared by the bucket fill and the magic wand.
+    floodRegion(startX, startY, data, allowed = () => true, { tolerance = 0, contiguous = true, diagonal = false } = {}) {
+        const { width, height } = this.state;
+        const region = new Uint8Array(width * height);
+        if (!allowed(startX, startY)) return region;
+        const target = this.getPixelColor(startX, startY, data);
+        const inside = (x, y) => {
+            const p = y * width + x;
+            return !region[p] && ToolManager.colorNear(data, p * 4, target, tolerance) && allowed(x, y);
+        };
+        if (!contiguous) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) if (inside(x, y)) region[y * width + x] = 1;
+            }
+            return region;
+        }
+        const seeds = [startY * width + startX];
+        while (seeds.length > 0) {
+            const seed = seeds.pop();
+            if (region[seed]) continue;
+            const y = Math.floor(seed / width);
+            let left = seed - y * width, right = left;
+            while (left > 0 && inside(left - 1, y)) left--;
+            while (right < width - 1 && inside(right + 1, y)) right++;
+            region.fill(1, y * width + left, y * width + right + 1);
+            const from = diagonal ? Math.max(0, left - 1) : left;
+            const to = diagonal ? Math.min(width - 1, right + 1) : right;
+            [y - 1, y + 1].forEach(ny => {
+                if (ny < 0 || ny >= height) return;
+                let run = false;
+                for (let x = from; x <= to; x++) {
+                    const hit = inside(x, ny);
+                    if (hit && !run) seeds.push(ny * width + x);
+                    run = hit;
+                }
+            });
+        }
+        return region;
+    }
+
+    // Every channel, alpha included, within `tolerance`; fully transparent pixels all count as the same color
+    static colorNear(data, i, target, tolerance) {
+        if (data[i + 3] === 0 && target[3] === 0) return true;
+        return Math.abs(data[i] - target[0]) <= tolerance && Math.abs(data[i + 1] - target[1]) <= tolerance &&
+            Math.abs(data[i + 2] - target[2]) <= tolerance && Math.abs(data[i + 3] - target[3]) <= tolerance;
+    }
+
+    // Takes the full RGBA under (x, y), transparency included, from the active layer or the visible image
+    pickColor(x, y) {
+        const source = this.state.eyedropperSample === 'composite' ? this.layers.flatten().getContext('2d') : this.workCtx;
+        const [r, g, b, a] = source.getImageData(x, y, 1, 1).data;
+        const color = PaletteFile.toHex(r, g, b) + (a < 255 ? a.toString(16).padStart(2, '0') : '');
+        this.state.update({ [this.secondaryStroke ? 'secondaryColor' : 'currentColor']: color });
+    }
+
+    remember(color) {
+        const recent = this.state.recentColors;
+        if (recent[0] === color) return;
+        this.state.update({ recentColors: [color, ...recent.filter(c => c !== color)].slice(0, ToolManager.RECENT_COLORS) });
+    }
+
+    getPixelColor(x, y, data) {
+        const i = (y * this.state.width + x) * 4;
+        return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+    }
+
+    setPixelData(x, y, data, rgba) {
+        const i = (y * this.state.width + x) * 4;
+        data[i] = rgba[0]; data[i + 1] = rgba[1]; data[i + 2] = rgba[2]; data[i + 3] = rgba[3];
+    }
+
+    colorsMatch(c1, c2) { return c1[0] === c2[0] && c1[1] === c2[1] && c1[2] === c2[2] && c1[3] === c2[3]; }
+
+    // Colors may carry alpha as a fourth byte (#rrggbbaa)
+    hexToRgb(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})?$/i.exec(hex);
+        if (!result) return [0, 0, 0, 255];
+        return [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16), result[4] ? parseInt(result[4], 16) : 255];
+    }
+}
+
+// --- 14. Theme System ---
+class ThemeSystem {
+    constructor(state) {
+        this.state = state;
+        this.toggleBtn = document.getElementById('theme-toggle');
+        this.init();
+    }
+
+    init() {
+        const savedTheme = localStorage.getItem('theme') || (window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark');
+        this.apply(savedTheme);
+        if (this.toggleBtn) {
+            this.toggleBtn.onclick = () => {
+                const current = document.documentElement.getAttribute('data-theme');
+                this.apply(current === 'dark' ? 'light' : 'dark');
+            };
+        }
+    }
+
+    apply(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        if (this.toggleBtn) {
+            const targetIcon = theme === 'light' ? 'moon' : 'sun';
+            this.toggleBtn.innerHTML = `<i data-lucide="${targetIcon}"></i>`;
+            if (window.lucide) window.lucide.createIcons();
+        }
+        this.state.notify();
+    }
+}
+
+// --- 15. File Management ---
+class FileManager {
+    static EXPORT_TEMPLATE = 'texture_{width}x{height}';
+    static MAX_EXPORT_SIZE = 8192;
+
+    constructor(state, viewport, layers, frames, history) {
+        this.state = state; this.viewport = viewport; this.layers = layers; this.frames = frames; this.history = history;
+        // The import dialog handles what is picked here
+        this.fileInput = document.getElementById('file-input');
+        this.projectHandle = null;
+        this.projectInput = document.getElementById('project-input');
+        if (this.projectInput) {
+            this.projectInput.onchange = (e) => {
+                const file = e.target.files[0];
+                if (file) this.openProjectFile(file);
+                e.target.value = '';
+            };
+        }
+    }
+
+    // Flattened active frame, cropped to the document
+    exportImage() {
+        const { width, height } = this.state;
+        return this.layers.flatten().getContext('2d').getImageData(0, 0, width, height);
+    }
+
+    // Tokens: {name}, {width} and {height} (of the exported pixels) and {scale}
+    exportFilename(template, { format, width, height, scale }) {
+        const name = template
+            .replace(/\{name\}/g, this.state.documentName)
+            .replace(/\{width\}/g, width)
+            .replace(/\{height\}/g, height)
+            .replace(/\{scale\}/g, scale)
+            .replace(/[\\/:*?"<>|]+/g, '_').trim();
+        return `${name || 'export'}.${format}`;
+    }
+
+    canvasBlob(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(ImageTransform.imageData(image), 0, 0);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    // Encodes the active frame as 'png' or 'svg' scaled by `scale` (or by a PixelScaler filter's own factor), or
+    // as an 'ico' holding every size in `icoSizes`. Resolves to { blob, filename, image } where `image` is the
+    // largest raster written.
+    async renderExport({ format = 'png', scale = 1, filter = 'nearest', icoSizes = [16, 32, 48], template = FileManager.EXPORT_TEMPLATE } = {}) {
+        const source = this.exportImage();
+        if (format === 'ico') {
+            const sizes = icoSizes.slice().sort((a, b) => a - b);
+            if (sizes.length === 0) throw new Error('Pick at least one icon size.');
+            const images = sizes.map(size => PixelScaler.fit(source, size));
+            const image = images[images.length - 1];
+            const blob = new Blob([IcoEncoder.encode(images)], { type: 'image/x-icon' });
+            return { blob, image, filename: this.exportFilename(template, { format, width: image.width, height: image.height, scale }) };
+        }
+        const smoothed = filter !== 'nearest' && PixelScaler.FILTERS[filter];
+        if (smoothed) scale = smoothed.factor;
+        if (Math.max(source.width, source.height) * scale > FileManager.MAX_EXPORT_SIZE) {
+            throw new Error(`Exports are limited to ${FileManager.MAX_EXPORT_SIZE}px per side.`);
+        }
+        const image = PixelScaler.apply(filter, source, scale);
+        const filename = this.exportFilename(template, { format, width: image.width, height: image.height, scale });
+        if (format === 'svg') {
+            // Filtered output is already at full size; plain scaling stays one rect per source run
+            const svg = smoothed ? SvgEncoder.encode(image) : SvgEncoder.encode(source, scale);
+            return { blob: new Blob([svg], { type: 'image/svg+xml' }), image, filename };
+        }
+        // Indexed documents export as a paletted PNG that engines can load with the palette intact
+        if (this.state.colorMode === 'indexed' && this.state.palette.length > 0) {
+            // Smoothing filters blend colors, so their output is snapped back onto the palette first
+            if (smoothed) IndexedColor.quantize(image, this.state.palette);
+            return { blob: new Blob([PngEncoder.encodeIndexed(image, this.state.palette)], { type: 'image/png' }), image, filename };
+        }
+        return { blob: await this.canvasBlob(image), image, filename };
+    }
+
+    async saveExport(options) {
+        try {
+            const result = await this.renderExport(options);
+            this.download(result.blob, result.blob.type, result.filename);
+            return result;
+        } catch (err) {
+            alert(`Could not export: ${err.message}`);
+            return null;
+        }
+    }
+
+    exportPNG() { return this.saveExport({ format: 'png', scale: 1 }); }
+
+    // Flattened pixels of every frame in playback order (ping-pong mode exports the bounce as well)
+    collectFrames() {
+        const { width, height } = this.state;
+        const canvas = document.createElement('canvas');
+        return this.frames.sequence().map(index => ({
+            image: this.layers.flatten(index, canvas).getContext('2d').getImageData(0, 0, width, height),
+            delay: this.state.frames[index].duration
+        }));
+    }
+
+    exportGIF() {
+        this.download(GifEncoder.encode(this.collectFrames()), 'image/gif', `animation_${this.state.width}x${this.state.height}.gif`);
+    }
+
+    exportAPNG() {
+        this.download(PngEncoder.encodeAnimated(this.collectFrames()), 'image/png', `animation_${this.state.width}x${this.state.height}.png`);
+    }
+
+    // Sprites for a sheet: every frame whole, or every frame cut into `tileWidth` × `tileHeight` tiles
+    spriteSources(source = 'frames', tileWidth = this.state.width, tileHeight = this.state.height) {
+        const { width, height } = this.state;
+        const canvas = document.createElement('canvas');
+        const name = this.state.documentName;
+        const sprites = [];
+        this.state.frames.forEach((frame, f) => {
+            const ctx = this.layers.flatten(f, canvas).getContext('2d');
+            if (source !== 'tiles') {
+                sprites.push({ name: `${name} ${f}`, image: ctx.getImageData(0, 0, width, height), duration: frame.duration });
+                return;
+            }
+            // Partial tiles at the right and bottom edges are dropped
+            for (let y = 0; y + tileHeight <= height; y += tileHeight) {
+                for (let x = 0; x + tileWidth <= width; x += tileWidth) {
+                    const index = (y / tileHeight) * Math.floor(width / tileWidth) + x / tileWidth;
+                    sprites.push({ name: `${name} ${f}-${index}`, image: ctx.getImageData(x, y, tileWidth, tileHeight), duration: frame.duration });
+                }
+            }
+        });
+        return sprites;
+    }
+
+    // Writes `<name>.png` plus a `<name>.json` atlas; `options` are SpriteSheet.build options plus source,
+    // tileWidth, tileHeight and atlasFormat
+    exportSpriteSheet(options = {}) {
+        const sprites = this.spriteSources(options.source, options.tileWidth, options.tileHeight);
+        if (sprites.length === 0) {
+            alert('The tile size is larger than the canvas, so there is nothing to export.');
+            return null;
+        }
+        const sheet = SpriteSheet.build(sprites, options);
+        const base = (this.state.documentName.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'sprites') + '_sheet';
+        const atlas = SpriteSheet.atlas(sheet, `${base}.png`, options.atlasFormat);
+        this.download(PngEncoder.encode(sheet.image), 'image/png', `${base}.png`);
+        this.download(JSON.stringify(atlas, null, 2), 'application/json', `${base}.json`);
+        return sheet;
+    }
+
+    // Replaces the document with one frame per `tileWidth` × `tileHeight` cell of the sheet, read row by row
+    importSpriteSheet(file, tileWidth, tileHeight, skipEmpty = true) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onerror = () => { alert(`Could not read ${file.name} as an image.`); resolve(false); };
+            img.onload = () => {
+                const columns = Math.floor(img.width / tileWidth), rows = Math.floor(img.height / tileHeight);
+                if (tileWidth > 320 || tileHeight > 320) { alert('Tiles too large! Maximum 320x320.'); resolve(false); return; }
+                if (columns === 0 || rows === 0) { alert('The tile size is larger than the sheet.'); resolve(false); return; }
+                const source = document.createElement('canvas');
+                source.width = img.width;
+                source.height = img.height;
+                const sourceCtx = source.getContext('2d', { willReadFrequently: true });
+                sourceCtx.drawImage(img, 0, 0);
+                const cells = [];
+                for (let row = 0; row < rows; row++) {
+                    for (let col = 0; col < columns; col++) {
+                        const image = sourceCtx.getImageData(col * tileWidth, row * tileHeight, tileWidth, tileHeight);
+                        if (skipEmpty && !image.data.some((v, i) => i % 4 === 3 && v > 0)) continue;
+                        cells.push(image);
+                    }
+                }
+                if (cells.length === 0) { alert('Every cell of the sheet is empty.'); resolve(false); return; }
+
+                this.state.update({
+                    width: tileWidth, height: tileHeight, colorMode: 'rgba',
+                    documentId: SessionStore.newId(), documentName: file.name.replace(/\.[^.]+$/, '')
+                });
+                this.layers.reset();
+                this.layers.list[0].cels = cells.map(image => {
+                    const cel = this.layers.createCel(tileWidth, tileHeight);
+                    cel.ctx.putImageData(image, 0, 0);
+                    return cel;
+                });
+                this.state.update({ frames: cells.map((_, f) => ({ id: f + 1, duration: 100 })) });
+                this.viewport.autoFit();
+                this.state.resetHistory(`Imported ${file.name}`);
+                resolve(true);
+            };
+            const reader = new FileReader();
+            reader.onload = (event) => { img.src = event.target.result; };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    download(bytes, type, filename) {
+        const url = URL.createObjectURL(new Blob([bytes], { type }));
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        // Give the download a moment to start before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    readImage(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = reject;
+                img.src = event.target.result;
+            };
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Crops (pinned to `anchor`) or scales the image to `width` × `height`, then snaps it to the palette or to
+    // `count` colors of its own. Returns new pixels and leaves `image` as it was.
+    static prepareImport(image, { size, width, height, anchor, colors, count, dither }, palette) {
+        let out;
+        if (size === 'crop') out = ImageTransform.resizeCanvas(image, width, height, anchor);
+        else if (size === 'scale') out = ImageTransform.scale(image, width, height);
+        else out = new ImageData(new Uint8ClampedArray(image.data), image.width, image.height);
+        if (colors === 'palette' && palette.length > 0) IndexedColor.quantize(out, palette, dither);
+        else if (colors === 'reduce') IndexedColor.reduce(out, count, dither);
+        return out;
+    }
+
+    // Replaces the document with a single layer holding the pixels
+    openImage(image, name) {
+        this.state.update({
+            width: image.width, height: image.height, colorMode: 'rgba',
+            documentId: SessionStore.newId(), documentName: name.replace(/\.[^.]+$/, '')
+        });
+        this.layers.reset();
+        this.layers.activeCtx.putImageData(image, 0, 0);
+        this.viewport.autoFit();
+        this.state.resetHistory(`Imported ${name}`);
+    }
+
+    triggerImport() { if (this.fileInput) this.fileInput.click(); }
+
+    // --- Project files ---
+
+    // Save writes back to the file it was opened from or last saved to; without one it behaves like Save As
+    saveProject() {
+        if (this.projectHandle || !window.showSaveFilePicker) return this.writeProject(false);
+        return this.openSaveAsDialog();
+    }
+
+    openSaveAsDialog() {
+        const modal = document.getElementById('save-as-modal');
+        const nameIn = document.getElementById('save-as-name');
+        const historyIn = document.getElementById('save-as-history');
+        if (!modal) return this.writeProject(true);
+        if (nameIn) nameIn.value = this.state.documentName;
+        if (historyIn) historyIn.checked = this.state.projectIncludesHistory;
+        modal.classList.add('active');
+        if (nameIn) { nameIn.focus(); nameIn.select(); }
+    }
+
+    confirmSaveAs() {
+        const modal = document.getElementById('save-as-modal');
+        const nameIn = document.getElementById('save-as-name');
+        const historyIn = document.getElementById('save-as-history');
+        const name = (nameIn && nameIn.value.trim()) || this.state.documentName;
+        this.state.update({
+            documentName: name.replace(/\.pnk$/i, ''),
+            projectIncludesHistory: historyIn ? historyIn.checked : this.state.projectIncludesHistory
+        });
+        if (modal) modal.classList.remove('active');
+        return this.writeProject(true);
+    }
+
+    async writeProject(saveAs) {
+        const history = this.state.projectIncludesHistory ? this.history.serialize() : null;
+        const text = ProjectFile.serialize(this.state, this.layers.snapshot(), history);
+        const filename = `${this.state.documentName}${ProjectFile.EXTENSION}`;
+        if (!window.showSaveFilePicker) {
+            this.download(text, 'application/json', filename);
+            return;
+        }
+        try {
+            if (saveAs || !this.projectHandle) {
+                this.projectHandle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{ description: 'Pixel no Kiseki Project', accept: { 'application/json': [ProjectFile.EXTENSION] } }]
+                });
+                this.state.update({ documentName: this.projectHandle.name.replace(/\.[^.]+$/, '') });
+            }
+            const writable = await this.projectHandle.createWritable();
+            await writable.write(text);
+            await writable.close();
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Project Save Error:', err);
+            alert(`Could not save the project: ${err.message}`);
+        }
+    }
+
+    async openProject() {
+        if (!window.showOpenFilePicker) {
+            if (this.projectInput) this.projectInput.click();
+            return;
+        }
+        try {
+            const [handle] = await window.showOpenFilePicker({
+                types: [{ description: 'Pixel no Kiseki Project', accept: { 'application/json': [ProjectFile.EXTENSION] } }]
+            });
+            const file = await handle.getFile();
+            if (await this.loadProject(await file.text(), file.name)) this.projectHandle = handle;
+        } catch (err) {
+            if (err.name !== 'AbortError') console.error('Project Open Error:', err);
+        }
+    }
+
+    // A .pnk picked from the file input or dropped on the canvas
+    async openProjectFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (err) {
+            alert(`Could not read ${file.name}.`);
+            return false;
+        }
+        return this.loadProject(text, file.name);
+    }
+
+    // Resolves true once the project is in place, false (after telling the user why) if it was rejected.
+    // Reopening an autosaved document passes its id so further autosaves update the same record.
+    async loadProject(text, filename, documentId = SessionStore.newId()) {
+        try {
+            const project = ProjectFile.parse(text);
+            await this.layers.restore(project.document, true).catch(err => { throw new ProjectFormatError(err.message); });
+            const settings = {};
+            ProjectFile.SETTINGS.forEach(key => {
+                if (project.settings && project.settings[key] !== undefined) settings[key] = project.settings[key];
+            });
+            this.projectHandle = null;
+            this.state.update({
+                ...settings,
+                palette: project.palette.map(c => c.toLowerCase()),
+                documentName: project.name || filename.replace(/\.[^.]+$/, ''),
+                documentId,
+                projectIncludesHistory: !!project.history
+            });
+            if (project.history) this.history.deserialize(project.history);
+            else this.state.resetHistory(`Opened ${this.state.documentName}`);
+            this.viewport.autoFit();
+            return true;
+        } catch (err) {
+            if (!(err instanceof ProjectFormatError)) console.error('Project Open Error:', err);
+            alert(err instanceof ProjectFormatError ? `Could not open project.\n\n${err.message}` : `Could not open project: ${err.message}`);
+            return false;
+        }
+    }
+}
+
+class ProjectFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectFormatError';
+    }
+}
+
+// Native `.pnk` project: a versioned JSON document wrapping a LayerManager snapshot plus editor settings.
+// v2 replaced the v1 undo history (a list of full document snapshots) with HistoryManager's patch log.
+class ProjectFile {
+    static FORMAT = 'pixel-no-kiseki';
+    static VERSION = 2;
+    static EXTENSION = '.pnk';
+    static SETTINGS = ['currentColor', 'paletteName', 'colorMode', 'currentTool', 'brushSize', 'shapeFilled', 'symmetryMode', 'symmetrySegments', 'playbackMode', 'onionSkin',
+        'secondaryColor', 'pattern', 'patternLevel', 'patternBackground', 'patternCustom',
+        'gradientShape', 'gradientSource', 'gradientFrom', 'gradientTo', 'gradientDither',
+        'fillTolerance', 'fillContiguous', 'fillDiagonal', 'fillBlend', 'reference', 'previewScale', 'previewBackground',
+        'recentColors', 'eyedropperSample', 'brushShape', 'brushCustom', 'brushSpacing', 'brushJitter', 'pixelPerfect',
+        'pixelGrid', 'tileGrid', 'tileGridWidth', 'tileGridHeight', 'tileGridOffsetX', 'tileGridOffsetY', 'tileGridColor', 'tiledMode'];
+
+    // What each saved setting may hold. Checked when a project or autosave is opened; a value that fails falls
+    // back to the editor default, since a bad setting shouldn't cost the user their pixels.
+    static SETTING_RULES = (() => {
+        const int = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+        const oneOf = (...values) => v => values.includes(v);
+        const bool = v => typeof v === 'boolean';
+        const color = v => typeof v === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(v);
+        const rgb = v => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+        const bits = (v, max) => !!v && typeof v === 'object' && Number.isInteger(v.width) && Number.isInteger(v.height) &&
+            v.width >= 1 && v.width <= max && v.height >= 1 && v.height <= max &&
+            Array.isArray(v.bits) && v.bits.length === v.width * v.height && v.bits.every(bit => bit === 0 || bit === 1);
+        return {
+            currentColor: color,
+            secondaryColor: color,
+            paletteName: v => typeof v === 'string',
+            colorMode: oneOf('rgba', 'indexed'),
+            currentTool: v => ToolManager.TOOLS.includes(v),
+            brushSize: int(1, 16),
+            shapeFilled: bool,
+            symmetryMode: oneOf('horizontal', 'vertical', 'four', 'radial'),
+            symmetrySegments: int(2, 16),
+            playbackMode: oneOf('loop', 'pingpong'),
+            onionSkin: bool,
+            pattern: v => typeof v === 'string' && Object.hasOwn(DitherPattern.PATTERNS, v),
+            patternLevel: v => typeof v === 'number' && v >= 0 && v <= 1,
+            patternBackground: oneOf('transparent', 'secondary'),
+            patternCustom: v => v === null || bits(v, DitherPattern.MAX_CUSTOM),
+            gradientShape: oneOf('linear', 'radial'),
+            gradientSource: oneOf('colors', 'palette'),
+            gradientFrom: int(0, 255),
+            gradientTo: int(0, 255),
+            gradientDither: oneOf('bayer2', 'bayer4', 'bayer8', 'none'),
+            fillTolerance: int(0, 255),
+            fillContiguous: bool,
+            fillDiagonal: bool,
+            fillBlend: oneOf('normal', 'behind', 'replace'),
+            reference: v => v === null || ReferencePanel.isValid(v),
+            previewScale: v => PreviewPanel.SCALES.includes(v),
+            previewBackground: v => v === null || rgb(v),
+            recentColors: v => Array.isArray(v) && v.length <= ToolManager.RECENT_COLORS && v.every(color),
+            eyedropperSample: oneOf('layer', 'composite'),
+            brushShape: v => v === 'custom' || (typeof v === 'string' && Object.hasOwn(Brush.SHAPES, v)),
+            brushCustom: v => v === null || Brush.isValid(v),
+            brushSpacing: int(1, 16),
+            brushJitter: int(0, 16),
+            pixelPerfect: bool,
+            pixelGrid: bool,
+            tileGrid: bool,
+            tileGridWidth: int(1, 320),
+            tileGridHeight: int(1, 320),
+            tileGridOffsetX: int(-320, 320),
+            tileGridOffsetY: int(-320, 320),
+            tileGridColor: rgb,
+            tiledMode: bool
+        };
+    })();
+
+    // `history` is HistoryManager.serialize() output, or null to leave the undo history out
+    static serialize(state, document, history = null) {
+        const settings = {};
+        ProjectFile.SETTINGS.forEach(key => { settings[key] = state[key]; });
+        const project = {
+            format: ProjectFile.FORMAT,
+            version: ProjectFile.VERSION,
+            name: state.documentName,
+            palette: state.palette.slice(),
+            settings,
+            document
+        };
+        if (history) project.history = history;
+        return JSON.stringify(project);
+    }
+
+    // Raw RGBA bytes as base64, for history patches that must round-trip exactly
+    static encodePixels(data) {
+        let binary = '';
+        for (let i = 0; i < data.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static decodePixels(text) {
+        const binary = atob(text);
+        const data = new Uint8ClampedArray(binary.length);
+        for (let i = 0; i < binary.length; i++) data[i] = binary.charCodeAt(i);
+        return data;
+    }
+
+    // Parses and validates a project file's text; throws ProjectFormatError describing the first problem found
+    static parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (err) {
+            throw new ProjectFormatError('This project file is corrupt and could not be read.');
+        }
+        if (!project || typeof project !== 'object' || project.format !== ProjectFile.FORMAT) {
+            throw new ProjectFormatError('This is not a Pixel no Kiseki project file.');
+        }
+        if (!Number.isInteger(project.version) || project.version < 1) {
+            throw new ProjectFormatError('This project file has an invalid format version.');
+        }
+        if (project.version > ProjectFile.VERSION) {
+            throw new ProjectFormatError(`This project was saved by a newer version of Pixel no Kiseki (format v${project.version}). This editor opens format v${ProjectFile.VERSION} and older.`);
+        }
+        if (!Array.isArray(project.palette) || !project.palette.every(c => /^#[0-9a-f]{6}$/i.test(c))) {
+            throw new ProjectFormatError('The palette must be a list of #RRGGBB colors.');
+        }
+        if (project.settings !== undefined && (typeof project.settings !== 'object' || project.settings === null)) {
+            throw new ProjectFormatError('The project settings are malformed.');
+        }
+        if (project.settings) project.settings = ProjectFile.validateSettings(project.settings);
+        ProjectFile.validateDocument(project.document);
+        // v1 history was whole-document snapshots; rather than replay them into patches it is dropped
+        if (project.version < 2) delete project.history;
+        if (project.history !== undefined) ProjectFile.validateHistory(project.history, project.document);
+        return project;
+    }
+
+    // The known settings, with any value its rule rejects replaced by the default. Missing keys stay missing.
+    static validateSettings(settings) {
+        const defaults = new State();
+        const valid = {};
+        ProjectFile.SETTINGS.forEach(key => {
+            const value = settings[key];
+            if (value === undefined) return;
+            valid[key] = ProjectFile.SETTING_RULES[key](value) ? value : defaults[key];
+        });
+        return valid;
+    }
+
+    static validateDocument(doc) {
+        const fail = (message) => { throw new ProjectFormatError(message[0].toUpperCase() + message.slice(1)); };
+        if (!doc || typeof doc !== 'object') fail('the document data is missing.');
+        const inRange = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+        if (!inRange(doc.width, 1, 320) || !inRange(doc.height, 1, 320)) fail('width and height must be whole numbers between 1 and 320.');
+        if (!Array.isArray(doc.frames) || doc.frames.length === 0) fail('there must be at least one frame.');
+        doc.frames.forEach((frame, i) => {
+            if (!frame || typeof frame.duration !== 'number' || !(frame.duration > 0)) fail(`frame ${i + 1} has an invalid duration.`);
+        });
+        if (!Array.isArray(doc.layers) || doc.layers.length === 0) fail('there must be at least one layer.');
+        const blendModes = LayerManager.BLEND_MODES.map(([value]) => value);
+        doc.layers.forEach((layer, i) => {
+            const where = `layer ${i + 1}`;
+            if (!layer || typeof layer.name !== 'string') fail(`${where} has no name.`);
+            if (!Number.isInteger(layer.id)) fail(`${where} has no id.`);
+            if (typeof layer.visible !== 'boolean' || typeof layer.locked !== 'boolean') fail(`${where} has invalid visibility or lock flags.`);
+            if (typeof layer.opacity !== 'number' || layer.opacity < 0 || layer.opacity > 1) fail(`${where} opacity must be between 0 and 1.`);
+            if (!blendModes.includes(layer.blendMode)) fail(`${where} uses an unknown blend mode "${layer.blendMode}".`);
+            if (!Array.isArray(layer.cels) || layer.cels.length !== doc.frames.length) fail(`${where} must have one image per frame.`);
+            layer.cels.forEach((cel, f) => {
+                if (typeof cel !== 'string' || !cel.startsWith('data:image/png;base64,')) fail(`${where}, frame ${f + 1} is not a PNG image.`);
+            });
+        });
+        // Out-of-range selections are clamped rather than rejected
+        if (!inRange(doc.activeLayerIndex, 0, doc.layers.length - 1)) doc.activeLayerIndex = doc.layers.length - 1;
+        if (!inRange(doc.activeFrameIndex, 0, doc.frames.length - 1)) doc.activeFrameIndex = 0;
+    }
+
+    // Checks the shape of a saved patch log and that every cel it names has pixels to come back to
+    static validateHistory(history, doc) {
+        const fail = (message) => { throw new ProjectFormatError(`The saved undo history is damaged: ${message}`); };
+        const isInt = (v, min = 0) => Number.isInteger(v) && v >= min;
+        // Base64 of exactly width × height RGBA pixels
+        const sized = (text, width, height) => typeof text === 'string' && text.length === Math.ceil(width * height * 4 / 3) * 4;
+        if (!history || typeof history !== 'object' || !Array.isArray(history.entries)) fail('it has no steps.');
+        if (!isInt(history.index) || history.index > history.entries.length) fail('the current step is out of range.');
+        if (typeof history.baseLabel !== 'string') fail('the first step has no name.');
+        const docCels = history.documentCels;
+        if (!Array.isArray(docCels) || docCels.length !== doc.layers.length ||
+            docCels.some(ids => !Array.isArray(ids) || ids.length !== doc.frames.length || !ids.every(id => isInt(id, 1)))) {
+            fail('its cel list does not match the document.');
+        }
+        // Cel id -> its pixel size, so layouts can only put cels of their own size back in place
+        const known = new Map(docCels.flat().map(id => [id, { width: doc.width, height: doc.height }]));
+        if (!Array.isArray(history.cels)) fail('its stored cels are missing.');
+        history.cels.forEach(cel => {
+            if (!cel || !isInt(cel.id, 1) || !isInt(cel.width, 1) || !isInt(cel.height, 1) || !sized(cel.pixels, cel.width, cel.height)) fail('a stored cel is malformed.');
+            known.set(cel.id, { width: cel.width, height: cel.height });
+        });
+        const blendModes = LayerManager.BLEND_MODES.map(([value]) => value);
+        // The same rules validateDocument applies, since undoing to a layout makes it the document
+        const structure = (st, where) => {
+            if (st === null) return;
+            if (!st || !isInt(st.width, 1) || !isInt(st.height, 1) || !Array.isArray(st.frames) || !Array.isArray(st.layers)) fail(`${where} has a malformed document layout.`);
+            if (st.palette !== undefined && !(Array.isArray(st.palette) && st.palette.every(c => /^#[0-9a-f]{6}$/i.test(c)))) fail(`${where} has a malformed palette.`);
+            if (st.colorMode !== undefined && !['rgba', 'indexed'].includes(st.colorMode)) fail(`${where} has an unknown color mode.`);
+            if (st.frames.length === 0 || st.layers.length === 0) fail(`${where} has a layout with no frames or no layers.`);
+            if (st.frames.some(frame => !frame || typeof frame.duration !== 'number' || !(frame.duration > 0))) fail(`${where} has a frame with an invalid duration.`);
+            if (!isInt(st.activeLayerIndex) || st.activeLayerIndex >= st.layers.length ||
+                !isInt(st.activeFrameIndex) || st.activeFrameIndex >= st.frames.length) {
+                fail(`${where} selects a layer or frame that does not exist.`);
+            }
+            st.layers.forEach(layer => {
+                if (!layer || !isInt(layer.id, 1) || !Array.isArray(layer.cels) || !layer.cels.every(id => known.has(id))) fail(`${where} refers to a missing layer image.`);
+                if (layer.cels.length !== st.frames.length) fail(`${where} has a layer without one image per frame.`);
+                if (layer.cels.some(id => known.get(id).width !== st.width || known.get(id).height !== st.height)) fail(`${where} has a layer image of the wrong size.`);
+                if (typeof layer.name !== 'string' || typeof layer.visible !== 'boolean' || typeof layer.locked !== 'boolean' ||
+                    typeof layer.opacity !== 'number' || layer.opacity < 0 || layer.opacity > 1 || !blendModes.includes(layer.blendMode)) {
+                    fail(`${where} has a layer with invalid settings.`);
+                }
+            });
+        };
+        history.entries.forEach((entry, i) => {
+            const where = `step ${i + 1}`;
+            if (!entry || typeof entry.label !== 'string' || !Array.isArray(entry.patches)) fail(`${where} is malformed.`);
+            entry.patches.forEach(p => {
+                if (!p || !known.has(p.cel) || !isInt(p.x) || !isInt(p.y) || !isInt(p.width, 1) || !isInt(p.height, 1) ||
+                    !sized(p.before, p.width, p.height) || !sized(p.after, p.width, p.height)) {
+                    fail(`${where} has a malformed pixel change.`);
+                }
+            });
+            if ((entry.before === null) !== (entry.after === null)) fail(`${where} has a malformed document layout.`);
+            structure(entry.before, where);
+            structure(entry.after, where);
+        });
+    }
+}
+
+// --- 16. Image Codecs ---
+// Pure encoders working on ImageData-like objects ({ width, height, data }), so exports don't
+// depend on what a browser's canvas encoder chooses to emit and can be exercised outside a browser.
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class ByteWriter {
+    constructor(size = 1024) {
+        this.bytes = new Uint8Array(size);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.bytes.subarray(0, this.length));
+        this.bytes = next;
+    }
+
+    byte(b) { this.ensure(1); this.bytes[this.length++] = b & 0xff; }
+    u16le(v) { this.byte(v); this.byte(v >>> 8); }
+    u16be(v) { this.byte(v >>> 8); this.byte(v); }
+    u32be(v) { this.u16be(v >>> 16); this.u16be(v & 0xffff); }
+    u32le(v) { this.u16le(v & 0xffff); this.u16le(v >>> 16); }
+    ascii(str) { for (let i = 0; i < str.length; i++) this.byte(str.charCodeAt(i)); }
+
+    f32be(v) {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setFloat32(0, v);
+        this.write(new Uint8Array(view.buffer));
+    }
+
+    write(arr) {
+        this.ensure(arr.length);
+        this.bytes.set(arr, this.length);
+        this.length += arr.length;
+    }
+
+    result() { return this.bytes.slice(0, this.length); }
+}
+
+class Zlib {
+    static LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    static LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    static DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    static DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+    static crc32(bytes, crc = 0xffffffff) {
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return crc;
+    }
+
+    static adler32(bytes) {
+        let a = 1, b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    // zlib stream with a single fixed-Huffman DEFLATE block and hash-chain LZ77 matching
+    static deflate(data) {
+        const out = new ByteWriter(Math.max(64, data.length >> 1));
+        out.byte(0x78); out.byte(0x01);
+        let bitBuf = 0, bitCount = 0;
+        const bits = (value, count) => {
+            bitBuf |= value << bitCount;
+            bitCount += count;
+            while (bitCount >= 8) { out.byte(bitBuf & 0xff); bitBuf >>>= 8; bitCount -= 8; }
+        };
+        // Huffman codes are packed most-significant bit first
+        const code = (value, count) => {
+            let rev = 0;
+            for (let i = 0; i < count; i++) rev |= ((value >>> i) & 1) << (count - 1 - i);
+            bits(rev, count);
+        };
+        const literal = (sym) => {
+            if (sym < 144) code(0x30 + sym, 8);
+            else if (sym < 256) code(0x190 + sym - 144, 9);
+            else if (sym < 280) code(sym - 256, 7);
+            else code(0xc0 + sym - 280, 8);
+        };
+        const { LENGTH_BASE, LENGTH_EXTRA, DIST_BASE, DIST_EXTRA } = Zlib;
+        const match = (length, distance) => {
+            let li = 0;
+            while (li < 28 && LENGTH_BASE[li + 1] <= length) li++;
+            literal(257 + li);
+            if (LENGTH_EXTRA[li]) bits(length - LENGTH_BASE[li], LENGTH_EXTRA[li]);
+            let di = 0;
+            while (di < 29 && DIST_BASE[di + 1] <= distance) di++;
+            code(di, 5);
+            if (DIST_EXTRA[di]) bits(distance - DIST_BASE[di], DIST_EXTRA[di]);
+        };
+
+        bits(1, 1); bits(1, 2); // BFINAL, fixed Huffman
+        const WINDOW = 32768, MAX_CHAIN = 64;
+        const head = new Int32Array(65536).fill(-1);
+        const prev = new Int32Array(WINDOW);
+        const hash = (i) => ((data[i] << 8) ^ (data[i + 1] << 4) ^ data[i + 2]) & 0xffff;
+        const insert = (i) => {
+            if (i + 2 >= data.length) return;
+            const h = hash(i);
+            prev[i & (WINDOW - 1)] = head[h];
+            head[h] = i;
+        };
+        let i = 0;
+        while (i < data.length) {
+            let bestLen = 0, bestDist = 0;
+            if (i + 2 < data.length) {
+                let candidate = head[hash(i)];
+                let chain = MAX_CHAIN;
+                const maxLen = Math.min(258, data.length - i);
+                while (candidate >= 0 && i - candidate <= WINDOW && chain-- > 0) {
+                    let len = 0;
+                    while (len < maxLen && data[candidate + len] === data[i + len]) len++;
+                    if (len > bestLen) { bestLen = len; bestDist = i - candidate; if (len === maxLen) break; }
+                    const next = prev[candidate & (WINDOW - 1)];
+                    if (next >= candidate) break;
+                    candidate = next;
+                }
+            }
+            if (bestLen >= 3) {
+                match(bestLen, bestDist);
+                for (let k = 0; k < bestLen; k++) insert(i + k);
+                i += bestLen;
+            } else {
+                literal(data[i]);
+                insert(i);
+                i++;
+            }
+        }
+        literal(256);
+        if (bitCount > 0) out.byte(bitBuf & 0xff);
+        out.u32be(Zlib.adler32(data));
+        return out.result();
+    }
+}
+
+class PngEncoder {
+    static SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+    static chunk(out, type, data = []) {
+        out.u32be(data.length);
+        const typed = new Uint8Array(4 + data.length);
+        for (let i = 0; i < 4; i++) typed[i] = type.charCodeAt(i);
+        typed.set(data, 4);
+        out.write(typed);
+        out.u32be((Zlib.crc32(typed) ^ 0xffffffff) >>> 0);
+    }
+
+    static header(width, height, colorType) {
+        const ihdr = new ByteWriter(13);
+        ihdr.u32be(width); ihdr.u32be(height);
+        ihdr.byte(8); ihdr.byte(colorType); ihdr.byte(0); ihdr.byte(0); ihdr.byte(0);
+        return ihdr.result();
+    }
+
+    // Filters each scanline with whichever of the five PNG filters gives the smallest absolute sum
+    static filter(raw, width, height, bpp) {
+        const stride = width * bpp;
+        const out = new Uint8Array((stride + 1) * height);
+        const row = new Uint8Array(stride);
+        for (let y = 0; y < height; y++) {
+            const cur = y * stride, up = (y - 1) * stride;
+            let best = null, bestScore = Infinity, bestType = 0;
+            for (let type = 0; type < 5; type++) {
+                let score = 0;
+                for (let x = 0; x < stride; x++) {
+                    const a = x >= bpp ? raw[cur + x - bpp] : 0;
+                    const b = y > 0 ? raw[up + x] : 0;
+                    const c = (x >= bpp && y > 0) ? raw[up + x - bpp] : 0;
+                    let pred = 0;
+                    if (type === 1) pred = a;
+                    else if (type === 2) pred = b;
+                    else if (type === 3) pred = (a + b) >> 1;
+                    else if (type === 4) {
+                        const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+                        pred = (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+                    }
+                    const v = (raw[cur + x] - pred) & 0xff;
+                    row[x] = v;
+                    score += v < 128 ? v : 256 - v;
+                }
+                if (score < bestScore) { bestScore = score; bestType = type; best = row.slice(); }
+            }
+            out[y * (stride + 1)] = bestType;
+            out.set(best, y * (stride + 1) + 1);
+        }
+        return out;
+    }
+
+    // Compressed IDAT payload for an RGBA image
+    static imageData(image) {
+        return Zlib.deflate(PngEncoder.filter(image.data, image.width, image.height, 4));
+    }
+
+    static encode(image) {
+        const out = new ByteWriter();
+        out.write(PngEncoder.SIGNATURE);
+        PngEncoder.chunk(out, 'IHDR', PngEncoder.header(image.width, image.height, 6));
+        PngEncoder.chunk(out, 'IDAT', PngEncoder.imageData(image));
+        PngEncoder.chunk(out, 'IEND');
+        return out.result();
+    }
+
+    // Paletted PNG (color type 3) whose indices match the editor palette. Transparent pixels get one extra entry
+    // after the palette, marked clear in tRNS, so a full 256-color palette cannot also hold transparency.
+    static encodeIndexed(image, palette) {
+        const { width, height } = image;
+        const indices = IndexedColor.indices(image, palette);
+        const transparent = indices.includes(-1);
+        const entries = palette.length + (transparent ? 1 : 0);
+        if (entries > 256) throw new Error('An indexed PNG holds at most 256 colors, and transparency needs one of them.');
+        const plte = new Uint8Array(entries * 3);
+        IndexedColor.table(palette).forEach((rgb, i) => plte.set(rgb, i * 3));
+        const raw = new Uint8Array(width * height);
+        for (let p = 0; p < raw.length; p++) raw[p] = indices[p] === -1 ? palette.length : indices[p];
+
+        const out = new ByteWriter();
+        out.write(PngEncoder.SIGNATURE);
+        PngEncoder.chunk(out, 'IHDR', PngEncoder.header(width, height, 3));
+        PngEncoder.chunk(out, 'PLTE', plte);
+        if (transparent) {
+            const trns = new Uint8Array(entries).fill(255);
+            trns[palette.length] = 0;
+            PngEncoder.chunk(out, 'tRNS', trns);
+        }
+        PngEncoder.chunk(out, 'IDAT', Zlib.deflate(PngEncoder.filter(raw, width, height, 1)));
+        PngEncoder.chunk(out, 'IEND');
+        return out.result();
+    }
+
+    // Animated PNG: frames are [{ image, delay }] with the delay in milliseconds; loops forever
+    static encodeAnimated(frames) {
+        const { width, height } = frames[0].image;
+        const out = new ByteWriter();
+        out.write(PngEncoder.SIGNATURE);
+        PngEncoder.chunk(out, 'IHDR', PngEncoder.header(width, height, 6));
+        const actl = new ByteWriter(8);
+        actl.u32be(frames.length); actl.u32be(0);
+        PngEncoder.chunk(out, 'acTL', actl.result());
+        let sequence = 0;
+        frames.forEach(({ image, delay }, i) => {
+            const fctl = new ByteWriter(26);
+            fctl.u32be(sequence++);
+            fctl.u32be(width); fctl.u32be(height);
+            fctl.u32be(0); fctl.u32be(0);
+            fctl.u16be(Math.min(65535, Math.round(delay))); fctl.u16be(1000);
+            fctl.byte(1); // dispose to transparent so frames never bleed into each other
+            fctl.byte(0); // replace, don't blend over the previous frame
+            PngEncoder.chunk(out, 'fcTL', fctl.result());
+            const payload = PngEncoder.imageData(image);
+            if (i === 0) {
+                PngEncoder.chunk(out, 'IDAT', payload);
+            } else {
+                const fdat = new ByteWriter(payload.length + 4);
+                fdat.u32be(sequence++);
+                fdat.write(payload);
+                PngEncoder.chunk(out, 'fdAT', fdat.result());
+            }
+        });
+        PngEncoder.chunk(out, 'IEND');
+        return out.result();
+    }
+}
+
+class ColorQuantizer {
+    // Median cut over the distinct colors of `counts` (Map of 0xRRGGBB -> pixel count); returns [[r, g, b], ...]
+    static medianCut(counts, maxColors) {
+        const entries = Array.from(counts, ([rgb, count]) => [(rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff, count]);
+        if (entries.length <= maxColors) return entries.map(([r, g, b]) => [r, g, b]);
+        const range = (box) => {
+            let best = 0, bestRange = -1;
+            for (let c = 0; c < 3; c++) {
+                let min = 255, max = 0;
+                box.forEach(e => { if (e[c] < min) min = e[c]; if (e[c] > max) max = e[c]; });
+                if (max - min > bestRange) { bestRange = max - min; best = c; }
+            }
+            return { channel: best, size: bestRange };
+        };
+        const boxes = [entries];
+        while (boxes.length < maxColors) {
+            let target = -1, targetSize = 0, channel = 0;
+            boxes.forEach((box, i) => {
+                if (box.length < 2) return;
+                const r = range(box);
+                if (r.size > targetSize) { targetSize = r.size; target = i; channel = r.channel; }
+            });
+            if (target < 0) break;
+            const box = boxes[target].sort((a, b) => a[channel] - b[channel]);
+            const total = box.reduce((sum, e) => sum + e[3], 0);
+            let acc = 0, split = 1;
+            for (let i = 0; i < box.length - 1; i++) {
+                acc += box[i][3];
+                if (acc >= total / 2) { split = i + 1; break; }
+            }
+            boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+        }
+        return boxes.map(box => {
+            const total = box.reduce((sum, e) => sum + e[3], 0);
+            return [0, 1, 2].map(c => Math.round(box.reduce((sum, e) => sum + e[c] * e[3], 0) / total));
+        });
+    }
+
+    static nearest(palette, r, g, b) {
+        let best = 0, bestDist = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const p = palette[i];
+            const d = (p[0] - r) * (p[0] - r) + (p[1] - g) * (p[1] - g) + (p[2] - b) * (p[2] - b);
+            if (d < bestDist) { bestDist = d; best = i; if (d === 0) break; }
+        }
+        return best;
+    }
+}
+
+// Palette lookups for indexed documents and paletted PNG export. Palettes here are lists of #rrggbb.
+class IndexedColor {
+    // Pixels at least this opaque take a palette color, the rest become transparent
+    static ALPHA_THRESHOLD = 128;
+
+    static table(palette) { return palette.map(PaletteFile.toRgb); }
+
+    // Snaps every pixel to the palette in place; `dither` spreads the rounding error to the neighbours
+    // (Floyd–Steinberg) so gradients keep their look with few colors
+    static quantize(image, palette, dither = false) {
+        const { width, height, data } = image;
+        const table = IndexedColor.table(palette);
+        const error = dither ? new Float32Array(width * height * 3) : null;
+        const spread = (x, y, er, eg, eb, weight) => {
+            if (x < 0 || x >= width || y >= height) return;
+            const e = (y * width + x) * 3;
+            error[e] += er * weight; error[e + 1] += eg * weight; error[e + 2] += eb * weight;
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] < IndexedColor.ALPHA_THRESHOLD) {
+                    data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+                    continue;
+                }
+                let r = data[i], g = data[i + 1], b = data[i + 2];
+                if (error) {
+                    const e = (y * width + x) * 3;
+                    r = Math.max(0, Math.min(255, r + error[e]));
+                    g = Math.max(0, Math.min(255, g + error[e + 1]));
+                    b = Math.max(0, Math.min(255, b + error[e + 2]));
+                }
+                const [nr, ng, nb] = table[ColorQuantizer.nearest(table, r, g, b)];
+                data[i] = nr; data[i + 1] = ng; data[i + 2] = nb; data[i + 3] = 255;
+                if (error) {
+                    const er = r - nr, eg = g - ng, eb = b - nb;
+                    spread(x + 1, y, er, eg, eb, 7 / 16);
+                    spread(x - 1, y + 1, er, eg, eb, 3 / 16);
+                    spread(x, y + 1, er, eg, eb, 5 / 16);
+                    spread(x + 1, y + 1, er, eg, eb, 1 / 16);
+                }
+            }
+        }
+        return image;
+    }
+
+    // Snaps the image in place to at most `maxColors` colors picked from its own pixels by median cut
+    static reduce(image, maxColors, dither = false) {
+        const { data } = image;
+        const counts = new Map();
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < IndexedColor.ALPHA_THRESHOLD) continue;
+            const rgb = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            counts.set(rgb, (counts.get(rgb) || 0) + 1);
+        }
+        const palette = ColorQuantizer.medianCut(counts, maxColors).map(rgb => PaletteFile.toHex(...rgb));
+        return IndexedColor.quantize(image, palette, dither);
+    }
+
+    // Rewrites opaque pixels through `remap` (0xRRGGBB -> 0xRRGGBB); colors it doesn't list take the nearest
+    // entry of `table`. Returns false when nothing changed.
+    static recolor(image, remap, table) {
+        const data = image.data;
+        let changed = false;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            let to = remap.get(key);
+            if (to === undefined) {
+                const [r, g, b] = table[ColorQuantizer.nearest(table, data[i], data[i + 1], data[i + 2])];
+                to = (r << 16) | (g << 8) | b;
+                remap.set(key, to);
+            }
+            if (to === key && data[i + 3] === 255) continue;
+            data[i] = (to >> 16) & 0xff; data[i + 1] = (to >> 8) & 0xff; data[i + 2] = to & 0xff; data[i + 3] = 255;
+            changed = true;
+        }
+        return changed;
+    }
+
+    // Palette index of every pixel, or -1 where it is transparent; off-palette colors take the nearest entry
+    static indices(image, palette) {
+        const table = IndexedColor.table(palette);
+        const lookup = new Map();
+        table.forEach(([r, g, b], i) => { const key = (r << 16) | (g << 8) | b; if (!lookup.has(key)) lookup.set(key, i); });
+        const data = image.data;
+        const out = new Int16Array(image.width * image.height);
+        for (let p = 0; p < out.length; p++) {
+            const i = p * 4;
+            if (data[i + 3] < IndexedColor.ALPHA_THRESHOLD) { out[p] = -1; continue; }
+            const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            let index = lookup.get(key);
+            if (index === undefined) {
+                index = ColorQuantizer.nearest(table, data[i], data[i + 1], data[i + 2]);
+                lookup.set(key, index);
+            }
+            out[p] = index;
+        }
+        return out;
+    }
+}
+
+class GifEncoder {
+    // GIF only has 1-bit transparency: pixels below half alpha become the transparent index
+    static ALPHA_THRESHOLD = 128;
+
+    // frames are [{ image, delay }] with the delay in milliseconds; loops forever
+    static encode(frames) {
+        const { width, height } = frames[0].image;
+        const counts = new Map();
+        frames.forEach(({ image }) => {
+            const d = image.data;
+            for (let i = 0; i < d.length; i += 4) {
+                if (d[i + 3] < GifEncoder.ALPHA_THRESHOLD) continue;
+                const rgb = (d[i] << 16) | (d[i + 1] << 8) | d[i + 2];
+                counts.set(rgb, (counts.get(rgb) || 0) + 1);
+            }
+        });
+        // Index 0 is reserved for transparency
+        const palette = [[0, 0, 0], ...ColorQuantizer.medianCut(counts, 255)];
+        let tableBits = 1;
+        while ((1 << tableBits) < palette.length) tableBits++;
+
+        const out = new ByteWriter();
+        out.ascii('GIF89a');
+        out.u16le(width); out.u16le(height);
+        out.byte(0x80 | (7 << 4) | (tableBits - 1));
+        out.byte(0); out.byte(0);
+        for (let i = 0; i < (1 << tableBits); i++) {
+            const c = palette[i] || [0, 0, 0];
+            out.byte(c[0]); out.byte(c[1]); out.byte(c[2]);
+        }
+        // NETSCAPE2.0 extension: loop forever
+        out.byte(0x21); out.byte(0xff); out.byte(11); out.ascii('NETSCAPE2.0');
+        out.byte(3); out.byte(1); out.u16le(0); out.byte(0);
+
+        const lookup = new Map();
+        const search = palette.slice(1);
+        frames.forEach(({ image, delay }) => {
+            const d = image.data;
+            const indices = new Uint8Array(width * height);
+            for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+                if (d[i + 3] < GifEncoder.ALPHA_THRESHOLD) continue;
+                const rgb = (d[i] << 16) | (d[i + 1] << 8) | d[i + 2];
+                let index = lookup.get(rgb);
+                if (index === undefined) {
+                    index = ColorQuantizer.nearest(search, d[i], d[i + 1], d[i + 2]) + 1;
+                    lookup.set(rgb, index);
+                }
+                indices[p] = index;
+            }
+            // Graphic control: restore to background after each frame, index 0 transparent
+            out.byte(0x21); out.byte(0xf9); out.byte(4);
+            out.byte((2 << 2) | 1);
+            out.u16le(Math.round(delay / 10));
+            out.byte(0); out.byte(0);
+            out.byte(0x2c);
+            out.u16le(0); out.u16le(0); out.u16le(width); out.u16le(height);
+            out.byte(0);
+            const minCodeSize = Math.max(2, tableBits);
+            out.byte(minCodeSize);
+            const data = GifEncoder.lzw(indices, minCodeSize);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.subarray(i, i + 255);
+                out.byte(block.length);
+                out.write(block);
+            }
+            out.byte(0);
+        });
+        out.byte(0x3b);
+        return out.result();
+    }
+
+    static lzw(indices, minCodeSize) {
+        const out = new ByteWriter(indices.length);
+        const clearCode = 1 << minCodeSize, endCode = clearCode + 1;
+        let codeSize = minCodeSize + 1, maxCode = (1 << codeSize) - 1, nextCode = endCode + 1;
+        let reset = false, bitBuf = 0, bitCount = 0;
+        const dict = new Map();
+        const emit = (code) => {
+            bitBuf |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) { out.byte(bitBuf & 0xff); bitBuf >>>= 8; bitCount -= 8; }
+            // Code width grows (or resets after a clear) only once the current code is written
+            if (reset) {
+                codeSize = minCodeSize + 1; maxCode = (1 << codeSize) - 1; reset = false;
+            } else if (nextCode > maxCode && codeSize < 12) {
+                codeSize++; maxCode = codeSize === 12 ? 4096 : (1 << codeSize) - 1;
+            }
+        };
+        emit(clearCode);
+        if (indices.length === 0) { emit(endCode); }
+        else {
+            let prefix = indices[0];
+            for (let i = 1; i < indices.length; i++) {
+                const k = indices[i];
+                const key = (prefix << 8) | k;
+                const found = dict.get(key);
+                if (found !== undefined) { prefix = found; continue; }
+                emit(prefix);
+                if (nextCode < 4096) {
+                    dict.set(key, nextCode++);
+                } else {
+                    dict.clear();
+                    nextCode = endCode + 1;
+                    reset = true;
+                    emit(clearCode);
+                }
+                prefix = k;
+            }
+            emit(prefix);
+            emit(endCode);
+        }
+        if (bitCount > 0) out.byte(bitBuf & 0xff);
+        return out.result();
+    }
+}
+
+// Pixel-perfect SVG: each run of same-colored pixels in a row becomes a rect, and runs repeated on the rows
+// below with the same span and color are merged into one taller rect
+class SvgEncoder {
+    static encode(image, scale = 1) {
+        const { width, height, data } = image;
+        const rects = [];
+        let open = new Map(); // "x,w,rgba" -> rect still growing downward
+        for (let y = 0; y < height; y++) {
+            const next = new Map();
+            let x = 0;
+            while (x < width) {
+                const i = (y * width + x) * 4;
+                const rgba = (data[i] << 24 | data[i + 1] << 16 | data[i + 2] << 8 | data[i + 3]) >>> 0;
+                let end = x + 1;
+                while (end < width) {
+                    const j = (y * width + end) * 4;
+                    if (data[j] !== data[i] || data[j + 1] !== data[i + 1] || data[j + 2] !== data[i + 2] || data[j + 3] !== data[i + 3]) break;
+                    end++;
+                }
+                if (data[i + 3] > 0) {
+                    const key = `${x},${end - x},${rgba}`;
+                    let rect = open.get(key);
+                    if (rect) rect.h++;
+                    else rects.push(rect = { x, y, w: end - x, h: 1, rgba });
+                    next.set(key, rect);
+                }
+                x = end;
+            }
+            open = next;
+        }
+        const fill = (rgba) => {
+            const hex = '#' + (rgba >>> 8).toString(16).padStart(6, '0');
+            const alpha = rgba & 0xff;
+            return alpha === 255 ? `fill="${hex}"` : `fill="${hex}" fill-opacity="${+(alpha / 255).toFixed(3)}"`;
+        };
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`,
+            ...rects.map(r => `<rect x="${r.x}" y="${r.y}" width="${r.w}" height="${r.h}" ${fill(r.rgba)}/>`),
+            '</svg>'
+        ].join('\n') + '\n';
+    }
+}
+
+// Windows icon holding one PNG-compressed image per size (supported since Vista, and required for 256px)
+class IcoEncoder {
+    static SIZES = [16, 24, 32, 48, 64, 128, 256];
+
+    static encode(images) {
+        const pngs = images.map(image => PngEncoder.encode(image));
+        const out = new ByteWriter();
+        out.u16le(0);
+        out.u16le(1); // icon
+        out.u16le(images.length);
+        let offset = 6 + images.length * 16;
+        images.forEach((image, i) => {
+            out.byte(image.width >= 256 ? 0 : image.width);
+            out.byte(image.height >= 256 ? 0 : image.height);
+            out.byte(0); // no color table
+            out.byte(0);
+            out.u16le(1); // planes
+            out.u16le(32); // bits per pixel
+            out.u32le(pngs[i].length);
+            out.u32le(offset);
+            offset += pngs[i].length;
+        });
+        pngs.forEach(png => out.write(png));
+        return out.result();
+    }
+}
+
+// Lays sprites out on one sheet and describes them in the JSON atlas format shared by Aseprite and TexturePacker.
+// Sprites are [{ name, image, duration }] with `image` an ImageData; the sheet is built as an ImageData as well.
+class SpriteSheet {
+    static LAYOUTS = ['grid', 'row', 'packed'];
+
+    static nextPowerOfTwo(n) { let p = 1; while (p < n) p *= 2; return p; }
+
+    // Bounds of the non-transparent pixels; fully clear sprites keep a single pixel so they still get a slot
+    static trim(image) {
+        const { width, height, data } = image;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] === 0) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+        if (maxX < 0) return { x: 0, y: 0, w: 1, h: 1 };
+        return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+
+    // `padding` is the gap between sprites; `extrude` repeats each sprite's edge pixels outward so filtering
+    // at the border never samples a neighbour. Only the packed layout trims transparent borders.
+    static build(sprites, { layout = 'grid', columns = 0, padding = 0, extrude = 0, powerOfTwo = false } = {}) {
+        const items = sprites.map(sprite => {
+            const bounds = layout === 'packed' ? SpriteSheet.trim(sprite.image) : { x: 0, y: 0, w: sprite.image.width, h: sprite.image.height };
+            return { sprite, bounds, w: bounds.w + extrude * 2, h: bounds.h + extrude * 2, x: 0, y: 0 };
+        });
+        const place = layout === 'packed' ? SpriteSheet.packShelves : SpriteSheet.packGrid;
+        const cols = layout === 'row' ? items.length : (columns || Math.ceil(Math.sqrt(items.length)));
+        let { width, height } = place(items, { columns: cols, padding, powerOfTwo });
+        if (powerOfTwo) {
+            width = SpriteSheet.nextPowerOfTwo(width);
+            height = SpriteSheet.nextPowerOfTwo(height);
+        }
+
+        const sheet = new ImageData(width, height);
+        items.forEach(item => SpriteSheet.blit(sheet, item, extrude));
+        const frames = items.map(({ sprite, bounds, x, y }) => ({
+            name: sprite.name,
+            frame: { x: x + extrude, y: y + extrude, w: bounds.w, h: bounds.h },
+            trimmed: bounds.w !== sprite.image.width || bounds.h !== sprite.image.height,
+            spriteSourceSize: { ...bounds },
+            sourceSize: { w: sprite.image.width, h: sprite.image.height },
+            duration: sprite.duration
+        }));
+        return { image: sheet, frames };
+    }
+
+    static packGrid(items, { columns, padding }) {
+        const cellW = Math.max(...items.map(item => item.w));
+        const cellH = Math.max(...items.map(item => item.h));
+        items.forEach((item, i) => {
+            item.x = (i % columns) * (cellW + padding);
+            item.y = Math.floor(i / columns) * (cellH + padding);
+        });
+        const rows = Math.ceil(items.length / columns);
+        return { width: Math.min(columns, items.length) * (cellW + padding) - padding, height: rows * (cellH + padding) - padding };
+    }
+
+    // Shelf packing: tallest sprites first, filling rows up to a width that keeps the sheet roughly square
+    static packShelves(items, { padding, powerOfTwo }) {
+        const area = items.reduce((sum, item) => sum + (item.w + padding) * (item.h + padding), 0);
+        let limit = Math.max(...items.map(item => item.w), Math.ceil(Math.sqrt(area)));
+        if (powerOfTwo) limit = SpriteSheet.nextPowerOfTwo(limit);
+        const order = items.slice().sort((a, b) => b.h - a.h || b.w - a.w);
+        let x = 0, y = 0, shelf = 0, width = 0;
+        order.forEach(item => {
+            if (x > 0 && x + item.w > limit) {
+                y += shelf + padding;
+                x = 0;
+                shelf = 0;
+            }
+            item.x = x;
+            item.y = y;
+            x += item.w + padding;
+            shelf = Math.max(shelf, item.h);
+            width = Math.max(width, item.x + item.w);
+        });
+        return { width, height: y + shelf };
+    }
+
+    static blit(sheet, { sprite, bounds, x, y }, extrude) {
+        const src = sprite.image, out = sheet.data;
+        for (let dy = -extrude; dy < bounds.h + extrude; dy++) {
+            const sy = bounds.y + Math.max(0, Math.min(bounds.h - 1, dy));
+            for (let dx = -extrude; dx < bounds.w + extrude; dx++) {
+                const sx = bounds.x + Math.max(0, Math.min(bounds.w - 1, dx));
+                const from = (sy * src.width + sx) * 4;
+                const to = ((y + extrude + dy) * sheet.width + x + extrude + dx) * 4;
+                out[to] = src.data[from];
+                out[to + 1] = src.data[from + 1];
+                out[to + 2] = src.data[from + 2];
+                out[to + 3] = src.data[from + 3];
+            }
+        }
+    }
+
+    // `format` is 'hash' (frames keyed by name) or 'array'
+    static atlas({ image, frames }, imageName, format = 'hash') {
+        const entry = ({ frame, trimmed, spriteSourceSize, sourceSize, duration }) => ({
+            frame, rotated: false, trimmed, spriteSourceSize, sourceSize, duration
+        });
+        return {
+            frames: format === 'array'
+                ? frames.map(f => ({ filename: f.name, ...entry(f) }))
+                : Object.fromEntries(frames.map(f => [f.name, entry(f)])),
+            meta: {
+                app: 'Pixel no Kiseki',
+                version: '1.0',
+                image: imageName,
+                format: 'RGBA8888',
+                size: { w: image.width, h: image.height },
+                scale: '1'
+            }
+        };
+    }
+}
+
+// --- 17. Pixel Scalers ---
+// Upscaling for exports. Scalers take ImageData or any { width, height, data } image and return plain
+// { width, height, data } objects, so they never touch the DOM; see ImageTransform.imageData for drawing one.
+class PixelScaler {
+    static create(width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    // Integer nearest-neighbour: every pixel becomes a `factor` × `factor` block
+    static nearest(image, factor) {
+        if (factor === 1) return image;
+        const { width, height, data } = image;
+        const out = PixelScaler.create(width * factor, height * factor);
+        const target = new Uint32Array(out.data.buffer);
+        const source = new Uint32Array(data.buffer, data.byteOffset, width * height);
+        for (let y = 0; y < out.height; y++) {
+            const row = Math.floor(y / factor) * width;
+            for (let x = 0; x < out.width; x++) target[y * out.width + x] = source[row + Math.floor(x / factor)];
+        }
+        return out;
+    }
+
+    static FILTERS = {
+        nearest: { label: 'Nearest neighbour', factor: 1 },
+        scale2x: { label: 'Scale2x (EPX)', factor: 2 },
+        scale3x: { label: 'Scale3x', factor: 3 },
+        hq2x: { label: 'hq2x', factor: 2 },
+        hq4x: { label: 'hq4x', factor: 4 },
+        xbr2x: { label: 'xBR 2×', factor: 2 },
+        xbr4x: { label: 'xBR 4×', factor: 4 }
+    };
+
+    // Runs one of FILTERS; `factor` only applies to nearest neighbour, the others have a fixed one
+    static apply(filter, image, factor = 1) {
+        switch (filter) {
+            case 'scale2x': return PixelScaler.scale2x(image);
+            case 'scale3x': return PixelScaler.scale3x(image);
+            case 'hq2x': return PixelScaler.hqx(image, 2);
+            case 'hq4x': return PixelScaler.hqx(image, 4);
+            case 'xbr2x': return PixelScaler.xbr(image, 2);
+            case 'xbr4x': return PixelScaler.xbr(image, 4);
+            default: return PixelScaler.nearest(image, factor);
+        }
+    }
+
+    // Pixels as packed 32-bit values with edge-clamped lookups, shared by the neighbourhood filters
+    static reader(image) {
+        const { width, height, data } = image;
+        const pixels = new Uint32Array(data.buffer, data.byteOffset, width * height);
+        return (x, y) => pixels[Math.max(0, Math.min(height - 1, y)) * width + Math.max(0, Math.min(width - 1, x))];
+    }
+
+    // Runs `fn(x, y, get, put)` for every source pixel; `put(i, j, value)` writes sub-pixel (i, j) of its block
+    static expand(image, factor, fn) {
+        const { width, height } = image;
+        const out = PixelScaler.create(width * factor, height * factor);
+        const target = new Uint32Array(out.data.buffer);
+        const get = PixelScaler.reader(image);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                fn(x, y, get, (i, j, value) => { target[(y * factor + j) * out.width + x * factor + i] = value; });
+            }
+        }
+        return out;
+    }
+
+    // Weighted average of packed pixels, rounded down per channel like the reference filters: mix([p, weight], ...)
+    static mix(...parts) {
+        let r = 0, g = 0, b = 0, a = 0, total = 0;
+        parts.forEach(([p, w]) => {
+            r += (p & 0xff) * w; g += ((p >>> 8) & 0xff) * w; b += ((p >>> 16) & 0xff) * w; a += (p >>> 24) * w;
+            total += w;
+        });
+        return (Math.floor(r / total) | Math.floor(g / total) << 8 | Math.floor(b / total) << 16 | Math.floor(a / total) << 24) >>> 0;
+    }
+
+    // Integer YUV of a packed pixel, computed the way FFmpeg fills the lookup table its hqx and xBR filters share
+    static yuv(p) {
+        const r = p & 0xff, g = (p >>> 8) & 0xff, b = (p >>> 16) & 0xff;
+        return [
+            g + Math.floor((299 * (r - g) + 114 * (b - g)) / 1000),
+            Math.trunc((500 * (b - g) - 169 * (r - g)) / 1000),
+            Math.trunc((500 * (r - g) - 81 * (b - g)) / 1000)
+        ];
+    }
+
+    // hqx thresholds: Y 48, U 7, V 6. Any alpha change also counts, which the RGB-only reference never sees.
+    static differs(p, q) {
+        if (p === q) return false;
+        const [y1, u1, v1] = PixelScaler.yuv(p), [y2, u2, v2] = PixelScaler.yuv(q);
+        return Math.abs(y1 - y2) > 48 || Math.abs(u1 - u2) > 7 || Math.abs(v1 - v2) > 6 || (p >>> 24) !== (q >>> 24);
+    }
+
+    // EPX / AdvMAME2x: a corner takes a neighbour's color where two neighbours meet at it
+    static scale2x(image) {
+        return PixelScaler.expand(image, 2, (x, y, get, put) => {
+            const p = get(x, y), a = get(x, y - 1), b = get(x + 1, y), c = get(x - 1, y), d = get(x, y + 1);
+            put(0, 0, c === a && c !== d && a !== b ? a : p);
+            put(1, 0, a === b && a !== c && b !== d ? b : p);
+            put(0, 1, d === c && d !== b && c !== a ? c : p);
+            put(1, 1, b === d && b !== a && d !== c ? d : p);
+        });
+    }
+
+    // AdvMAME3x, with the 3 × 3 neighbourhood named A B C / D E F / G H I
+    static scale3x(image) {
+        return PixelScaler.expand(image, 3, (x, y, get, put) => {
+            const A = get(x - 1, y - 1), B = get(x, y - 1), C = get(x + 1, y - 1);
+            const D = get(x - 1, y), E = get(x, y), F = get(x + 1, y);
+            const G = get(x - 1, y + 1), H = get(x, y + 1), I = get(x + 1, y + 1);
+            if (B === H || D === F) {
+                for (let j = 0; j < 3; j++) for (let i = 0; i < 3; i++) put(i, j, E);
+                return;
+            }
+            put(0, 0, D === B ? D : E);
+            put(1, 0, (D === B && E !== C) || (B === F && E !== A) ? B : E);
+            put(2, 0, B === F ? F : E);
+            put(0, 1, (D === B && E !== G) || (D === H && E !== A) ? D : E);
+            put(1, 1, E);
+            put(2, 1, (B === F && E !== I) || (H === F && E !== C) ? F : E);
+            put(0, 2, D === H ? D : E);
+            put(1, 2, (D === H && E !== I) || (H === F && E !== G) ? H : E);
+            put(2, 2, H === F ? F : E);
+        });
+    }
+
+    // hqx neighbourhood indices, each mirrored so the quadrant being filled is the top-left one:
+    // w0 w1 w2 / w3 w4 w5 / w6 w7 w8 with w4 the source pixel
+    static HQX_QUADRANTS = [[0, 1, 2, 3, 4, 5, 6, 7, 8], [2, 1, 0, 5, 4, 3, 8, 7, 6], [6, 7, 8, 3, 4, 5, 0, 1, 2], [8, 7, 6, 5, 4, 3, 2, 1, 0]];
+
+    // The hqx pattern table in the rule form of FFmpeg's vf_hqx: `k` has one bit per neighbour of w4 that differs
+    // from it (w0 … w3, w5 … w8 as bits 0 … 7) and `P(mask, value)` matches a group of the 256 table patterns.
+    // Returns the index of the first case that applies, which HQ2X and HQ4X turn into blends.
+    static hqxCase(k, w) {
+        const P = (mask, value) => (k & mask) === value;
+        const differs = (i, j) => PixelScaler.differs(w[i], w[j]);
+        if ((P(0xbf, 0x37) || P(0xdb, 0x13)) && differs(1, 5)) return 0;
+        if ((P(0xdb, 0x49) || P(0xef, 0x6d)) && differs(7, 3)) return 1;
+        if ((P(0x0b, 0x0b) || P(0xfe, 0x4a) || P(0xfe, 0x1a)) && differs(3, 1)) return 2;
+        if ((P(0x6f, 0x2a) || P(0x5b, 0x0a) || P(0xbf, 0x3a) || P(0xdf, 0x5a) || P(0x9f, 0x8a) || P(0xcf, 0x8a) ||
+            P(0xef, 0x4e) || P(0x3f, 0x0e) || P(0xfb, 0x5a) || P(0xbb, 0x8a) || P(0x7f, 0x5a) || P(0xaf, 0x8a) ||
+            P(0xeb, 0x8a)) && differs(3, 1)) return 3;
+        if (P(0x0b, 0x08)) return 4;
+        if (P(0x0b, 0x02)) return 5;
+        if (P(0x2f, 0x2f)) return 6;
+        if (P(0xbf, 0x37) || P(0xdb, 0x13)) return 7;
+        if (P(0xdb, 0x49) || P(0xef, 0x6d)) return 8;
+        if (P(0x1b, 0x03) || P(0x4f, 0x43) || P(0x8b, 0x83) || P(0x6b, 0x43)) return 9;
+        if (P(0x4b, 0x09) || P(0x8b, 0x89) || P(0x1f, 0x19) || P(0x3b, 0x19)) return 10;
+        if (P(0x7e, 0x2a) || P(0xef, 0xab)) return 11;
+        if (P(0xbf, 0x8f) || P(0x7e, 0x0e)) return 12;
+        if (P(0xfb, 0x6a) || P(0x6f, 0x6e) || P(0x3f, 0x3e) || P(0xfb, 0xfa) || P(0xdf, 0xde) || P(0xdf, 0x1e)) return 13;
+        if (P(0x0a, 0x00)) return 14;
+        if (P(0x4f, 0x4b) || P(0x9f, 0x1b) || P(0x2f, 0x0b) || P(0xbe, 0x0a) || P(0xee, 0x0a) || P(0x7e, 0x0a) ||
+            P(0xeb, 0x4b) || P(0x3b, 0x1b)) return 15;
+        return 16;
+    }
+
+    // Blends for each hqxCase (row n is case n) as [neighbour, weight] pairs: the quadrant's one sub-pixel at 2×,
+    // its 2 × 2 sub-pixels at 4× (outer corner first, row by row)
+    static HQ2X = [
+        [[4, 3], [3, 1]],
+        [[4, 3], [1, 1]],
+        [[4, 1]],
+        [[4, 3], [0, 1]],
+        [[4, 2], [0, 1], [1, 1]],
+        [[4, 2], [0, 1], [3, 1]],
+        [[4, 14], [3, 1], [1, 1]],
+        [[4, 5], [1, 2], [3, 1]],
+        [[4, 5], [3, 2], [1, 1]],
+        [[4, 3], [3, 1]],
+        [[4, 3], [1, 1]],
+        [[4, 2], [3, 3], [1, 3]],
+        [[4, 2], [3, 3], [1, 3]],
+        [[4, 3], [0, 1]],
+        [[4, 2], [3, 1], [1, 1]],
+        [[4, 2], [3, 1], [1, 1]],
+        [[4, 6], [3, 1], [1, 1]]
+    ].map(blend => [blend]);
+
+    static HQ4X = [
+        [[[4, 5], [3, 3]], [[4, 7], [3, 1]], [[4, 5], [3, 3]], [[4, 7], [3, 1]]],
+        [[[4, 5], [1, 3]], [[4, 5], [1, 3]], [[4, 7], [1, 1]], [[4, 7], [1, 1]]],
+        [[[4, 1]], [[4, 1]], [[4, 1]], [[4, 1]]],
+        [[[4, 5], [0, 3]], [[4, 3], [0, 1]], [[4, 3], [0, 1]], [[4, 7], [0, 1]]],
+        [[[4, 5], [0, 3]], [[4, 5], [1, 2], [0, 1]], [[4, 3], [0, 1]], [[4, 7], [0, 1]]],
+        [[[4, 5], [0, 3]], [[4, 3], [0, 1]], [[4, 5], [3, 2], [0, 1]], [[4, 7], [0, 1]]],
+        [[[4, 2], [3, 1], [1, 1]], [[4, 1]], [[4, 1]], [[4, 1]]],
+        [[[4, 3], [1, 1]], [[1, 3], [4, 1]], [[4, 5], [3, 3]], [[4, 7], [3, 1]]],
+        [[[4, 3], [3, 1]], [[4, 5], [1, 3]], [[3, 3], [4, 1]], [[4, 7], [1, 1]]],
+        [[[4, 5], [3, 3]], [[4, 7], [3, 1]], [[4, 5], [3, 3]], [[4, 7], [3, 1]]],
+        [[[4, 5], [1, 3]], [[4, 5], [1, 3]], [[4, 7], [1, 1]], [[4, 7], [1, 1]]],
+        [[[1, 1], [3, 1]], [[1, 2], [3, 1], [4, 1]], [[3, 5], [1, 3]], [[4, 6], [3, 1], [1, 1]]],
+        [[[1, 1], [3, 1]], [[1, 5], [3, 3]], [[3, 2], [1, 1], [4, 1]], [[4, 6], [3, 1], [1, 1]]],
+        [[[4, 5], [0, 3]], [[4, 3], [0, 1]], [[4, 3], [0, 1]], [[4, 7], [0, 1]]],
+        [[[4, 2], [3, 1], [1, 1]], [[4, 5], [1, 2], [3, 1]], [[4, 5], [3, 2], [1, 1]], [[4, 6], [3, 1], [1, 1]]],
+        [[[1, 1], [3, 1]], [[1, 1], [4, 1]], [[3, 1], [4, 1]], [[4, 1]]],
+        [[[4, 2], [3, 1], [1, 1]], [[4, 3], [1, 1]], [[4, 3], [3, 1]], [[4, 1]]]
+    ];
+
+    // hq2x / hq4x: fills each quadrant of the output block from the mirrored neighbourhood and the tables above
+    static hqx(image, factor) {
+        const table = factor === 2 ? PixelScaler.HQ2X : PixelScaler.HQ4X;
+        const side = factor / 2;
+        return PixelScaler.expand(image, factor, (x, y, get, put) => {
+            const around = [];
+            for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) around.push(get(x + dx, y + dy));
+            const differs = around.map(p => PixelScaler.differs(around[4], p));
+            PixelScaler.HQX_QUADRANTS.forEach((order, quadrant) => {
+                const w = order.map(i => around[i]);
+                const k = [0, 1, 2, 3, 5, 6, 7, 8].reduce((bits, i, bit) => differs[order[i]] ? bits | 1 << bit : bits, 0);
+                table[PixelScaler.hqxCase(k, w)].forEach((blend, sub) => {
+                    const i = sub % side, j = Math.floor(sub / side);
+                    put(quadrant & 1 ? factor - 1 - i : i, quadrant & 2 ? factor - 1 - j : j, PixelScaler.mix(...blend.map(([n, weight]) => [w[n], weight])));
+                });
+            });
+        });
+    }
+
+    // FFmpeg's xBR color distance: the summed YUV differences (plus any alpha change)
+    static distance(p, q) {
+        if (p === q) return 0;
+        const [y1, u1, v1] = PixelScaler.yuv(p), [y2, u2, v2] = PixelScaler.yuv(q);
+        return Math.abs(y1 - y2) + Math.abs(u1 - u2) + Math.abs(v1 - v2) + Math.abs((p >>> 24) - (q >>> 24));
+    }
+
+    // xBR's even blend, which halves each color channel before adding them; alpha is a plain average
+    static half(p, q) {
+        const alpha = ((p >>> 24) + (q >>> 24)) >>> 1;
+        return ((((p & 0xfefefe) >>> 1) + ((q & 0xfefefe) >>> 1)) | (alpha << 24)) >>> 0;
+    }
+
+    // xBR by Hyllian, as FFmpeg's vf_xbr runs it at 2× and 4×. The block starts as the source pixel E; then for each
+    // corner, with the 5 × 5 neighbourhood turned so the corner is the bottom-right one, the color gradients across
+    // and along the diagonal through it are compared. Where an edge runs across the corner the sub-pixels beside it
+    // are blended toward the closer of F and H, reaching further along the side of a shallow edge.
+    static xbr(image, factor) {
+        const d = PixelScaler.distance, eq = (p, q) => d(p, q) < 155;
+        const rotations = [[1, 0, 0, 1], [0, 1, -1, 0], [-1, 0, 0, -1], [0, -1, 1, 0]];
+        return PixelScaler.expand(image, factor, (x, y, get, put) => {
+            const block = new Array(factor * factor).fill(get(x, y));
+            rotations.forEach(([a, b, c, e]) => {
+                const at = (dx, dy) => get(x + a * dx + b * dy, y + c * dx + e * dy);
+                const B = at(0, -1), C = at(1, -1), D = at(-1, 0), E = at(0, 0), F = at(1, 0);
+                const G = at(-1, 1), H = at(0, 1), I = at(1, 1), F4 = at(2, 0), H5 = at(0, 2), I4 = at(2, 1), I5 = at(1, 2);
+                if (E === H || E === F) return;
+                const across = d(E, C) + d(E, G) + d(I, H5) + d(I, F4) + 4 * d(H, F);
+                const along = d(H, D) + d(H, I5) + d(F, I4) + d(F, B) + 4 * d(E, I);
+                if (across > along) return;
+                const px = d(E, F) <= d(E, H) ? F : H;
+                // Sub-pixel (i, j) counted in the turned frame, so (factor - 1, factor - 1) is this corner
+                const sub = (i, j) => {
+                    const ox = 2 * i + 1 - factor, oy = 2 * j + 1 - factor;
+                    return (c * ox + e * oy + factor - 1) / 2 * factor + (a * ox + b * oy + factor - 1) / 2;
+                };
+                const toward = (i, j, own, weight) => { const n = sub(i, j); block[n] = PixelScaler.mix([block[n], own], [px, weight]); };
+                if (across < along && ((!eq(F, B) && !eq(H, D)) || (eq(E, I) && !eq(F, I4) && !eq(H, I5)) || eq(E, G) || eq(E, C))) {
+                    const ke = d(F, G), ki = d(H, C);
+                    const left = 2 * ke <= ki && E !== G && D !== G;
+                    const up = ke >= 2 * ki && E !== C && B !== C;
+                    if (factor === 2) {
+                        if (left && up) {
+                            toward(1, 1, 1, 7);
+                            toward(0, 1, 3, 1);
+                            block[sub(1, 0)] = block[sub(0, 1)];
+                        } else if (left) {
+                            toward(1, 1, 1, 3);
+                            toward(0, 1, 3, 1);
+                        } else if (up) {
+                            toward(1, 1, 1, 3);
+                            toward(1, 0, 3, 1);
+                        } else {
+                            block[sub(1, 1)] = PixelScaler.half(block[sub(1, 1)], px);
+                        }
+                    } else if (left && up) {
+                        toward(1, 3, 1, 3);
+                        toward(0, 3, 3, 1);
+                        [[3, 3], [2, 3], [3, 2]].forEach(([i, j]) => { block[sub(i, j)] = px; });
+                        block[sub(2, 2)] = block[sub(3, 0)] = block[sub(0, 3)];
+                        block[sub(3, 1)] = block[sub(1, 3)];
+                    } else if (left) {
+                        toward(3, 2, 1, 3);
+                        toward(1, 3, 1, 3);
+                        toward(2, 2, 3, 1);
+                        toward(0, 3, 3, 1);
+                        block[sub(2, 3)] = block[sub(3, 3)] = px;
+                    } else if (up) {
+                        toward(2, 3, 1, 3);
+                        toward(3, 1, 1, 3);
+                        toward(2, 2, 3, 1);
+                        toward(3, 0, 3, 1);
+                        block[sub(3, 2)] = block[sub(3, 3)] = px;
+                    } else {
+                        block[sub(3, 2)] = PixelScaler.half(block[sub(3, 2)], px);
+                        block[sub(2, 3)] = PixelScaler.half(block[sub(2, 3)], px);
+                        block[sub(3, 3)] = px;
+                    }
+                } else {
+                    block[sub(factor - 1, factor - 1)] = PixelScaler.half(block[sub(factor - 1, factor - 1)], px);
+                }
+            });
+            block.forEach((value, n) => put(n % factor, Math.floor(n / factor), value));
+        });
+    }
+
+    // Fits the image inside a `size` square, centered on transparency; integer factors where it fits
+    static fit(image, size) {
+        const scale = Math.min(size / image.width, size / image.height);
+        const factor = scale >= 1 ? Math.floor(scale) : scale;
+        const w = Math.max(1, Math.round(image.width * factor)), h = Math.max(1, Math.round(image.height * factor));
+        const left = Math.floor((size - w) / 2), top = Math.floor((size - h) / 2);
+        const out = PixelScaler.create(size, size);
+        const target = new Uint32Array(out.data.buffer);
+        const source = new Uint32Array(image.data.buffer, image.data.byteOffset, image.width * image.height);
+        for (let y = 0; y < h; y++) {
+            const sy = Math.min(image.height - 1, Math.floor(y / factor));
+            for (let x = 0; x < w; x++) {
+                target[(top + y) * size + left + x] = source[sy * image.width + Math.min(image.width - 1, Math.floor(x / factor))];
+            }
+        }
+        return out;
+    }
+}
+
+// Geometric edits on ImageData: flips, quarter turns, wrapping offsets, canvas resizes with an anchor, nearest
+// neighbour scaling and RotSprite rotation. Each returns a new ImageData.
+class ImageTransform {
+    // Anchors name a 3 × 3 position: 'tl', 't', 'tr', 'l', 'c', 'r', 'bl', 'b', 'br'
+    static ANCHORS = ['tl', 't', 'tr', 'l', 'c', 'r', 'bl', 'b', 'br'];
+
+    // Builds an image of `width` × `height` where each pixel comes from `source(x, y)` (a packed pixel or 0)
+    static map(width, height, source) {
+        const out = new ImageData(width, height);
+        const target = new Uint32Array(out.data.buffer);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) target[y * width + x] = source(x, y);
+        }
+        return out;
+    }
+
+    static pixels(image) { return new Uint32Array(image.data.buffer, image.data.byteOffset, image.width * image.height); }
+
+    // An ImageData for putImageData from a plain { width, height, data } image such as PixelScaler output
+    static imageData(image) {
+        return image instanceof ImageData ? image : new ImageData(image.data, image.width, image.height);
+    }
+
+    static flip(image, horizontal) {
+        const { width, height } = image, src = ImageTransform.pixels(image);
+        return ImageTransform.map(width, height, (x, y) => horizontal ? src[y * width + width - 1 - x] : src[(height - 1 - y) * width + x]);
+    }
+
+    // Clockwise quarter turns; odd counts swap width and height
+    static rotate(image, turns) {
+        const { width, height } = image, src = ImageTransform.pixels(image);
+        const t = ((turns % 4) + 4) % 4;
+        if (t === 0) return ImageTransform.map(width, height, (x, y) => src[y * width + x]);
+        if (t === 2) return ImageTransform.map(width, height, (x, y) => src[(height - 1 - y) * width + width - 1 - x]);
+        if (t === 1) return ImageTransform.map(height, width, (x, y) => src[(height - 1 - x) * width + y]);
+        return ImageTransform.map(height, width, (x, y) => src[x * width + width - 1 - y]);
+    }
+
+    // Shifts the image, wrapping what leaves one edge around to the opposite one (for seamless tiles)
+    static offset(image, dx, dy) {
+        const { width, height } = image, src = ImageTransform.pixels(image);
+        const wrap = (v, n) => ((v % n) + n) % n;
+        return ImageTransform.map(width, height, (x, y) => src[wrap(y - dy, height) * width + wrap(x - dx, width)]);
+    }
+
+    // Where content of size `inner` goes inside `outer` for an anchor
+    static anchorOffset(anchor, outerWidth, outerHeight, innerWidth, innerHeight) {
+        const index = Math.max(0, ImageTransform.ANCHORS.indexOf(anchor));
+        const row = Math.floor(index / 3), col = index % 3;
+        return {
+            x: [0, Math.floor((outerWidth - innerWidth) / 2), outerWidth - innerWidth][col],
+            y: [0, Math.floor((outerHeight - innerHeight) / 2), outerHeight - innerHeight][row]
+        };
+    }
+
+    // Crops or pads to the new size, keeping the content pinned to `anchor`
+    static resizeCanvas(image, width, height, anchor = 'tl') {
+        const src = ImageTransform.pixels(image);
+        const { x: ox, y: oy } = ImageTransform.anchorOffset(anchor, width, height, image.width, image.height);
+        return ImageTransform.map(width, height, (x, y) => {
+            const sx = x - ox, sy = y - oy;
+            return sx >= 0 && sy >= 0 && sx < image.width && sy < image.height ? src[sy * image.width + sx] : 0;
+        });
+    }
+
+    // Nearest neighbour to any size, sampling at pixel centres
+    static scale(image, width, height) {
+        const src = ImageTransform.pixels(image);
+        return ImageTransform.map(width, height, (x, y) => {
+            const sx = Math.min(image.width - 1, Math.floor((x + 0.5) * image.width / width));
+            const sy = Math.min(image.height - 1, Math.floor((y + 0.5) * image.height / height));
+            return src[sy * image.width + sx];
+        });
+    }
+
+    // Size of the box that holds the image rotated by `degrees`
+    static rotatedSize(width, height, degrees) {
+        const a = degrees * Math.PI / 180, c = Math.abs(Math.cos(a)), s = Math.abs(Math.sin(a));
+        // Small epsilon so exact right angles don't round up a pixel
+        return { width: Math.ceil(width * c + height * s - 1e-6), height: Math.ceil(width * s + height * c - 1e-6) };
+    }
+
+    // RotSprite-style rotation about the centre: the image is enlarged 8× with three Scale2x passes, rotated
+    // there with nearest-neighbour sampling and read back at 1×, which keeps lines clean without adding colors.
+    // The result is `width` × `height` (the source size by default), centred on the source.
+    static rotsprite(image, degrees, width = image.width, height = image.height) {
+        const big = PixelScaler.scale2x(PixelScaler.scale2x(PixelScaler.scale2x(image)));
+        const src = ImageTransform.pixels(big);
+        const a = -degrees * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+        return ImageTransform.map(width, height, (x, y) => {
+            // Pixel centre relative to the middle of the output, rotated back into the source
+            const cx = x + 0.5 - width / 2, cy = y + 0.5 - height / 2;
+            const sx = (cx * cos - cy * sin + image.width / 2) * 8;
+            const sy = (cx * sin + cy * cos + image.height / 2) * 8;
+            const bx = Math.floor(sx), by = Math.floor(sy);
+            if (bx < 0 || by < 0 || bx >= big.width || by >= big.height) return 0;
+            return src[by * big.width + bx];
+        });
+    }
+}
+
+// --- 18. Palette Files ---
+// Readers and writers for the palette formats other tools share: GIMP .gpl, JASC .pal, plain .hex and
+// Adobe .ase. Palettes are { name, colors } with colors as lowercase #rrggbb.
+class PaletteFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaletteFormatError';
+    }
+}
+
+class PaletteFile {
+    static FORMATS = {
+        gpl: { label: 'GIMP (.gpl)', type: 'text/plain' },
+        pal: { label: 'JASC (.pal)', type: 'text/plain' },
+        hex: { label: 'Hex (.hex)', type: 'text/plain' },
+        ase: { label: 'Adobe Swatch Exchange (.ase)', type: 'application/octet-stream' }
+    };
+
+    static toHex(r, g, b) {
+        const clamp = (v) => Math.max(0, Math.min(255, Math.round(v)));
+        return '#' + [r, g, b].map(v => clamp(v).toString(16).padStart(2, '0')).join('');
+    }
+
+    static toRgb(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+    }
+
+    // Picks the reader from the file extension, falling back to sniffing the contents
+    static parse(filename, bytes) {
+        const ext = ((filename.match(/\.([^.]+)$/) || [])[1] || '').toLowerCase();
+        const text = () => new TextDecoder().decode(bytes);
+        const head = String.fromCharCode(...bytes.subarray(0, 8));
+        let palette;
+        if (ext === 'ase' || head.startsWith('ASEF')) palette = PaletteFile.parseASE(bytes);
+        else if (ext === 'gpl' || head.startsWith('GIMP')) palette = PaletteFile.parseGPL(text());
+        else if (ext === 'pal' || head.startsWith('JASC')) palette = PaletteFile.parsePAL(text());
+        else palette = PaletteFile.parseHEX(text());
+        if (!palette.name) palette.name = filename.replace(/\.[^.]+$/, '');
+        if (palette.colors.length === 0) throw new PaletteFormatError('The file does not contain any colors.');
+        return palette;
+    }
+
+    static parseGPL(text) {
+        const lines = text.split(/\r?\n/);
+        if (!/^GIMP Palette/.test(lines[0])) throw new PaletteFormatError('This is not a GIMP palette.');
+        let name = '';
+        const colors = [];
+        lines.slice(1).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+            const meta = /^Name:\s*(.*)$/.exec(trimmed);
+            if (meta) { name = meta[1]; return; }
+            if (/^Columns:/.test(trimmed)) return;
+            const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(trimmed);
+            if (!m) throw new PaletteFormatError(`Unreadable GIMP palette line: "${trimmed}"`);
+            colors.push(PaletteFile.toHex(+m[1], +m[2], +m[3]));
+        });
+        return { name, colors };
+    }
+
+    static parsePAL(text) {
+        const lines = text.split(/\r?\n/).map(l => l.trim());
+        if (lines[0] !== 'JASC-PAL') throw new PaletteFormatError('This is not a JASC palette.');
+        const count = parseInt(lines[2]);
+        if (!(count >= 0)) throw new PaletteFormatError('The JASC palette has no color count.');
+        const colors = [];
+        for (let i = 0; i < count; i++) {
+            const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(lines[3 + i] || '');
+            if (!m) throw new PaletteFormatError(`JASC palette color ${i + 1} is missing or unreadable.`);
+            colors.push(PaletteFile.toHex(+m[1], +m[2], +m[3]));
+        }
+        return { name: '', colors };
+    }
+
+    static parseHEX(text) {
+        const colors = [];
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            const m = /^#?([0-9a-f]{6})$/i.exec(trimmed);
+            if (!m) throw new PaletteFormatError(`"${trimmed}" is not a 6-digit hex color.`);
+            colors.push('#' + m[1].toLowerCase());
+        });
+        return { name: '', colors };
+    }
+
+    // Adobe Swatch Exchange: big-endian blocks of colors, optionally wrapped in named groups
+    static parseASE(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const fail = () => { throw new PaletteFormatError('This Adobe Swatch Exchange file is damaged.'); };
+        if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== 'ASEF') throw new PaletteFormatError('This is not an Adobe Swatch Exchange file.');
+        const count = view.getUint32(8);
+        let offset = 12, name = '';
+        const colors = [];
+        for (let i = 0; i < count; i++) {
+            if (offset + 6 > bytes.length) fail();
+            const type = view.getUint16(offset);
+            const length = view.getUint32(offset + 2);
+            const start = offset + 6;
+            offset = start + length;
+            if (offset > bytes.length) fail();
+            if (type !== 0x0001 && type !== 0xc001) continue;
+            const nameLength = view.getUint16(start);
+            let title = '';
+            for (let c = 0; c < nameLength - 1; c++) title += String.fromCharCode(view.getUint16(start + 2 + c * 2));
+            if (type === 0xc001) { if (!name) name = title; continue; }
+            const at = start + 2 + nameLength * 2;
+            const model = String.fromCharCode(...bytes.subarray(at, at + 4));
+            const value = (k) => view.getFloat32(at + 4 + k * 4);
+            if (model === 'RGB ') colors.push(PaletteFile.toHex(value(0) * 255, value(1) * 255, value(2) * 255));
+            else if (model === 'Gray') colors.push(PaletteFile.toHex(value(0) * 255, value(0) * 255, value(0) * 255));
+            else if (model === 'CMYK') {
+                const k = value(3);
+                colors.push(PaletteFile.toHex(255 * (1 - value(0)) * (1 - k), 255 * (1 - value(1)) * (1 - k), 255 * (1 - value(2)) * (1 - k)));
+            } else if (model === 'LAB ') colors.push(PaletteFile.labToHex(value(0) * 100, value(1), value(2)));
+            else fail();
+        }
+        return { name, colors };
+    }
+
+    // CIE L*a*b* (D50, as Adobe stores it) to sRGB
+    static labToHex(l, a, b) {
+        const fy = (l + 16) / 116, fx = fy + a / 500, fz = fy - b / 200;
+        const f = (t) => t > 6 / 29 ? t * t * t : 3 * (6 / 29) * (6 / 29) * (t - 4 / 29);
+        const x = 0.9642 * f(fx), y = f(fy), z = 0.8251 * f(fz);
+        const lin = [
+            3.1339 * x - 1.6169 * y - 0.4906 * z,
+            -0.9788 * x + 1.9161 * y + 0.0335 * z,
+            0.0719 * x - 0.2290 * y + 1.4052 * z
+        ];
+        const gamma = (c) => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+        return PaletteFile.toHex(...lin.map(gamma));
+    }
+
+    // Returns a string for the text formats and bytes for .ase
+    static serialize(format, { name, colors }) {
+        const rgb = colors.map(PaletteFile.toRgb);
+        switch (format) {
+            case 'gpl':
+                return ['GIMP Palette', `Name: ${name}`, 'Columns: 8', '#']
+                    .concat(rgb.map(([r, g, b], i) => `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${colors[i].slice(1)}`))
+                    .join('\n') + '\n';
+            case 'pal':
+                return ['JASC-PAL', '0100', String(colors.length)].concat(rgb.map(c => c.join(' '))).join('\r\n') + '\r\n';
+            case 'hex':
+                return colors.map(c => c.slice(1)).join('\n') + '\n';
+            case 'ase': return PaletteFile.serializeASE(name, colors);
+        }
+        throw new PaletteFormatError(`Unknown palette format "${format}".`);
+    }
+
+    static serializeASE(name, colors) {
+        const w = new ByteWriter();
+        const block = (type, fn) => {
+            const body = new ByteWriter();
+            fn(body);
+            w.u16be(type);
+            w.u32be(body.length);
+            w.write(body.result());
+        };
+        const utf16 = (body, str) => {
+            body.u16be(str.length + 1);
+            for (let i = 0; i < str.length; i++) body.u16be(str.charCodeAt(i));
+            body.u16be(0);
+        };
+        w.ascii('ASEF');
+        w.u16be(1);
+        w.u16be(0);
+        w.u32be(colors.length + 2);
+        block(0xc001, body => utf16(body, name));
+        colors.forEach(color => block(0x0001, body => {
+            utf16(body, color);
+            body.ascii('RGB ');
+            PaletteFile.toRgb(color).forEach(v => body.f32be(v / 255));
+            body.u16be(2); // normal (not global or spot)
+        }));
+        block(0xc002, () => {});
+        return w.result();
+    }
+}
+
+// --- 19. Commands ---
+// Every action that can be triggered from the keyboard or the command palette. A binding is a key combo such as
+// 'Ctrl+Shift+Z'; only the commands the user rebound are saved, so later default changes still reach everyone else.
+class CommandRegistry {
+    static STORAGE_KEY = 'keyBindings';
+    static CATEGORIES = { tool: 'Tools', color: 'Colors', edit: 'Edit', select: 'Selection', file: 'File', view: 'View', canvas: 'Canvas', adjust: 'Adjust Colors', app: 'Application' };
+    static MODIFIERS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+    static KEY_NAMES = { ' ': 'Space', 'Esc': 'Escape', 'Del': 'Delete', 'Up': 'ArrowUp', 'Down': 'ArrowDown', 'Left': 'ArrowLeft', 'Right': 'ArrowRight' };
+    // Fields that take typed text; keys pressed in them never trigger shortcuts
+    static TEXT_INPUTS = ['text', 'number', 'search', 'email', 'url', 'password', 'tel'];
+    // Keys a focused button or select acts on itself, so they don't also run the command bound to them
+    static CONTROL_KEYS = ['Enter', 'Escape'];
+
+    constructor() {
+        this.commands = new Map();
+        this.custom = {};
+        // Saved bindings wait here until their command is registered, so ones for unknown commands are dropped
+        this.saved = this.load();
+        this.listeners = [];
+    }
+
+    // keys is a combo, a list of combos or null for a command that is only reachable from the palette
+    register(id, label, keys, run) {
+        const category = CommandRegistry.CATEGORIES[id.split('.')[0]] || 'General';
+        this.commands.set(id, { id, label, category, defaults: [].concat(keys || []), run });
+        if (this.saved[id]) this.custom[id] = this.saved[id];
+    }
+
+    all() { return Array.from(this.commands.values()); }
+
+    keys(id) { return this.custom[id] || this.commands.get(id).defaults; }
+
+    isCustom(id) { return !!this.custom[id]; }
+
+    // The command a combo is bound to, ignoring `except`
+    find(combo, except) { return this.all().find(c => c.id !== except && this.keys(c.id).includes(combo)); }
+
+    // Other commands that already use any of the given combos
+    conflicts(id, keys) {
+        return keys.map(combo => this.find(combo, id)).filter((c, i, list) => c && list.indexOf(c) === i);
+    }
+
+    // Binds the combos to the command and takes them away from any command that had them
+    setKeys(id, keys) {
+        keys.forEach(combo => {
+            const other = this.find(combo, id);
+            if (other) this.store(other.id, this.keys(other.id).filter(k => k !== combo));
+        });
+        this.store(id, keys);
+        this.save();
+    }
+
+    reset(id) { this.setKeys(id, this.commands.get(id).defaults); }
+
+    resetAll() {
+        this.custom = {};
+        this.save();
+    }
+
+    store(id, keys) {
+        const defaults = this.commands.get(id).defaults;
+        if (keys.length === defaults.length && keys.every((k, i) => k === defaults[i])) delete this.custom[id];
+        else this.custom[id] = keys.slice();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CommandRegistry.STORAGE_KEY));
+            if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+            return Object.fromEntries(Object.entries(saved).filter(([, keys]) => Array.isArray(keys) && keys.every(combo => typeof combo === 'string')));
+        } catch (err) {
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(CommandRegistry.STORAGE_KEY, JSON.stringify(this.custom));
+        this.listeners.forEach(fn => fn());
+    }
+
+    onChange(fn) { this.listeners.push(fn); }
+
+    run(id) {
+        const command = this.commands.get(id);
+        if (command) command.run();
+    }
+
+    listen() {
+        window.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || CommandRegistry.isTyping(e.target) || CommandRegistry.modalOpen()) return;
+            const combo = CommandRegistry.combo(e);
+            if (CommandRegistry.CONTROL_KEYS.includes(combo) && e.target && ['BUTTON', 'SELECT'].includes(e.target.tagName)) return;
+            const command = combo && this.find(combo);
+            if (!command) return;
+            e.preventDefault();
+            command.run();
+        });
+    }
+
+    // Commands whose label contains the query as a subsequence, best matches first
+    search(query) {
+        const q = query.toLowerCase().replace(/\s+/g, '');
+        if (!q) return this.all();
+        return this.all()
+            .map(command => ({ command, score: CommandRegistry.score(q, `${command.label}`.toLowerCase()) }))
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(r => r.command);
+    }
+
+    // Every query character has to appear in order. Consecutive characters and word starts are worth more, and
+    // shorter labels win ties, so "fh" ranks "Flip Horizontal" above "Fill Shape".
+    static score(query, text) {
+        let score = 0, from = 0, last = -2;
+        for (const ch of query) {
+            const i = text.indexOf(ch, from);
+            if (i < 0) return 0;
+            score += 1;
+            if (i === last + 1) score += 2;
+            if (i === 0 || /[\s\-/(]/.test(text[i - 1])) score += 3;
+            last = i;
+            from = i + 1;
+        }
+        return score - text.length / 100;
+    }
+
+    // The normalized combo for a keydown, or null while only modifiers are held
+    static combo(e) {
+        if (CommandRegistry.MODIFIERS.includes(e.key) || !e.key) return null;
+        let key = CommandRegistry.KEY_NAMES[e.key] || e.key;
+        if (key.length === 1) key = key.toUpperCase();
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    static isTyping(el) {
+        if (!el || !el.tagName) return false;
+        if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+        return el.tagName === 'INPUT' && CommandRegistry.TEXT_INPUTS.includes(el.type);
+    }
+
+    // Shortcuts are off while a dialog is up: the dialogs handle their own keys, and some (Adjust Colors) hold
+    // a history transaction open that another command would commit
+    static modalOpen() {
+        return !!document.querySelector('.modal-overlay.active');
+    }
+}
+
+// --- 20. UI Controller ---
+class UIController {
+    constructor(state, viewport, tools, files, layers, history, selection, colorModes) {
+        this.state = state; this.viewport = viewport; this.tools = tools; this.files = files; this.layers = layers; this.history = history; this.selection = selection; this.colorModes = colorModes;
+        this.coordDisplay = document.getElementById('coord-display');
+        this.sizeDisplay = document.getElementById('size-display');
+        this.zoomDisplay = document.getElementById('zoom-display');
+        this.setupBindings();
+        this.setupEventListeners();
+    }
+
+    setupBindings() {
+        this.state.subscribe((s) => {
+            if (this.sizeDisplay) this.sizeDisplay.innerText = `${s.width} x ${s.height}`;
+            document.title = `${s.documentName} - Pixel no Kiseki`;
+            if (this.zoomDisplay) this.zoomDisplay.innerText = `${Math.round(s.zoom * 100 / 30)}%`;
+            document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.toggle('active', btn.id === `tool-${s.currentTool}`));
+            this.updateColorUI(s[this.colorKey]);
+            this.updateContextualSettings(s.currentTool, s.settingsVisible);
+            const colorMode = document.getElementById('color-mode-select');
+            if (colorMode) colorMode.value = s.colorMode;
+            this.updateViewUI();
+        });
+    }
+
+    updateContextualSettings(tool, visible = true) {
+        const panel = document.getElementById('tool-settings-panel');
+        const colorSet = document.getElementById('color-settings');
+        const brushSet = document.getElementById('brush-settings');
+        if (!panel) return;
+
+        const shapeSet = document.getElementById('shape-settings');
+        const symmetrySet = document.getElementById('symmetry-settings');
+        const patternSet = document.getElementById('pattern-settings');
+        const gradientSet = document.getElementById('gradient-settings');
+        const fillSet = document.getElementById('fill-settings');
+        const eyedropperSet = document.getElementById('eyedropper-settings');
+        const isShape = ToolManager.SHAPES.includes(tool);
+        const toolSupportsColor = (tool === 'pencil' || tool === 'fill' || tool === 'gradient' || isShape);
+        const toolSupportsBrush = (tool === 'pencil' || tool === 'eraser' || isShape);
+        const toolSupportsFill = (tool === 'rect' || tool === 'ellipse');
+        const toolHasSettings = toolSupportsColor || toolSupportsBrush || tool === 'eyedropper';
+
+        const active = toolHasSettings && visible;
+        panel.classList.toggle('hidden', !active);
+        // The eyedropper shows the colors so the picked one can be seen and edited
+        if (colorSet) colorSet.style.display = toolSupportsColor || tool === 'eyedropper' ? 'block' : 'none';
+        if (eyedropperSet) eyedropperSet.style.display = tool === 'eyedropper' ? 'block' : 'none';
+        if (brushSet) brushSet.style.display = toolSupportsBrush ? 'block' : 'none';
+        if (shapeSet) shapeSet.style.display = toolSupportsFill ? 'block' : 'none';
+        if (patternSet) patternSet.style.display = (tool === 'pencil' || tool === 'fill') ? 'block' : 'none';
+        if (gradientSet) gradientSet.style.display = tool === 'gradient' ? 'block' : 'none';
+        if (fillSet) fillSet.style.display = tool === 'fill' ? 'block' : 'none';
+        // Everything that paints can be mirrored, except gradients which cover a whole area
+        if (symmetrySet) symmetrySet.style.display = (toolSupportsColor || toolSupportsBrush) && tool !== 'gradient' ? 'block' : 'none';
+        this.updateSymmetryUI();
+        this.updatePatternUI();
+        document.querySelectorAll('[data-shape-fill]').forEach(btn => {
+            btn.classList.toggle('active', (btn.dataset.shapeFill === 'filled') === this.state.shapeFilled);
+        });
+    }
+
+    updateSymmetryUI() {
+        const s = this.state;
+        const toggle = document.getElementById('symmetry-toggle');
+        const mode = document.getElementById('symmetry-mode');
+        const segments = document.getElementById('symmetry-segments');
+        const segmentsRow = document.getElementById('symmetry-segments-row');
+        if (toggle) toggle.checked = s.symmetryEnabled;
+        if (mode) mode.value = s.symmetryMode;
+        if (segments && document.activeElement !== segments) segments.value = s.symmetrySegments;
+        if (segmentsRow) segmentsRow.style.display = s.symmetryMode === 'radial' ? 'flex' : 'none';
+        const axis = ToolManager.symmetryAxis(s);
+        [['symmetry-x', axis.x], ['symmetry-y', axis.y]].forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input && document.activeElement !== input) input.value = value;
+        });
+    }
+
+    updatePatternUI() {
+        const s = this.state;
+        const value = (id, v) => { const el = document.getElementById(id); if (el && document.activeElement !== el) el.value = v; };
+        value('pattern-select', s.pattern);
+        value('pattern-level', Math.round(s.patternLevel * 100));
+        value('pattern-background', s.patternBackground);
+        value('eyedropper-sample', s.eyedropperSample);
+        value('gradient-shape', s.gradientShape);
+        value('gradient-source', s.gradientSource);
+        value('gradient-from', s.gradientFrom + 1);
+        value('gradient-to', s.gradientTo + 1);
+        value('gradient-dither', s.gradientDither);
+        value('fill-tolerance', s.fillTolerance);
+        value('fill-mode', s.fillContiguous ? 'contiguous' : 'global');
+        value('fill-blend', s.fillBlend);
+        const toleranceLabel = document.getElementById('fill-tolerance-value');
+        if (toleranceLabel) toleranceLabel.textContent = s.fillTolerance;
+        const diagonal = document.getElementById('fill-diagonal');
+        if (diagonal) {
+            diagonal.checked = s.fillDiagonal;
+            diagonal.disabled = !s.fillContiguous;
+        }
+        const levelLabel = document.getElementById('pattern-level-value');
+        if (levelLabel) levelLabel.textContent = Math.round(s.patternLevel * 100);
+        const levelRow = document.getElementById('pattern-level-row');
+        if (levelRow) levelRow.style.display = DitherPattern.MATRICES[s.pattern] ? 'flex' : 'none';
+        const rangeRow = document.getElementById('gradient-range-row');
+        if (rangeRow) rangeRow.style.display = s.gradientSource === 'palette' ? 'grid' : 'none';
+        // A 16 × 16 sample of the pattern as painted: on pixels in the current color, off pixels as they would be
+        const preview = document.getElementById('pattern-preview');
+        const key = [s.pattern, s.patternLevel, s.patternBackground, s.currentColor, s.secondaryColor].join();
+        if (!preview || (key === this.patternPreviewKey && s.patternCustom === this.patternPreviewCustom)) return;
+        this.patternPreviewKey = key;
+        this.patternPreviewCustom = s.patternCustom;
+        const ctx = preview.getContext('2d');
+        ctx.clearRect(0, 0, preview.width, preview.height);
+        const pattern = { name: s.pattern, level: s.patternLevel, custom: s.patternCustom };
+        for (let y = 0; y < preview.height; y++) {
+            for (let x = 0; x < preview.width; x++) {
+                if (DitherPattern.covers(pattern, x, y)) ctx.fillStyle = s.currentColor;
+                else if (s.patternBackground === 'secondary') ctx.fillStyle = s.secondaryColor;
+                else continue;
+                ctx.fillRect(x, y, 1, 1);
+            }
+        }
+    }
+
+    updateViewUI() {
+        const s = this.state;
+        [['pixel-grid-toggle', s.pixelGrid], ['tile-grid-toggle', s.tileGrid], ['tiled-mode-toggle', s.tiledMode]].forEach(([id, on]) => {
+            const input = document.getElementById(id);
+            if (input) input.checked = on;
+        });
+        [['tile-grid-w', s.tileGridWidth], ['tile-grid-h', s.tileGridHeight], ['tile-grid-x', s.tileGridOffsetX],
+            ['tile-grid-y', s.tileGridOffsetY], ['tile-grid-color', s.tileGridColor]].forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input && document.activeElement !== input) input.value = value;
+        });
+    }
+
+    // The state key of the color the panel edits: the foreground or the background color
+    get colorKey() { return this.state.colorSlot === 'secondary' ? 'secondaryColor' : 'currentColor'; }
+
+    swapColors() {
+        const { currentColor, secondaryColor } = this.state;
+        this.state.update({ currentColor: secondaryColor, secondaryColor: currentColor });
+    }
+
+    // Parse color string (hex3/6/8) → { hex6, alpha(0-255) }
+    parseColor(raw) {
+        let h = (raw || '').trim().replace(/^#/, '');
+        if (h.length === 3) h = h.split('').map(c => c + c).join('');
+        const hex6 = '#' + h.slice(0, 6).padEnd(6, '0');
+        const alpha = h.length >= 8 ? parseInt(h.slice(6, 8), 16) : 255;
+        return { hex6, alpha: isNaN(alpha) ? 255 : alpha };
+    }
+
+    // Build full RGBA hex from hex6 and alpha
+    buildColor(hex6, alpha) {
+        if (alpha >= 255) return hex6.toLowerCase();
+        return hex6.toLowerCase() + Math.round(alpha).toString(16).padStart(2, '0');
+    }
+
+    updateColorUI(colorRaw) {
+        const { hex6, alpha } = this.parseColor(colorRaw);
+        const cp = document.getElementById('color-picker');
+        const hexIn = document.getElementById('hex-input');
+        const alphaSl = document.getElementById('alpha-slider');
+        const alphaNum = document.getElementById('alpha-value');
+        const preview = document.getElementById('color-preview-swatch');
+
+        if (cp) cp.value = hex6;
+        if (hexIn && document.activeElement !== hexIn) {
+            hexIn.value = alpha < 255 ? (hex6 + Math.round(alpha).toString(16).padStart(2, '0')).toUpperCase() : hex6.toUpperCase();
+        }
+        if (alphaSl) alphaSl.value = alpha;
+        if (alphaNum) alphaNum.textContent = alpha;
+
+        // Update CSS custom property for swatch preview and alpha slider gradient
+        const rgbParts = hex6.slice(1).match(/.{2}/g).map(x => parseInt(x, 16));
+        const rgbaStr = `rgba(${rgbParts.join(',')},${(alpha / 255).toFixed(2)})`;
+        if (preview) preview.parentElement.style.setProperty('--preview-color', rgbaStr);
+        const slider = document.getElementById('alpha-slider');
+        if (slider) slider.style.background = `linear-gradient(to right, transparent, ${hex6})`;
+    }
+
+    setupEventListeners() {
+        const toolMap = {
+            'tool-pencil': 'pencil', 'tool-eraser': 'eraser', 'tool-fill': 'fill', 'tool-eyedropper': 'eyedropper',
+            'tool-gradient': 'gradient', 'tool-line': 'line', 'tool-rect': 'rect', 'tool-ellipse': 'ellipse',
+            'tool-select': 'select', 'tool-lasso': 'lasso', 'tool-wand': 'wand', 'tool-move': 'move', 'tool-hand': 'hand'
+        };
+        Object.entries(toolMap).forEach(([id, tool]) => {
+            const el = document.getElementById(id);
+            if (el) el.onclick = () => {
+                if (this.state.currentTool === tool) {
+                    this.state.update({ settingsVisible: !this.state.settingsVisible });
+                } else {
+                    this.state.update({ currentTool: tool, settingsVisible: true });
+                }
+            };
+        });
+
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+
+        document.querySelectorAll('[data-shape-fill]').forEach(btn => {
+            btn.onclick = () => this.state.update({ shapeFilled: btn.dataset.shapeFill === 'filled' });
+        });
+
+        // Symmetry
+        const symToggle = document.getElementById('symmetry-toggle');
+        if (symToggle) symToggle.onchange = () => this.state.update({ symmetryEnabled: symToggle.checked });
+        const symMode = document.getElementById('symmetry-mode');
+        if (symMode) symMode.onchange = () => this.state.update({ symmetryMode: symMode.value, symmetryEnabled: true });
+        const symSegments = document.getElementById('symmetry-segments');
+        if (symSegments) symSegments.onchange = () => {
+            this.state.update({ symmetrySegments: Math.max(2, Math.min(16, parseInt(symSegments.value) || 2)) });
+            symSegments.value = this.state.symmetrySegments;
+        };
+        // Axes snap to half pixels so mirrored pixels land exactly on the grid
+        [['symmetry-x', 'symmetryX', 'width'], ['symmetry-y', 'symmetryY', 'height']].forEach(([id, key, size]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.onchange = () => {
+                const value = Math.round((parseFloat(input.value) || 0) * 2) / 2;
+                this.state.update({ [key]: Math.max(0, Math.min(this.state[size], value)) });
+                input.value = ToolManager.symmetryAxis(this.state)[key === 'symmetryX' ? 'x' : 'y'];
+            };
+        });
+        bind('symmetry-center-btn', () => this.state.update({ symmetryX: null, symmetryY: null }));
+
+        // Patterns and gradients
+        const patternSelect = document.getElementById('pattern-select');
+        if (patternSelect) {
+            Object.entries(DitherPattern.PATTERNS).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                patternSelect.appendChild(option);
+            });
+            patternSelect.onchange = () => {
+                if (patternSelect.value === 'custom' && !this.state.patternCustom) {
+                    // Nothing to repeat yet, so take it from the selection now
+                    if (!this.tools.patternFromSelection()) patternSelect.value = this.state.pattern;
+                    return;
+                }
+                this.state.update({ pattern: patternSelect.value });
+            };
+        }
+        const patternLevel = document.getElementById('pattern-level');
+        if (patternLevel) patternLevel.oninput = () => this.state.update({ patternLevel: parseInt(patternLevel.value) / 100 });
+        const onChange = (id, fn) => { const el = document.getElementById(id); if (el) el.onchange = () => fn(el.value); };
+        onChange('pattern-background', (patternBackground) => this.state.update({ patternBackground }));
+        bind('pattern-from-selection-btn', () => this.tools.patternFromSelection());
+        onChange('eyedropper-sample', (eyedropperSample) => this.state.update({ eyedropperSample }));
+        onChange('gradient-shape', (gradientShape) => this.state.update({ gradientShape }));
+        onChange('gradient-source', (gradientSource) => this.state.update({ gradientSource }));
+        onChange('gradient-dither', (gradientDither) => this.state.update({ gradientDither }));
+        // Palette entries are numbered from 1 in the panel
+        onChange('gradient-from', (value) => this.state.update({ gradientFrom: Math.max(0, (parseInt(value) || 1) - 1) }));
+        onChange('gradient-to', (value) => this.state.update({ gradientTo: Math.max(0, (parseInt(value) || 1) - 1) }));
+        const fillTolerance = document.getElementById('fill-tolerance');
+        if (fillTolerance) fillTolerance.oninput = () => this.state.update({ fillTolerance: parseInt(fillTolerance.value) || 0 });
+        onChange('fill-mode', (mode) => this.state.update({ fillContiguous: mode === 'contiguous' }));
+        onChange('fill-blend', (fillBlend) => this.state.update({ fillBlend }));
+        const fillDiagonal = document.getElementById('fill-diagonal');
+        if (fillDiagonal) fillDiagonal.onchange = () => this.state.update({ fillDiagonal: fillDiagonal.checked });
+
+        // View aids
+        const toggle = (id, key) => {
+            const input = document.getElementById(id);
+            if (input) input.onchange = () => this.state.update({ [key]: input.checked });
+        };
+        toggle('pixel-grid-toggle', 'pixelGrid');
+        toggle('tile-grid-toggle', 'tileGrid');
+        const tiled = document.getElementById('tiled-mode-toggle');
+        // The canvas triples in size, so the view is refitted around it
+        if (tiled) tiled.onchange = () => { this.state.update({ tiledMode: tiled.checked }); this.viewport.autoFit(); };
+        [['tile-grid-w', 'tileGridWidth', 1], ['tile-grid-h', 'tileGridHeight', 1], ['tile-grid-x', 'tileGridOffsetX', -320], ['tile-grid-y', 'tileGridOffsetY', -320]].forEach(([id, key, min]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.onchange = () => {
+                this.state.update({ [key]: Math.max(min, Math.min(320, parseInt(input.value) || 0)), tileGrid: true });
+                input.value = this.state[key];
+            };
+        });
+        const tileColor = document.getElementById('tile-grid-color');
+        if (tileColor) tileColor.oninput = () => this.state.update({ tileGridColor: tileColor.value, tileGrid: true });
+
+        // Color mode: switching to indexed snaps every pixel to the palette
+        const colorMode = document.getElementById('color-mode-select');
+        const dither = document.getElementById('convert-dither');
+        if (colorMode) colorMode.onchange = () => {
+            if (colorMode.value === 'indexed') this.colorModes.convertToIndexed(!!(dither && dither.checked));
+            else this.colorModes.convertToRGBA();
+            colorMode.value = this.state.colorMode;
+        };
+
+        // Color picker: native colour input
+        const cp = document.getElementById('color-picker');
+        if (cp) cp.oninput = () => {
+            const alphaSl = document.getElementById('alpha-slider');
+            const alpha = alphaSl ? parseInt(alphaSl.value) : 255;
+            this.state.update({ [this.colorKey]: this.buildColor(cp.value, alpha) });
+        };
+
+        // Hex text input
+        const hexIn = document.getElementById('hex-input');
+        if (hexIn) hexIn.addEventListener('input', () => {
+            const raw = hexIn.value.trim();
+            if (/^#?[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/.test(raw)) {
+                const full = raw.startsWith('#') ? raw : '#' + raw;
+                const { hex6, alpha } = this.parseColor(full);
+                this.state.update({ [this.colorKey]: this.buildColor(hex6, alpha) });
+            }
+        });
+
+        // Alpha slider
+        const alphaSl = document.getElementById('alpha-slider');
+        if (alphaSl) alphaSl.addEventListener('input', () => {
+            const { hex6 } = this.parseColor(this.state[this.colorKey]);
+            this.state.update({ [this.colorKey]: this.buildColor(hex6, parseInt(alphaSl.value)) });
+        });
+
+        bind('undo-btn', () => this.history.undo());
+        bind('redo-btn', () => this.history.redo());
+        bind('import-btn', () => this.files.triggerImport());
+        bind('open-project-btn', () => this.files.openProject());
+        bind('save-project-btn', () => this.files.saveProject());
+        bind('save-as-project-btn', () => this.files.openSaveAsDialog());
+        bind('center-view-btn', () => this.viewport.centerOnly());
+        bind('fit-btn', () => this.viewport.autoFit());
+        bind('center-view-btn-sidebar', () => this.viewport.centerOnly());
+
+        const wIn = document.getElementById('canvas-width-input');
+        const hIn = document.getElementById('canvas-height-input');
+
+        // Preset sizes
+        document.querySelectorAll('.preset-btn[data-size]').forEach(btn => {
+            btn.onclick = () => {
+                const s = btn.dataset.size;
+                if (wIn) wIn.value = s;
+                if (hIn) hIn.value = s;
+            };
+        });
+
+        // Square utility
+        bind('square-btn', () => {
+            if (wIn && hIn) {
+                const max = Math.max(parseInt(wIn.value) || 0, parseInt(hIn.value) || 0);
+                wIn.value = max;
+                hIn.value = max;
+            }
+        });
+
+        const upscaleFilter = document.getElementById('upscale-filter');
+        if (upscaleFilter) {
+            Object.entries(PixelScaler.FILTERS).forEach(([value, { label, factor }]) => {
+                if (value === 'nearest') return;
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = `${label} (${factor}×)`;
+                upscaleFilter.appendChild(option);
+            });
+        }
+        bind('upscale-btn', () => {
+            const filter = upscaleFilter ? upscaleFilter.value : 'scale2x';
+            const { factor, label } = PixelScaler.FILTERS[filter];
+            const { width, height } = this.state;
+            const nw = width * factor, nh = height * factor;
+            if (nw > 320 || nh > 320) {
+                alert(`Upscaling with ${label} would make the canvas ${nw}×${nh}, larger than the 320px maximum.`);
+                return;
+            }
+            this.history.record(`Upscale ${label} ${width}×${height} → ${nw}×${nh}`, () => {
+                this.layers.transform(nw, nh, image => PixelScaler.apply(filter, image));
+                // Blended edges are snapped back onto the palette in indexed mode
+                if (this.colorModes.indexed) this.colorModes.eachCel(image => { IndexedColor.quantize(image, this.state.palette); });
+            });
+            if (wIn) wIn.value = nw;
+            if (hIn) hIn.value = nh;
+            this.viewport.autoFit();
+        });
+
+        // Info Modal Logic
+        const modal = document.getElementById('info-modal');
+        const openModal = () => { if (modal) { modal.classList.add('active'); if (window.lucide) window.lucide.createIcons(); } };
+        const closeModal = () => { if (modal) modal.classList.remove('active'); };
+
+        bind('info-btn', openModal);
+        bind('close-modal', closeModal);
+        if (modal) modal.onclick = (e) => { if (e.target === modal) closeModal(); };
+
+        // Reset Canvas Confirmation Modal
+        const confirmModal = document.getElementById('confirm-modal');
+        const openConfirm = () => { if (confirmModal) { confirmModal.classList.add('active'); if (window.lucide) window.lucide.createIcons(); } };
+        const closeConfirm = () => { if (confirmModal) confirmModal.classList.remove('active'); };
+
+        bind('reset-canvas-btn', openConfirm);
+        bind('confirm-reset-cancel', closeConfirm);
+        if (confirmModal) confirmModal.onclick = (e) => { if (e.target === confirmModal) closeConfirm(); };
+
+        bind('confirm-reset-ok', () => {
+            this.history.record('Clear canvas', () => this.layers.clearAll(), 'all');
+            this.state.notify();
+            closeConfirm();
+        });
+
+        // Save As dialog
+        const saveAsModal = document.getElementById('save-as-modal');
+        const closeSaveAs = () => { if (saveAsModal) saveAsModal.classList.remove('active'); };
+        bind('save-as-cancel', closeSaveAs);
+        bind('save-as-ok', () => this.files.confirmSaveAs());
+        if (saveAsModal) saveAsModal.onclick = (e) => { if (e.target === saveAsModal) closeSaveAs(); };
+        const saveAsName = document.getElementById('save-as-name');
+        if (saveAsName) saveAsName.onkeydown = (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') this.files.confirmSaveAs();
+            if (e.key === 'Escape') closeSaveAs();
+        };
+    }
+
+    rgbToHex(rgb) {
+        if (!rgb) return '';
+        const match = rgb.match(/^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/);
+        if (!match) return rgb;
+        return "#" + ((1 << 24) + (parseInt(match[1]) << 16) + (parseInt(match[2]) << 8) + parseInt(match[3])).toString(16).slice(1).toLowerCase();
+    }
+}
+
+// --- 21. Layer Panel ---
+// Draws `source` scaled to fit inside a thumbnail canvas, keeping hard pixel edges
+const drawThumbnail = (thumb, source) => {
+    const ctx = thumb.getContext('2d');
+    const scale = Math.min(thumb.width / source.width, thumb.height / source.height);
+    const w = Math.max(1, Math.round(source.width * scale));
+    const h = Math.max(1, Math.round(source.height * scale));
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, thumb.width, thumb.height);
+    ctx.drawImage(source, Math.floor((thumb.width - w) / 2), Math.floor((thumb.height - h) / 2), w, h);
+};
+
+class LayerPanel {
+    constructor(state, layers, history) {
+        this.state = state; this.layers = layers; this.history = history;
+        this.listEl = document.getElementById('layer-list');
+        this.opacitySlider = document.getElementById('layer-opacity-slider');
+        this.opacityValue = document.getElementById('layer-opacity-value');
+        this.blendSelect = document.getElementById('layer-blend-select');
+        this.renderKey = '';
+        this.setupControls();
+        this.state.subscribe(() => this.render());
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('layer-add-btn', () => this.history.record('New layer', () => this.layers.add()));
+        bind('layer-duplicate-btn', () => this.history.record('Duplicate layer', () => this.layers.duplicate()));
+        bind('layer-delete-btn', () => this.history.record('Delete layer', () => this.layers.remove()));
+        bind('layer-up-btn', () => this.history.record('Move layer up', () => this.layers.move(1)));
+        bind('layer-down-btn', () => this.history.record('Move layer down', () => this.layers.move(-1)));
+        // Merging bakes pixels into the layer below, so every cel needs a baseline
+        bind('layer-merge-btn', () => this.history.record('Merge down', () => this.layers.mergeDown(), 'all'));
+
+        if (this.blendSelect) {
+            LayerManager.BLEND_MODES.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                this.blendSelect.appendChild(option);
+            });
+            this.blendSelect.onchange = () => this.history.record('Blend mode', () => {
+                this.layers.setProps(this.state.activeLayerIndex, { blendMode: this.blendSelect.value });
+            });
+        }
+
+        if (this.opacitySlider) {
+            // Live preview while dragging, one history entry on release
+            this.opacitySlider.oninput = () => {
+                if (!this.history.pending) this.history.begin('Layer opacity', 'none');
+                this.layers.setProps(this.state.activeLayerIndex, { opacity: parseInt(this.opacitySlider.value) / 100 });
+            };
+            this.opacitySlider.onchange = () => this.history.commit();
+        }
+    }
+
+    render() {
+        if (!this.listEl) return;
+        const list = this.layers.list;
+        const key = list.map(l => `${l.id}:${l.name}:${l.visible}:${l.locked}`).join('|') + `#${this.state.activeLayerIndex}`;
+        const rebuild = key !== this.renderKey;
+        if (rebuild) {
+            this.renderKey = key;
+            this.buildRows();
+        }
+        // Thumbnails only change when history moves, the stack is replaced or the frame changes,
+        // so skip the redraw on the many notifies that panning and stroking produce
+        const revision = this.state.historyRevision;
+        if (rebuild || revision !== this.thumbRevision || list !== this.thumbLayers || this.state.activeFrameIndex !== this.thumbFrame) {
+            this.thumbRevision = revision;
+            this.thumbLayers = list;
+            this.thumbFrame = this.state.activeFrameIndex;
+            this.updateThumbnails();
+        }
+
+        const active = this.layers.active;
+        if (!active) return;
+        const opacity = Math.round(active.opacity * 100);
+        if (this.opacitySlider && document.activeElement !== this.opacitySlider) this.opacitySlider.value = opacity;
+        if (this.opacityValue) this.opacityValue.textContent = `${opacity}%`;
+        if (this.blendSelect) this.blendSelect.value = active.blendMode;
+    }
+
+    buildRows() {
+        this.listEl.innerHTML = '';
+        const list = this.layers.list;
+        // Top-most layer is listed first, like every other editor
+        for (let i = list.length - 1; i >= 0; i--) {
+            const layer = list[i];
+            const row = document.createElement('div');
+            row.className = 'layer-row' + (i === this.state.activeLayerIndex ? ' active' : '');
+            row.dataset.index = i;
+
+            const visBtn = document.createElement('div');
+            visBtn.className = 'layer-toggle' + (layer.visible ? '' : ' off');
+            visBtn.title = layer.visible ? 'Hide Layer' : 'Show Layer';
+            visBtn.innerHTML = `<i data-lucide="${layer.visible ? 'eye' : 'eye-off'}"></i>`;
+            visBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.history.record(layer.visible ? 'Hide layer' : 'Show layer', () => this.layers.setProps(i, { visible: !layer.visible }));
+            };
+
+            const thumb = document.createElement('canvas');
+            thumb.className = 'layer-thumb';
+            thumb.width = 24;
+            thumb.height = 24;
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            name.title = 'Double-click to rename';
+            name.ondblclick = (e) => { e.stopPropagation(); this.startRename(name, i); };
+
+            const lockBtn = document.createElement('div');
+            lockBtn.className = 'layer-toggle' + (layer.locked ? ' on' : '');
+            lockBtn.title = layer.locked ? 'Unlock Layer' : 'Lock Layer';
+            lockBtn.innerHTML = `<i data-lucide="${layer.locked ? 'lock' : 'unlock'}"></i>`;
+            lockBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.history.record(layer.locked ? 'Unlock layer' : 'Lock layer', () => this.layers.setProps(i, { locked: !layer.locked }));
+            };
+
+            row.append(visBtn, thumb, name, lockBtn);
+            row.onclick = () => this.layers.setActive(i);
+            this.listEl.appendChild(row);
+        }
+        if (window.lucide) window.lucide.createIcons();
+    }
+
+    startRename(nameEl, index) {
+        const layer = this.layers.list[index];
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layer-name-input';
+        input.value = layer.name;
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            const value = input.value.trim();
+            if (save && value && value !== layer.name) {
+                this.history.record('Rename layer', () => this.layers.setProps(index, { name: value }));
+            } else {
+                this.renderKey = '';
+                this.render();
+            }
+        };
+        input.onkeydown = (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        };
+        input.onblur = () => finish(true);
+        input.onclick = (e) => e.stopPropagation();
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    updateThumbnails() {
+        const list = this.layers.list;
+        this.listEl.querySelectorAll('.layer-row').forEach(row => {
+            const layer = list[parseInt(row.dataset.index)];
+            const thumb = row.querySelector('.layer-thumb');
+            if (!layer || !thumb) return;
+            drawThumbnail(thumb, this.layers.cel(layer).canvas);
+        });
+    }
+}
+
+// --- 22. Timeline Panel ---
+class TimelinePanel {
+    constructor(state, layers, frames, files, history) {
+        this.state = state; this.layers = layers; this.frames = frames; this.files = files; this.history = history;
+        this.listEl = document.getElementById('frame-list');
+        this.durationInput = document.getElementById('frame-duration-input');
+        this.modeSelect = document.getElementById('playback-mode-select');
+        this.playBtn = document.getElementById('play-btn');
+        this.onionBtn = document.getElementById('onion-btn');
+        this.timer = null;
+        this.playPos = 0;
+        this.renderKey = '';
+        this.setupControls();
+        this.state.subscribe(() => this.render());
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        // Structural edits stop playback first so the player never points at a removed frame
+        const edit = (label, fn) => () => { this.stop(); this.history.record(label, fn); };
+        bind('frame-add-btn', edit('New frame', () => this.frames.add()));
+        bind('frame-duplicate-btn', edit('Duplicate frame', () => this.frames.duplicate()));
+        bind('frame-delete-btn', edit('Delete frame', () => this.frames.remove()));
+        bind('frame-left-btn', edit('Move frame left', () => this.frames.move(-1)));
+        bind('frame-right-btn', edit('Move frame right', () => this.frames.move(1)));
+        bind('frame-prev-btn', () => this.step(-1));
+        bind('frame-next-btn', () => this.step(1));
+        bind('play-btn', () => this.state.isPlaying ? this.stop() : this.play());
+        bind('onion-btn', () => this.state.update({ onionSkin: !this.state.onionSkin }));
+        bind('export-gif-btn', () => this.files.exportGIF());
+        bind('export-apng-btn', () => this.files.exportAPNG());
+
+        if (this.modeSelect) this.modeSelect.onchange = () => this.state.update({ playbackMode: this.modeSelect.value });
+        if (this.durationInput) this.durationInput.onchange = () => this.history.record('Frame duration', () => {
+            this.frames.setDuration(this.state.activeFrameIndex, parseInt(this.durationInput.value));
+        });
+    }
+
+    step(delta) {
+        this.stop();
+        const count = this.state.frames.length;
+        this.frames.setActive((this.state.activeFrameIndex + delta + count) % count);
+    }
+
+    play() {
+        if (this.state.frames.length < 2) return;
+        const order = this.frames.sequence();
+        this.playPos = Math.max(0, order.indexOf(this.state.activeFrameIndex));
+        this.state.update({ isPlaying: true });
+        this.scheduleNext();
+    }
+
+    scheduleNext() {
+        const frame = this.frames.active;
+        this.timer = setTimeout(() => {
+            if (!this.state.isPlaying) return;
+            // Re-read the order each tick so switching loop/ping-pong applies immediately
+            const order = this.frames.sequence();
+            this.playPos = (this.playPos + 1) % order.length;
+            this.frames.setActive(order[this.playPos]);
+            this.scheduleNext();
+        }, frame ? frame.duration : 100);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.state.isPlaying) this.state.update({ isPlaying: false });
+    }
+
+    render() {
+        if (!this.listEl) return;
+        const frames = this.state.frames;
+        const key = frames.map(f => `${f.id}:${f.duration}`).join('|') + `#${this.state.activeFrameIndex}`;
+        const rebuild = key !== this.renderKey;
+        if (rebuild) {
+            this.renderKey = key;
+            this.buildCells();
+        }
+        const revision = this.state.historyRevision;
+        if (rebuild || revision !== this.thumbRevision || this.state.layers !== this.thumbLayers) {
+            this.thumbRevision = revision;
+            this.thumbLayers = this.state.layers;
+            this.updateThumbnails();
+        }
+
+        const frame = this.frames.active;
+        if (frame && this.durationInput && document.activeElement !== this.durationInput) this.durationInput.value = frame.duration;
+        if (this.modeSelect) this.modeSelect.value = this.state.playbackMode;
+        if (this.onionBtn) this.onionBtn.classList.toggle('active', this.state.onionSkin);
+        if (this.playBtn) {
+            const icon = this.state.isPlaying ? 'pause' : 'play';
+            if (this.playBtn.dataset.icon !== icon) {
+                this.playBtn.dataset.icon = icon;
+                this.playBtn.innerHTML = `<i data-lucide="${icon}"></i>`;
+                if (window.lucide) window.lucide.createIcons();
+            }
+        }
+    }
+
+    buildCells() {
+        this.listEl.innerHTML = '';
+        this.state.frames.forEach((frame, i) => {
+            const cell = document.createElement('div');
+            cell.className = 'frame-cell' + (i === this.state.activeFrameIndex ? ' active' : '');
+            cell.dataset.index = i;
+
+            const thumb = document.createElement('canvas');
+            thumb.className = 'frame-thumb';
+            thumb.width = 40;
+            thumb.height = 40;
+
+            const label = document.createElement('span');
+            label.className = 'frame-label';
+            label.textContent = `${i + 1} · ${frame.duration}ms`;
+
+            cell.append(thumb, label);
+            cell.onclick = () => { this.stop(); this.frames.setActive(i); };
+            this.listEl.appendChild(cell);
+        });
+        const active = this.listEl.querySelector('.frame-cell.active');
+        if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    updateThumbnails() {
+        const scratch = document.createElement('canvas');
+        this.listEl.querySelectorAll('.frame-cell').forEach(cell => {
+            const thumb = cell.querySelector('.frame-thumb');
+            const index = parseInt(cell.dataset.index);
+            if (!thumb || index >= this.state.frames.length) return;
+            drawThumbnail(thumb, this.layers.flatten(index, scratch));
+        });
+    }
+}
+
+// --- 23. History Panel ---
+// Lists the undo log oldest-first; entries past the cursor are undone and shown dimmed
+class HistoryPanel {
+    constructor(state, history) {
+        this.state = state; this.history = history;
+        this.listEl = document.getElementById('history-list');
+        this.usageEl = document.getElementById('history-usage');
+        this.renderedRevision = -1;
+        this.state.subscribe(() => this.render());
+        this.render();
+    }
+
+    render() {
+        if (!this.listEl || this.state.historyRevision === this.renderedRevision) return;
+        this.renderedRevision = this.state.historyRevision;
+        const { history, historyIndex, historyBaseLabel } = this.state;
+        this.listEl.innerHTML = '';
+        // Row 0 is the document before any recorded edit
+        [historyBaseLabel, ...history.map(entry => entry.label)].forEach((label, i) => {
+            const row = document.createElement('div');
+            row.className = 'history-row' + (i === historyIndex ? ' active' : '') + (i > historyIndex ? ' undone' : '');
+            row.textContent = label;
+            row.onclick = () => this.history.jumpTo(i);
+            this.listEl.appendChild(row);
+        });
+        const current = this.listEl.children[historyIndex];
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+
+        const bytes = history.reduce((sum, entry) => sum + entry.bytes, 0);
+        const size = (n) => n < 1024 * 1024 ? `${Math.ceil(n / 1024)} KB` : `${(n / (1024 * 1024)).toFixed(1)} MB`;
+        if (this.usageEl) {
+            this.usageEl.textContent = size(bytes);
+            this.usageEl.title = `${history.length} steps using ${size(bytes)} of the ${size(this.state.historyBudget)} undo budget. The oldest steps are dropped when it is full.`;
+        }
+    }
+}
+
+// --- 24. Palette Panel ---
+// Swatch editing plus named palettes: the built-in default and any the user saved (kept in localStorage).
+// Every edit replaces state.palette with a new array as one history step (see ColorModeManager.setPalette).
+class PalettePanel {
+    static SAVED_KEY = 'savedPalettes';
+    static MAX_EXTRACTED = 256;
+
+    constructor(state, layers, files, colorModes, ui) {
+        this.state = state; this.layers = layers; this.files = files; this.colorModes = colorModes; this.ui = ui;
+        this.gridEl = document.getElementById('palette');
+        this.editInput = document.getElementById('palette-edit-input');
+        this.selectEl = document.getElementById('palette-select');
+        this.formatEl = document.getElementById('palette-format-select');
+        this.input = document.getElementById('palette-input');
+        this.selectedIndex = -1;
+        this.editIndex = -1;
+        this.dragIndex = -1;
+        this.renderedPalette = null;
+        this.renderKey = null;
+        this.setupControls();
+        this.state.subscribe(() => this.render());
+        this.render();
+    }
+
+    get current() { return this.ui.parseColor(this.state.currentColor).hex6.toLowerCase(); }
+
+    // The clicked swatch while it still holds the current color, otherwise the first one that does
+    activeIndex() {
+        const { palette } = this.state;
+        if (palette[this.selectedIndex] === this.current) return this.selectedIndex;
+        return palette.indexOf(this.current);
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('palette-add-btn', () => this.addCurrent());
+        bind('palette-remove-btn', () => this.removeActive());
+        bind('palette-extract-btn', () => this.extract());
+        bind('palette-import-btn', () => { if (this.input) this.input.click(); });
+        bind('palette-export-btn', () => this.exportAs(this.formatEl ? this.formatEl.value : 'gpl'));
+        bind('palette-save-btn', () => this.save());
+        bind('palette-forget-btn', () => this.forget());
+
+        if (this.formatEl) {
+            Object.entries(PaletteFile.FORMATS).forEach(([value, { label }]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value.toUpperCase();
+                option.title = label;
+                this.formatEl.appendChild(option);
+            });
+        }
+        if (this.selectEl) this.selectEl.onchange = () => this.load(this.selectEl.value);
+        if (this.editInput) {
+            // Recorded once the picker closes, not on every intermediate color
+            this.editInput.onchange = () => {
+                if (this.editIndex !== -1) this.editEntry(this.editIndex, this.editInput.value.toLowerCase());
+                this.editIndex = -1;
+            };
+        }
+        if (this.input) {
+            this.input.onchange = async () => {
+                const file = this.input.files[0];
+                this.input.value = '';
+                if (file) await this.importFile(file);
+            };
+        }
+    }
+
+    setPalette(label, colors, paletteName = this.state.paletteName, mapping = null) {
+        return this.colorModes.setPalette(label, colors, paletteName, mapping);
+    }
+
+    addCurrent() {
+        const color = this.current;
+        const existing = this.state.palette.indexOf(color);
+        if (existing !== -1) {
+            this.selectedIndex = existing;
+            this.render(true);
+            return;
+        }
+        this.selectedIndex = this.state.palette.length;
+        this.setPalette('Add palette color', [...this.state.palette, color]);
+    }
+
+    // In indexed mode the pixels that used the removed entry take the nearest remaining color
+    removeActive() {
+        const index = this.activeIndex();
+        if (index === -1) return;
+        if (this.colorModes.indexed && this.state.palette.length === 1) {
+            alert('An indexed document needs at least one palette color.');
+            return;
+        }
+        this.selectedIndex = -1;
+        this.setPalette('Remove palette color', this.state.palette.filter((_, i) => i !== index), undefined,
+            i => i === index ? -1 : (i < index ? i : i - 1));
+    }
+
+    // Changing an entry recolors every pixel that uses it in indexed mode
+    editEntry(index, color) {
+        if (this.state.palette[index] === color) return;
+        const colors = this.state.palette.slice();
+        colors[index] = color;
+        this.selectedIndex = index;
+        if (this.setPalette('Edit palette color', colors, undefined, i => i) === false) {
+            this.render(true);
+            return;
+        }
+        const { alpha } = this.ui.parseColor(this.state.currentColor);
+        this.state.update({ currentColor: this.ui.buildColor(color, alpha) });
+    }
+
+    move(from, to) {
+        if (from === to || from < 0) return;
+        const colors = this.state.palette.slice();
+        const [color] = colors.splice(from, 1);
+        colors.splice(to, 0, color);
+        if (this.selectedIndex === from) this.selectedIndex = to;
+        this.setPalette('Reorder palette', colors);
+    }
+
+    // Every distinct opaque color across all frames, reduced by median cut when there are too many
+    extract() {
+        const { width, height } = this.state;
+        const counts = new Map();
+        this.state.frames.forEach((_, index) => {
+            const data = this.layers.flatten(index).getContext('2d').getImageData(0, 0, width, height).data;
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] === 0) continue;
+                const rgb = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                counts.set(rgb, (counts.get(rgb) || 0) + 1);
+            }
+        });
+        if (counts.size === 0) {
+            alert('The image has no colors to extract.');
+            return;
+        }
+        const colors = ColorQuantizer.medianCut(counts, PalettePanel.MAX_EXTRACTED).map(rgb => PaletteFile.toHex(...rgb));
+        this.selectedIndex = -1;
+        this.setPalette('Extract palette', colors, `${this.state.documentName} colors`, () => -1);
+    }
+
+    async importFile(file) {
+        try {
+            const palette = PaletteFile.parse(file.name, new Uint8Array(await file.arrayBuffer()));
+            this.selectedIndex = -1;
+            // Indexed pixels keep their entry number, so importing swaps the colors like a palette swap
+            this.setPalette('Import palette', palette.colors, palette.name, i => i);
+        } catch (err) {
+            if (!(err instanceof PaletteFormatError)) console.error('Palette Import Error:', err);
+            alert(`Could not import palette: ${err.message}`);
+        }
+    }
+
+    exportAs(format) {
+        const name = this.state.paletteName;
+        const data = PaletteFile.serialize(format, { name, colors: this.state.palette });
+        const filename = (name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'palette') + '.' + format;
+        this.files.download(data, PaletteFile.FORMATS[format].type, filename);
+    }
+
+    // Whether an entry read back from the saved palettes is a named list of #rrggbb colors
+    static isValid(palette) {
+        return !!palette && typeof palette === 'object' && typeof palette.name === 'string' &&
+            Array.isArray(palette.colors) && palette.colors.every(c => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c));
+    }
+
+    savedPalettes() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PalettePanel.SAVED_KEY));
+            return Array.isArray(saved) ? saved.filter(palette => PalettePanel.isValid(palette))
+                .map(({ name, colors }) => ({ name, colors: colors.map(c => c.toLowerCase()) })) : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    storePalettes(palettes) {
+        localStorage.setItem(PalettePanel.SAVED_KEY, JSON.stringify(palettes));
+        this.render(true);
+    }
+
+    load(name) {
+        const colors = name === 'Default' ? DEFAULT_PALETTE : (this.savedPalettes().find(p => p.name === name) || {}).colors;
+        if (!colors) return;
+        this.selectedIndex = -1;
+        this.setPalette('Load palette', colors.slice(), name, i => i);
+    }
+
+    save() {
+        const name = prompt('Save palette as:', this.state.paletteName === 'Default' ? '' : this.state.paletteName);
+        if (name === null) return;
+        const trimmed = name.trim();
+        if (!trimmed || trimmed === 'Default') {
+            alert('Please choose a name other than "Default".');
+            return;
+        }
+        const saved = this.savedPalettes().filter(p => p.name !== trimmed);
+        saved.push({ name: trimmed, colors: this.state.palette.slice() });
+        saved.sort((a, b) => a.name.localeCompare(b.name));
+        this.state.update({ paletteName: trimmed });
+        this.storePalettes(saved);
+    }
+
+    forget() {
+        const name = this.state.paletteName;
+        const saved = this.savedPalettes();
+        if (!saved.some(p => p.name === name)) {
+            alert('Only saved palettes can be deleted.');
+            return;
+        }
+        if (!confirm(`Delete the saved palette "${name}"? The colors currently shown are kept.`)) return;
+        this.storePalettes(saved.filter(p => p.name !== name));
+    }
+
+    render(force = false) {
+        if (!this.gridEl) return;
+        const active = this.activeIndex();
+        const key = `${active}|${this.state.paletteName}`;
+        if (!force && this.renderedPalette === this.state.palette && this.renderKey === key) return;
+        this.renderedPalette = this.state.palette;
+        this.renderKey = key;
+
+        this.gridEl.innerHTML = '';
+        this.state.palette.forEach((color, i) => this.gridEl.appendChild(this.createSwatch(color, i, i === active)));
+
+        if (this.selectEl) {
+            this.selectEl.innerHTML = '';
+            const names = ['Default', ...this.savedPalettes().map(p => p.name)];
+            // Imported or extracted palettes show under their own name until saved
+            if (!names.includes(this.state.paletteName)) names.push(this.state.paletteName);
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                this.selectEl.appendChild(option);
+            });
+            this.selectEl.value = this.state.paletteName;
+        }
+    }
+
+    createSwatch(color, index, active) {
+        const swatch = document.createElement('div');
+        swatch.className = 'swatch';
+        swatch.dataset.color = color;
+        swatch.title = `${index}: ${color} (double-click to edit)`;
+        swatch.draggable = true;
+        swatch.classList.toggle('active', active);
+        // Inner layer for actual color display (on top of checkerboard ::before)
+        const colorLayer = document.createElement('div');
+        colorLayer.style.cssText = `position:absolute;inset:0;background:${color};`;
+        swatch.appendChild(colorLayer);
+        swatch.onclick = () => {
+            this.selectedIndex = index;
+            // preserve current alpha when switching palette color
+            const { alpha } = this.ui.parseColor(this.state.currentColor);
+            this.state.update({ currentColor: this.ui.buildColor(color, alpha) });
+        };
+        swatch.oncontextmenu = (e) => {
+            e.preventDefault();
+            const { alpha } = this.ui.parseColor(this.state.secondaryColor);
+            this.state.update({ secondaryColor: this.ui.buildColor(color, alpha) });
+        };
+        swatch.ondblclick = () => {
+            if (!this.editInput) return;
+            this.editIndex = index;
+            this.editInput.value = color;
+            this.editInput.click();
+        };
+        swatch.ondragstart = (e) => {
+            this.dragIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+            swatch.classList.add('dragging');
+        };
+        swatch.ondragend = () => swatch.classList.remove('dragging');
+        swatch.ondragover = (e) => { if (this.dragIndex !== -1) e.preventDefault(); };
+        swatch.ondrop = (e) => {
+            e.preventDefault();
+            const from = this.dragIndex;
+            this.dragIndex = -1;
+            this.move(from, index);
+        };
+        return swatch;
+    }
+}
+
+// --- 25. Color Picker ---
+// The HSV/HSL square and hue slider for the color being edited, the foreground/background swatches and the
+// recent colors strip. Hue and the square position are kept here, since a grey or black color has no hue to
+// read back.
+class ColorPicker {
+    static MODEL_KEY = 'colorPickerModel';
+
+    constructor(state, ui) {
+        this.state = state; this.ui = ui;
+        this.square = document.getElementById('color-square');
+        this.marker = document.getElementById('color-square-marker');
+        this.hueSlider = document.getElementById('hue-slider');
+        this.recentEl = document.getElementById('recent-colors');
+        this.model = localStorage.getItem(ColorPicker.MODEL_KEY) === 'hsl' ? 'hsl' : 'hsv';
+        // Hue 0–1 and the square position: saturation across, value (or lightness) from the top, both 0–1
+        this.hue = 0; this.x = 0; this.y = 0;
+        // The color the controls show, to tell edits made elsewhere from our own
+        this.shown = null;
+        this.renderedKey = null;
+        this.shownRecent = null;
+        this.setupControls();
+        this.state.subscribe(() => this.update());
+        this.update();
+    }
+
+    static toHsv(r, g, b) {
+        r /= 255; g /= 255; b /= 255;
+        const max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min;
+        if (d === 0) return [0, 0, max];
+        let h;
+        if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        return [h / 6, d / max, max];
+    }
+
+    static fromHsv(h, s, v) {
+        h = ((h % 1) + 1) % 1;
+        const channel = (n) => {
+            const k = (n + h * 6) % 6;
+            return (v - v * s * Math.max(0, Math.min(k, 4 - k, 1))) * 255;
+        };
+        return [channel(5), channel(3), channel(1)];
+    }
+
+    // [hue, saturation, value or lightness] in the current model
+    toModel(r, g, b) { return this.model === 'hsl' ? ColorAdjust.toHsl(r, g, b) : ColorPicker.toHsv(r, g, b); }
+
+    fromModel(h, s, t) { return this.model === 'hsl' ? ColorAdjust.fromHsl(h, s, t) : ColorPicker.fromHsv(h, s, t); }
+
+    setupControls() {
+        if (this.square) {
+            this.square.addEventListener('pointerdown', (e) => {
+                this.square.setPointerCapture(e.pointerId);
+                this.pointAt(e);
+            });
+            this.square.addEventListener('pointermove', (e) => {
+                if (this.square.hasPointerCapture(e.pointerId)) this.pointAt(e);
+            });
+        }
+        if (this.hueSlider) this.hueSlider.oninput = () => {
+            this.hue = (parseInt(this.hueSlider.value) || 0) / 360;
+            this.apply();
+        };
+        document.querySelectorAll('[data-color-model]').forEach(button => {
+            button.onclick = () => {
+                this.model = button.dataset.colorModel;
+                localStorage.setItem(ColorPicker.MODEL_KEY, this.model);
+                this.shown = null;
+                this.update();
+            };
+        });
+        document.querySelectorAll('[data-color-slot]').forEach(button => {
+            button.onclick = () => this.state.update({ colorSlot: button.dataset.colorSlot });
+        });
+        const swap = document.getElementById('swap-colors-btn');
+        if (swap) swap.onclick = () => this.ui.swapColors();
+    }
+
+    pointAt(e) {
+        const rect = this.square.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        this.x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        this.y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+        this.apply();
+    }
+
+    // Writes the picked color into the edited slot, keeping its alpha
+    apply() {
+        const key = this.ui.colorKey;
+        const { alpha } = this.ui.parseColor(this.state[key]);
+        const color = this.ui.buildColor(PaletteFile.toHex(...this.fromModel(this.hue, this.x, 1 - this.y)), alpha);
+        this.shown = color;
+        this.state.update({ [key]: color });
+        // Indexed mode may snap the color to the palette, so show what was actually stored
+        this.shown = this.state[key];
+        this.render();
+    }
+
+    // Reads a color set elsewhere (hex field, palette, eyedropper, swap) into the hue and square position
+    load(color) {
+        const [h, saturation, t] = this.toModel(...PaletteFile.toRgb(color.slice(0, 7)));
+        if (saturation > 0) this.hue = h;
+        this.x = saturation;
+        this.y = 1 - t;
+        this.shown = color;
+    }
+
+    update() {
+        const s = this.state;
+        document.querySelectorAll('[data-color-slot]').forEach(button => {
+            button.classList.toggle('active', button.dataset.colorSlot === s.colorSlot);
+            const span = button.querySelector('span');
+            if (span) span.style.background = button.dataset.colorSlot === 'secondary' ? s.secondaryColor : s.currentColor;
+        });
+        document.querySelectorAll('[data-color-model]').forEach(button => button.classList.toggle('active', button.dataset.colorModel === this.model));
+        const color = s[this.ui.colorKey];
+        if (color !== this.shown) this.load(color);
+        this.render();
+        if (s.recentColors !== this.shownRecent) this.renderRecent();
+    }
+
+    render() {
+        if (this.hueSlider && document.activeElement !== this.hueSlider) this.hueSlider.value = Math.round(this.hue * 360) % 360;
+        const hueValue = document.getElementById('hue-value');
+        if (hueValue) hueValue.textContent = Math.round(this.hue * 360) % 360;
+        if (this.marker) {
+            this.marker.style.left = `${this.x * 100}%`;
+            this.marker.style.top = `${this.y * 100}%`;
+        }
+        // The square only changes with the hue and the model
+        const key = `${this.model}:${this.hue}`;
+        if (!this.square || key === this.renderedKey) return;
+        this.renderedKey = key;
+        const { width, height } = this.square;
+        const ctx = this.square.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const [r, g, b] = this.fromModel(this.hue, x / (width - 1), 1 - y / (height - 1));
+                image.data.set([r, g, b, 255], (y * width + x) * 4);
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    // Click for the foreground color, right-click for the background
+    renderRecent() {
+        this.shownRecent = this.state.recentColors;
+        if (!this.recentEl) return;
+        this.recentEl.innerHTML = '';
+        this.state.recentColors.forEach(color => {
+            const swatch = document.createElement('div');
+            swatch.className = 'swatch';
+            swatch.title = color;
+            const colorLayer = document.createElement('div');
+            colorLayer.style.cssText = `position:absolute;inset:0;background:${color};`;
+            swatch.appendChild(colorLayer);
+            swatch.onclick = () => this.state.update({ currentColor: color });
+            swatch.oncontextmenu = (e) => {
+                e.preventDefault();
+                this.state.update({ secondaryColor: color });
+            };
+            this.recentEl.appendChild(swatch);
+        });
+    }
+}
+
+// --- 26. Brush Panel ---
+// Brush shape, spacing, jitter and pixel-perfect settings, and the brush library: custom brushes taken from the
+// selection and kept by name in localStorage
+class BrushPanel {
+    static LIBRARY_KEY = 'brushLibrary';
+
+    constructor(state, selection) {
+        this.state = state; this.selection = selection;
+        this.shapeEl = document.getElementById('brush-shape');
+        this.brushes = this.loadLibrary();
+        this.optionsKey = null;
+        this.setupControls();
+        this.state.subscribe(() => this.update());
+        this.update();
+    }
+
+    field(id) { return document.getElementById(id); }
+
+    loadLibrary() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(BrushPanel.LIBRARY_KEY));
+            return Array.isArray(saved) ? saved.filter(brush => Brush.isValid(brush)) : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    storeLibrary(brushes) {
+        this.brushes = brushes;
+        localStorage.setItem(BrushPanel.LIBRARY_KEY, JSON.stringify(brushes));
+        this.update();
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('brush-capture-btn', () => this.capture());
+        bind('brush-delete-btn', () => this.remove());
+        if (this.shapeEl) this.shapeEl.onchange = () => this.choose(this.shapeEl.value);
+        const pixelPerfect = this.field('pixel-perfect');
+        if (pixelPerfect) pixelPerfect.onchange = () => this.state.update({ pixelPerfect: pixelPerfect.checked });
+        // Spacing is 1–16, jitter 0–16
+        [['brush-spacing', 'brushSpacing', 1], ['brush-jitter', 'brushJitter', 0]].forEach(([id, key, min]) => {
+            const input = this.field(id);
+            if (input) input.oninput = () => this.state.update({ [key]: Math.max(min, Math.min(16, parseInt(input.value) || min)) });
+        });
+    }
+
+    // Built-in shapes go by name, library brushes as 'custom:<name>'
+    choose(value) {
+        if (!value.startsWith('custom:')) {
+            this.state.update({ brushShape: value });
+            return;
+        }
+        const brush = this.brushes.find(b => b.name === value.slice('custom:'.length));
+        if (brush) this.state.update({ brushShape: 'custom', brushCustom: brush });
+    }
+
+    // Saves the opaque pixels of the selection as a named brush and switches to it
+    capture() {
+        const canvas = this.selection.extract();
+        if (!canvas) {
+            alert('Select the pixels to use as a brush first.');
+            return;
+        }
+        const max = Brush.MAX_CUSTOM;
+        if (canvas.width > max || canvas.height > max) {
+            alert(`Brushes can be at most ${max}×${max} pixels; the selection is ${canvas.width}×${canvas.height}.`);
+            return;
+        }
+        const brush = Brush.fromImage(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height), '');
+        if (!brush) {
+            alert('The selection has no opaque pixels to use as a brush.');
+            return;
+        }
+        const name = prompt('Save brush as:', `Brush ${this.brushes.length + 1}`);
+        if (name === null || !name.trim()) return;
+        brush.name = name.trim();
+        const brushes = this.brushes.filter(b => b.name !== brush.name);
+        brushes.push(brush);
+        brushes.sort((a, b) => a.name.localeCompare(b.name));
+        this.storeLibrary(brushes);
+        this.state.update({ brushShape: 'custom', brushCustom: brush });
+    }
+
+    remove() {
+        const custom = this.state.brushShape === 'custom' ? this.state.brushCustom : null;
+        if (!custom) {
+            alert('Choose a custom brush to delete first.');
+            return;
+        }
+        if (!confirm(`Delete the brush "${custom.name}"?`)) return;
+        this.storeLibrary(this.brushes.filter(b => b.name !== custom.name));
+        this.state.update({ brushShape: 'square', brushCustom: null });
+    }
+
+    update() {
+        const s = this.state;
+        const custom = s.brushShape === 'custom' ? s.brushCustom : null;
+        // A brush that came with a project file but isn't in this browser's library is still listed
+        const names = this.brushes.map(b => b.name);
+        if (custom && !names.includes(custom.name)) names.push(custom.name);
+        const key = names.join('\n');
+        if (this.shapeEl && key !== this.optionsKey) {
+            this.optionsKey = key;
+            const option = (label, value) => {
+                const el = document.createElement('option');
+                el.value = value;
+                el.textContent = label;
+                return el;
+            };
+            this.shapeEl.innerHTML = '';
+            Object.entries(Brush.SHAPES).forEach(([value, label]) => this.shapeEl.appendChild(option(label, value)));
+            if (names.length > 0) {
+                const group = document.createElement('optgroup');
+                group.label = 'Custom';
+                names.forEach(name => group.appendChild(option(name, `custom:${name}`)));
+                this.shapeEl.appendChild(group);
+            }
+        }
+        if (this.shapeEl) this.shapeEl.value = custom ? `custom:${custom.name}` : s.brushShape;
+        // Custom brushes have their own size
+        const sizeRow = this.field('brush-size-row');
+        if (sizeRow) sizeRow.style.display = custom ? 'none' : 'flex';
+        const pixelPerfect = this.field('pixel-perfect');
+        if (pixelPerfect) pixelPerfect.checked = s.pixelPerfect;
+        [['brush-spacing', s.brushSpacing], ['brush-jitter', s.brushJitter]].forEach(([id, value]) => {
+            const input = this.field(id), label = this.field(`${id}-value`);
+            if (input && document.activeElement !== input) input.value = value;
+            if (label) label.textContent = value;
+        });
+    }
+}
+
+// --- 27. Sprite Sheet Dialog ---
+class SpriteSheetDialog {
+    constructor(state, files) {
+        this.state = state; this.files = files;
+        this.modal = document.getElementById('sprite-sheet-modal');
+        this.input = document.getElementById('sheet-input');
+        this.setupControls();
+    }
+
+    field(id) { return document.getElementById(id); }
+
+    number(id, min, max) {
+        const el = this.field(id);
+        const value = Math.max(min, Math.min(max, parseInt(el && el.value) || 0));
+        if (el) el.value = value;
+        return value;
+    }
+
+    options() {
+        const value = (id) => this.field(id) ? this.field(id).value : undefined;
+        return {
+            source: value('sheet-source'),
+            tileWidth: this.number('sheet-tile-w', 1, 320),
+            tileHeight: this.number('sheet-tile-h', 1, 320),
+            layout: value('sheet-layout'),
+            columns: this.number('sheet-columns', 0, 256),
+            padding: this.number('sheet-padding', 0, 64),
+            extrude: this.number('sheet-extrude', 0, 16),
+            powerOfTwo: !!(this.field('sheet-pot') && this.field('sheet-pot').checked),
+            atlasFormat: value('sheet-atlas')
+        };
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('sprite-sheet-btn', () => this.open());
+        bind('sheet-close', () => this.close());
+        if (this.modal) this.modal.onclick = (e) => { if (e.target === this.modal) this.close(); };
+        bind('sheet-export-btn', () => { if (this.files.exportSpriteSheet(this.options())) this.close(); });
+        bind('sheet-import-btn', () => { if (this.input) this.input.click(); });
+        if (this.input) {
+            this.input.onchange = async () => {
+                const file = this.input.files[0];
+                this.input.value = '';
+                if (!file) return;
+                const width = this.number('sheet-import-w', 1, 320), height = this.number('sheet-import-h', 1, 320);
+                const skipEmpty = !!(this.field('sheet-skip-empty') && this.field('sheet-skip-empty').checked);
+                if (await this.files.importSpriteSheet(file, width, height, skipEmpty)) this.close();
+            };
+        }
+        if (this.modal) {
+            this.modal.querySelectorAll('select, input').forEach(el => el.addEventListener('change', () => this.refresh()));
+        }
+    }
+
+    open() {
+        if (!this.modal) return;
+        // Start from the document size so a single frame becomes one tile
+        ['sheet-tile-w', 'sheet-import-w'].forEach(id => { if (this.field(id)) this.field(id).value = this.state.width; });
+        ['sheet-tile-h', 'sheet-import-h'].forEach(id => { if (this.field(id)) this.field(id).value = this.state.height; });
+        this.modal.classList.add('active');
+        if (window.lucide) window.lucide.createIcons();
+        this.refresh();
+    }
+
+    close() { if (this.modal) this.modal.classList.remove('active'); }
+
+    // Lays the sheet out without writing it so the summary shows the final size
+    refresh() {
+        const options = this.options();
+        const tileRow = this.field('sheet-tile-row'), columnsRow = this.field('sheet-columns-row');
+        if (tileRow) tileRow.style.display = options.source === 'tiles' ? 'flex' : 'none';
+        if (columnsRow) columnsRow.style.display = options.layout === 'grid' ? 'flex' : 'none';
+        const summary = this.field('sheet-summary');
+        if (!summary) return;
+        const sprites = this.files.spriteSources(options.source, options.tileWidth, options.tileHeight);
+        if (sprites.length === 0) {
+            summary.textContent = 'The tile size is larger than the canvas.';
+            return;
+        }
+        const { image } = SpriteSheet.build(sprites, options);
+        summary.textContent = `${sprites.length} sprite${sprites.length === 1 ? '' : 's'} → ${image.width} × ${image.height} px sheet`;
+    }
+}
+
+// --- 28. Export Dialog ---
+class ExportDialog {
+    static SCALES = [1, 2, 3, 4, 5, 6, 8, 10, 12, 16, 20, 24, 32];
+    static TEMPLATE_KEY = 'exportTemplate';
+    static PREVIEW_SIZE = 1024;
+
+    constructor(state, files) {
+        this.state = state; this.files = files;
+        this.modal = document.getElementById('export-modal');
+        this.formatEl = document.getElementById('export-format');
+        this.scaleEl = document.getElementById('export-scale');
+        this.filterEl = document.getElementById('export-filter');
+        this.templateEl = document.getElementById('export-template');
+        this.previewEl = document.getElementById('export-preview-canvas');
+        this.summaryEl = document.getElementById('export-summary');
+        this.renderToken = 0;
+        this.setupControls();
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('export-btn', () => this.open());
+        bind('export-close', () => this.close());
+        bind('export-download-btn', async () => { if (await this.files.saveExport(this.options())) this.close(); });
+        if (this.modal) this.modal.onclick = (e) => { if (e.target === this.modal) this.close(); };
+
+        if (this.scaleEl) {
+            ExportDialog.SCALES.forEach(scale => {
+                const option = document.createElement('option');
+                option.value = scale;
+                option.textContent = `${scale}×`;
+                this.scaleEl.appendChild(option);
+            });
+        }
+        if (this.filterEl) {
+            Object.entries(PixelScaler.FILTERS).forEach(([value, { label }]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                this.filterEl.appendChild(option);
+            });
+        }
+        const sizes = document.getElementById('export-ico-sizes');
+        if (sizes) {
+            IcoEncoder.SIZES.forEach(size => {
+                const label = document.createElement('label');
+                label.className = 'checkbox-row';
+                label.innerHTML = `<input type="checkbox" data-ico-size="${size}"${[16, 32, 48].includes(size) ? ' checked' : ''}> ${size}`;
+                sizes.appendChild(label);
+            });
+        }
+        if (this.templateEl) {
+            this.templateEl.value = localStorage.getItem(ExportDialog.TEMPLATE_KEY) || FileManager.EXPORT_TEMPLATE;
+            this.templateEl.addEventListener('input', () => {
+                localStorage.setItem(ExportDialog.TEMPLATE_KEY, this.templateEl.value);
+                this.refresh();
+            });
+        }
+        if (this.modal) {
+            this.modal.querySelectorAll('select, input[type="checkbox"]').forEach(el => el.addEventListener('change', () => this.refresh()));
+        }
+    }
+
+    options() {
+        return {
+            format: this.formatEl ? this.formatEl.value : 'png',
+            scale: this.scaleEl ? parseInt(this.scaleEl.value) || 1 : 1,
+            filter: this.filterEl ? this.filterEl.value : 'nearest',
+            icoSizes: Array.from(document.querySelectorAll('[data-ico-size]:checked'), el => parseInt(el.dataset.icoSize)),
+            template: (this.templateEl && this.templateEl.value.trim()) || FileManager.EXPORT_TEMPLATE
+        };
+    }
+
+    open() {
+        if (!this.modal) return;
+        this.modal.classList.add('active');
+        if (window.lucide) window.lucide.createIcons();
+        this.refresh();
+    }
+
+    close() { if (this.modal) this.modal.classList.remove('active'); }
+
+    // Encodes the export for real so the size shown is exactly what will be downloaded
+    async refresh() {
+        const format = this.formatEl ? this.formatEl.value : 'png';
+        const scaleRow = document.getElementById('export-scale-row'), icoRow = document.getElementById('export-ico-row');
+        const filterRow = document.getElementById('export-filter-row');
+        const filtered = this.filterEl && this.filterEl.value !== 'nearest';
+        // Smoothing filters have a fixed factor, so the scale only applies to nearest neighbour
+        if (scaleRow) scaleRow.style.display = format === 'ico' || filtered ? 'none' : 'flex';
+        if (filterRow) filterRow.style.display = format === 'ico' ? 'none' : 'flex';
+        if (icoRow) icoRow.style.display = format === 'ico' ? 'flex' : 'none';
+        // Scales past the size limit are offered but disabled
+        const longest = Math.max(this.state.width, this.state.height);
+        if (this.scaleEl) {
+            Array.from(this.scaleEl.options).forEach(option => {
+                option.disabled = longest * parseInt(option.value) > FileManager.MAX_EXPORT_SIZE;
+            });
+            if (this.scaleEl.selectedOptions[0] && this.scaleEl.selectedOptions[0].disabled) this.scaleEl.value = '1';
+        }
+
+        const token = ++this.renderToken;
+        let result;
+        try {
+            result = await this.files.renderExport(this.options());
+        } catch (err) {
+            // A newer render owns the summary, even when this older one failed
+            if (token === this.renderToken && this.summaryEl) this.summaryEl.textContent = err.message;
+            return;
+        }
+        if (token !== this.renderToken) return;
+        this.drawPreview(result.image);
+        if (this.summaryEl) {
+            const bytes = result.blob.size;
+            const size = bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+            this.summaryEl.textContent = `${result.filename} · ${result.image.width} × ${result.image.height} px · ${size}`;
+        }
+    }
+
+    // Very large exports are previewed at the biggest integer scale that fits
+    drawPreview(image) {
+        if (!this.previewEl) return;
+        if (Math.max(image.width, image.height) > ExportDialog.PREVIEW_SIZE) {
+            const source = this.files.exportImage();
+            image = PixelScaler.nearest(source, Math.max(1, Math.floor(ExportDialog.PREVIEW_SIZE / Math.max(source.width, source.height))));
+        }
+        this.previewEl.width = image.width;
+        this.previewEl.height = image.height;
+        this.previewEl.getContext('2d').putImageData(ImageTransform.imageData(image), 0, 0);
+    }
+}
+
+// --- 29. Import Dialog ---
+// Images come in through the Import button, by dropping files on the viewport or by pasting. Pastes that fit
+// the canvas float straight in; everything else comes here first to be cropped, scaled or reduced in colors.
+class ImportDialog {
+    static MAX_SIZE = 320;
+
+    constructor(state, files, selection) {
+        this.state = state; this.files = files; this.selection = selection;
+        this.modal = document.getElementById('import-modal');
+        this.input = document.getElementById('file-input');
+        this.previewEl = document.getElementById('import-preview-canvas');
+        // Pixels of the image being imported, at their original size
+        this.source = null;
+        this.name = '';
+        this.anchor = 'c';
+        this.setupControls();
+        this.setupDrop();
+    }
+
+    field(id) { return document.getElementById(id); }
+
+    number(id, min, max) {
+        const el = this.field(id);
+        const value = Math.max(min, Math.min(max, parseInt(el && el.value) || 0));
+        if (el) el.value = value;
+        return value;
+    }
+
+    value(id) { return this.field(id) ? this.field(id).value : undefined; }
+
+    options() {
+        return {
+            target: this.value('import-target'),
+            x: this.number('import-x', -ImportDialog.MAX_SIZE, ImportDialog.MAX_SIZE),
+            y: this.number('import-y', -ImportDialog.MAX_SIZE, ImportDialog.MAX_SIZE),
+            size: this.value('import-size'),
+            width: this.number('import-w', 1, ImportDialog.MAX_SIZE),
+            height: this.number('import-h', 1, ImportDialog.MAX_SIZE),
+            anchor: this.anchor,
+            colors: this.value('import-colors'),
+            count: this.number('import-count', 2, 256),
+            dither: !!(this.field('import-dither') && this.field('import-dither').checked)
+        };
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('import-close', () => this.close());
+        bind('import-ok-btn', () => { if (this.apply()) this.close(); });
+        if (this.modal) {
+            this.modal.onclick = (e) => { if (e.target === this.modal) this.close(); };
+            // Changing the target or the size mode refills the dimensions, which refreshes by itself
+            this.modal.querySelectorAll('select:not(#import-target):not(#import-size), input').forEach(el => el.addEventListener('change', () => this.refresh()));
+        }
+        if (this.input) {
+            this.input.onchange = () => {
+                const file = this.input.files[0];
+                this.input.value = '';
+                if (file) this.openFile(file);
+            };
+        }
+        if (this.field('import-target')) this.field('import-target').onchange = () => this.pickSize();
+        if (this.field('import-size')) this.field('import-size').onchange = () => this.fillSize();
+
+        // Typing one side of a scaled size follows with the other
+        const keepAspect = (from, to, ratio) => {
+            const el = this.field(from), other = this.field(to);
+            if (!el || !other) return;
+            el.addEventListener('input', () => {
+                const aspect = this.field('import-aspect');
+                if (!this.source || !aspect || !aspect.checked || this.value('import-size') !== 'scale') return;
+                const value = parseInt(el.value);
+                if (value > 0) other.value = Math.max(1, Math.round(value * ratio()));
+            });
+        };
+        keepAspect('import-w', 'import-h', () => this.source.height / this.source.width);
+        keepAspect('import-h', 'import-w', () => this.source.width / this.source.height);
+
+        const grid = this.field('import-anchor');
+        if (grid) {
+            ImageTransform.ANCHORS.forEach(anchor => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.anchor = anchor;
+                button.title = `Anchor ${anchor.toUpperCase()}`;
+                button.onclick = () => { this.anchor = anchor; this.refresh(); };
+                grid.appendChild(button);
+            });
+        }
+
+        // Pasting into a text field, or with a dialog up, is left to the browser
+        window.addEventListener('paste', (e) => {
+            if (CommandRegistry.isTyping(e.target) || CommandRegistry.modalOpen()) return;
+            this.selection.paste(e, (image) => {
+                if (image.width <= this.state.width && image.height <= this.state.height) this.selection.pasteImage(image);
+                else this.open(image, 'Pasted image', 'canvas');
+            });
+        });
+    }
+
+    // Dropped images open the dialog and dropped project files open as usual
+    setupDrop() {
+        const viewport = document.getElementById('viewport');
+        if (!viewport) return;
+        const hasFiles = (e) => !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+        viewport.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            viewport.classList.add('drop-target');
+        });
+        viewport.addEventListener('dragleave', (e) => {
+            if (!viewport.contains(e.relatedTarget)) viewport.classList.remove('drop-target');
+        });
+        viewport.addEventListener('drop', (e) => {
+            viewport.classList.remove('drop-target');
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            if (file.name.toLowerCase().endsWith('.pnk')) this.files.openProjectFile(file);
+            else this.openFile(file);
+        });
+    }
+
+    async openFile(file) {
+        let image;
+        try {
+            image = await this.files.readImage(file);
+        } catch (err) {
+            alert(`Could not read ${file.name} as an image.`);
+            return;
+        }
+        this.open(image, file.name, 'new');
+    }
+
+    // `target` is where the image goes by default: 'new' (document) or 'canvas' (floated onto the active layer)
+    open(image, name, target) {
+        if (!this.modal) return;
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0);
+        this.source = ctx.getImageData(0, 0, image.width, image.height);
+        this.name = name;
+        this.anchor = 'c';
+        if (this.field('import-target')) this.field('import-target').value = target;
+        const origin = this.state.selection ? this.state.selection.bounds : { x: 0, y: 0 };
+        if (this.field('import-x')) this.field('import-x').value = origin.x;
+        if (this.field('import-y')) this.field('import-y').value = origin.y;
+        if (this.field('import-info')) this.field('import-info').textContent = `${name} · ${image.width} × ${image.height} px`;
+        this.pickSize();
+        this.modal.classList.add('active');
+        if (window.lucide) window.lucide.createIcons();
+    }
+
+    close() {
+        if (this.modal) this.modal.classList.remove('active');
+        this.source = null;
+    }
+
+    // The largest the result can usefully be: the size limit for a new document, the canvas otherwise
+    get limit() {
+        if (this.value('import-target') === 'canvas') return { width: this.state.width, height: this.state.height };
+        return { width: ImportDialog.MAX_SIZE, height: ImportDialog.MAX_SIZE };
+    }
+
+    // Images that fit are kept as they are; larger ones start out scaled down to fit
+    pickSize() {
+        if (!this.source) return;
+        const { width, height } = this.limit;
+        const fits = this.source.width <= width && this.source.height <= height;
+        if (this.field('import-size')) this.field('import-size').value = fits ? 'keep' : 'scale';
+        this.fillSize();
+    }
+
+    fillSize() {
+        if (!this.source) return;
+        const limit = this.limit, size = this.value('import-size');
+        let width = this.source.width, height = this.source.height;
+        if (size === 'crop') {
+            width = Math.min(width, limit.width);
+            height = Math.min(height, limit.height);
+        } else if (size === 'scale') {
+            const ratio = Math.min(1, limit.width / width, limit.height / height);
+            width = Math.max(1, Math.floor(width * ratio));
+            height = Math.max(1, Math.floor(height * ratio));
+        }
+        if (this.field('import-w')) this.field('import-w').value = Math.min(width, ImportDialog.MAX_SIZE);
+        if (this.field('import-h')) this.field('import-h').value = Math.min(height, ImportDialog.MAX_SIZE);
+        this.refresh();
+    }
+
+    refresh() {
+        if (!this.source) return;
+        const options = this.options();
+        const show = (id, visible) => { if (this.field(id)) this.field(id).style.display = visible ? 'flex' : 'none'; };
+        show('import-position-row', options.target === 'canvas');
+        show('import-size-row', options.size !== 'keep');
+        show('import-anchor-row', options.size === 'crop');
+        show('import-aspect-row', options.size === 'scale');
+        show('import-count-row', options.colors === 'reduce');
+        show('import-dither-row', options.colors !== 'keep');
+        document.querySelectorAll('#import-anchor button').forEach(button => button.classList.toggle('active', button.dataset.anchor === this.anchor));
+
+        const image = FileManager.prepareImport(this.source, options, this.state.palette);
+        if (this.previewEl) {
+            this.previewEl.width = image.width;
+            this.previewEl.height = image.height;
+            this.previewEl.getContext('2d').putImageData(image, 0, 0);
+        }
+        const summary = this.field('import-summary');
+        if (!summary) return;
+        const into = options.target === 'canvas' ? `onto the canvas at ${options.x}, ${options.y}` : 'as a new document';
+        summary.textContent = `${image.width} × ${image.height} px ${into}`;
+    }
+
+    apply() {
+        if (!this.source) return false;
+        const options = this.options();
+        const image = FileManager.prepareImport(this.source, options, this.state.palette);
+        if (options.target !== 'canvas') {
+            const max = ImportDialog.MAX_SIZE;
+            if (image.width > max || image.height > max) {
+                alert(`The image is ${image.width}×${image.height}, larger than the ${max}px maximum. Crop or scale it down first.`);
+                return false;
+            }
+            this.files.openImage(image, this.name);
+            return true;
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        if (this.selection.pasteImage(canvas, { x: options.x, y: options.y }, `Import ${this.name}`)) return true;
+        alert('Images can only be placed on a visible, unlocked layer while the animation is stopped.');
+        return false;
+    }
+}
+
+// --- 30. Transform Controls ---
+// The sidebar's flip/rotate/offset buttons and the resize dialog
+class TransformDialog {
+    static MAX_SIZE = 320;
+
+    constructor(state, transforms, viewport) {
+        this.state = state; this.transforms = transforms; this.viewport = viewport;
+        this.modal = document.getElementById('resize-modal');
+        this.modeEl = document.getElementById('resize-mode');
+        this.anchor = 'c';
+        this.setupControls();
+    }
+
+    field(id) { return document.getElementById(id); }
+
+    number(id, min, max) {
+        const el = this.field(id);
+        const value = Math.max(min, Math.min(max, parseInt(el && el.value) || 0));
+        if (el) el.value = value;
+        return value;
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('flip-h-btn', () => this.run(() => this.transforms.flip(true)));
+        bind('flip-v-btn', () => this.run(() => this.transforms.flip(false)));
+        bind('rotate-cw-btn', () => this.run(() => this.transforms.rotate(1)));
+        bind('rotate-ccw-btn', () => this.run(() => this.transforms.rotate(3)));
+        bind('rotate-180-btn', () => this.run(() => this.transforms.rotate(2)));
+        bind('offset-half-btn', () => {
+            const { width, height } = this.state.selection ? this.state.selection.bounds : this.state;
+            if (this.field('offset-x-input')) this.field('offset-x-input').value = Math.floor(width / 2);
+            if (this.field('offset-y-input')) this.field('offset-y-input').value = Math.floor(height / 2);
+        });
+        bind('offset-btn', () => this.run(() => this.transforms.offset(this.number('offset-x-input', -320, 320), this.number('offset-y-input', -320, 320))));
+
+        bind('resize-btn', () => this.open());
+        bind('resize-close', () => this.close());
+        bind('resize-apply-btn', () => { if (this.apply()) this.close(); });
+        if (this.modal) this.modal.onclick = (e) => { if (e.target === this.modal) this.close(); };
+        if (this.modeEl) this.modeEl.onchange = () => { this.fillSize(); this.refresh(); };
+        ['resize-w', 'resize-h', 'resize-angle'].forEach(id => { if (this.field(id)) this.field(id).oninput = () => this.refresh(); });
+
+        const grid = this.field('resize-anchor');
+        if (grid) {
+            ImageTransform.ANCHORS.forEach(anchor => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.anchor = anchor;
+                button.title = `Anchor ${anchor.toUpperCase()}`;
+                button.onclick = () => { this.anchor = anchor; this.refresh(); };
+                grid.appendChild(button);
+            });
+        }
+    }
+
+    // Runs a transform and follows a document size change with the sidebar inputs and the view
+    run(fn) {
+        const { width, height } = this.state;
+        fn();
+        if (this.state.width === width && this.state.height === height) return;
+        if (this.field('canvas-width-input')) this.field('canvas-width-input').value = this.state.width;
+        if (this.field('canvas-height-input')) this.field('canvas-height-input').value = this.state.height;
+        this.viewport.autoFit();
+    }
+
+    get mode() { return this.modeEl ? this.modeEl.value : 'canvas'; }
+
+    // Resizing the canvas is always document-wide; scaling and rotating follow the selection
+    get onSelection() { return this.mode !== 'canvas' && !!this.state.selection; }
+
+    // Scaling a selection starts from its bounds, anything else from the sidebar's dimensions
+    fillSize() {
+        const w = this.field('resize-w'), h = this.field('resize-h');
+        if (!w || !h) return;
+        if (this.onSelection) {
+            w.value = this.state.selection.bounds.width;
+            h.value = this.state.selection.bounds.height;
+            return;
+        }
+        const sidebarW = this.field('canvas-width-input'), sidebarH = this.field('canvas-height-input');
+        w.value = sidebarW ? sidebarW.value : this.state.width;
+        h.value = sidebarH ? sidebarH.value : this.state.height;
+    }
+
+    open() {
+        if (!this.modal) return;
+        this.fillSize();
+        this.modal.classList.add('active');
+        if (window.lucide) window.lucide.createIcons();
+        this.refresh();
+    }
+
+    close() { if (this.modal) this.modal.classList.remove('active'); }
+
+    refresh() {
+        const mode = this.mode;
+        const show = (id, visible) => { if (this.field(id)) this.field(id).style.display = visible ? 'flex' : 'none'; };
+        show('resize-size-row', mode !== 'rotate');
+        show('resize-anchor-row', mode === 'canvas');
+        show('resize-angle-row', mode === 'rotate');
+        document.querySelectorAll('#resize-anchor button').forEach(button => button.classList.toggle('active', button.dataset.anchor === this.anchor));
+
+        const summary = this.field('resize-summary');
+        if (!summary) return;
+        const from = this.onSelection ? this.state.selection.bounds : this.state;
+        const target = this.onSelection ? 'Selection' : 'Canvas';
+        if (mode === 'rotate') {
+            const degrees = parseFloat(this.field('resize-angle') && this.field('resize-angle').value) || 0;
+            const size = this.onSelection ? ImageTransform.rotatedSize(from.width, from.height, degrees) : from;
+            summary.textContent = `${target} ${from.width} × ${from.height} rotated ${degrees}° → ${size.width} × ${size.height}`;
+            return;
+        }
+        const max = TransformDialog.MAX_SIZE;
+        const width = Math.max(1, Math.min(max, parseInt(this.field('resize-w') && this.field('resize-w').value) || 1));
+        const height = Math.max(1, Math.min(max, parseInt(this.field('resize-h') && this.field('resize-h').value) || 1));
+        summary.textContent = `${target} ${from.width} × ${from.height} → ${width} × ${height}`;
+    }
+
+    apply() {
+        const max = TransformDialog.MAX_SIZE;
+        if (this.mode === 'rotate') {
+            const degrees = parseFloat(this.field('resize-angle') && this.field('resize-angle').value) || 0;
+            if (this.onSelection) {
+                const { width, height } = ImageTransform.rotatedSize(this.state.selection.bounds.width, this.state.selection.bounds.height, degrees);
+                if (width > max || height > max) {
+                    alert(`The rotated selection would be ${width}×${height}, larger than the ${max}px maximum.`);
+                    return false;
+                }
+            }
+            this.run(() => this.transforms.rotateBy(degrees));
+            return true;
+        }
+        const width = this.number('resize-w', 1, max), height = this.number('resize-h', 1, max);
+        if (this.mode === 'canvas') this.run(() => this.transforms.resizeCanvas(width, height, this.anchor));
+        else this.run(() => this.transforms.scale(width, height));
+        return true;
+    }
+}
+
+// --- 31. Adjust Colors Dialog ---
+// Every change previews on the canvas; Apply keeps it as one undo step and closing any other way rolls it back
+class AdjustmentDialog {
+    static SLIDERS = ['adjust-hue', 'adjust-saturation', 'adjust-lightness', 'adjust-brightness', 'adjust-contrast'];
+
+    constructor(state, layers, adjustments) {
+        this.state = state; this.layers = layers; this.adjustments = adjustments;
+        this.modal = document.getElementById('adjust-modal');
+        this.kindEl = document.getElementById('adjust-kind');
+        this.setupControls();
+    }
+
+    field(id) { return document.getElementById(id); }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        const menu = this.field('adjust-menu');
+        [menu, this.kindEl].forEach(select => {
+            if (!select) return;
+            Object.entries(ColorAdjust.LABELS).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        });
+        bind('adjust-btn', () => this.open(menu ? menu.value : 'hsl'));
+        bind('adjust-close', () => this.close());
+        bind('adjust-cancel', () => this.close());
+        bind('adjust-apply-btn', () => {
+            this.adjustments.apply(this.kind, this.options());
+            this.hide();
+        });
+        if (!this.modal) return;
+        this.modal.onclick = (e) => { if (e.target === this.modal) this.close(); };
+        this.modal.onkeydown = (e) => {
+            if (e.key !== 'Escape') return;
+            e.stopPropagation();
+            this.close();
+        };
+        this.modal.querySelectorAll('select, input').forEach(el => el.addEventListener('input', () => this.refresh()));
+    }
+
+    get kind() { return this.kindEl ? this.kindEl.value : 'hsl'; }
 
-        // Preset sizes
-        document.querySelectorAll('.preset-btn[data-size]').forEach(btn => {
-            btn.onclick = () => {
-                const s = btn.dataset.size;
-                if (wIn) wIn.value = s;
-                if (hIn) hIn.value = s;
+    options() {
+        const value = (id) => parseFloat(this.field(id) && this.field(id).value) || 0;
+        const usePalette = this.field('adjust-use-palette');
+        return {
+            hue: value('adjust-hue'), saturation: value('adjust-saturation'), lightness: value('adjust-lightness'),
+            brightness: value('adjust-brightness'), contrast: value('adjust-contrast'),
+            levels: Math.max(2, Math.min(32, Math.round(value('adjust-levels')) || 2)),
+            usePalette: !!(usePalette && usePalette.checked), palette: this.state.palette,
+            from: this.field('adjust-from') ? this.field('adjust-from').value : '#000000',
+            to: this.field('adjust-to') ? this.field('adjust-to').value : '#ffffff',
+            tolerance: value('adjust-tolerance')
+        };
+    }
+
+    open(kind) {
+        if (!this.modal) return;
+        if (!this.adjustments.begin()) {
+            alert('The active layer is hidden or locked.');
+            return;
+        }
+        if (this.kindEl) this.kindEl.value = kind;
+        // Sliders start neutral; replace goes from the current color to the secondary one
+        AdjustmentDialog.SLIDERS.forEach(id => { if (this.field(id)) this.field(id).value = 0; });
+        if (this.field('adjust-from')) this.field('adjust-from').value = this.state.currentColor.slice(0, 7);
+        if (this.field('adjust-to')) this.field('adjust-to').value = this.state.secondaryColor.slice(0, 7);
+        this.modal.classList.add('active');
+        if (window.lucide) window.lucide.createIcons();
+        this.refresh();
+        if (this.kindEl) this.kindEl.focus();
+    }
+
+    close() {
+        this.adjustments.cancel();
+        this.hide();
+    }
+
+    hide() { if (this.modal) this.modal.classList.remove('active'); }
+
+    refresh() {
+        const kind = this.kind;
+        this.modal.querySelectorAll('[data-adjust]').forEach(row => { row.style.display = row.dataset.adjust === kind ? 'flex' : 'none'; });
+        this.modal.querySelectorAll('output').forEach(output => {
+            const input = this.field(output.getAttribute('for'));
+            if (input) output.textContent = input.value;
+        });
+        const levels = this.field('adjust-levels');
+        if (levels) levels.disabled = this.options().usePalette;
+
+        const summary = this.field('adjust-summary');
+        if (summary) {
+            const layer = this.layers.active;
+            const name = layer ? layer.name : '';
+            summary.textContent = this.state.selection ? `The selection on layer "${name}"` : `All of layer "${name}"`;
+        }
+        this.adjustments.preview(kind, this.options());
+    }
+}
+
+// --- 32. Reference Image ---
+// Sidebar controls for the tracing reference. Large images are scaled down before they are kept, since the
+// reference is stored with the autosaved session and in project files.
+class ReferencePanel {
+    static MAX_SIZE = 1024;
+
+    constructor(state) {
+        this.state = state;
+        this.input = document.getElementById('reference-input');
+        this.setupControls();
+        this.state.subscribe(() => this.update());
+        this.update();
+    }
+
+    field(id) { return document.getElementById(id); }
+
+    // Whether a reference read back from a project or autosave has the shape `load` gives it. Only image data
+    // URLs are accepted, so a file can't point the editor at a remote address.
+    static isValid(reference) {
+        if (!reference || typeof reference !== 'object') return false;
+        const { src, x, y, scale, opacity } = reference;
+        return typeof src === 'string' && src.startsWith('data:image/') &&
+            Number.isInteger(x) && Number.isInteger(y) &&
+            typeof scale === 'number' && scale >= 0.01 && scale <= 10 &&
+            typeof opacity === 'number' && opacity >= 0 && opacity <= 1 &&
+            ['above', 'grayscale', 'visible'].every(key => typeof reference[key] === 'boolean');
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('reference-load-btn', () => { if (this.input) this.input.click(); });
+        bind('reference-fit-btn', () => this.set({ x: 0, y: 0, scale: 1 }));
+        bind('reference-remove-btn', () => this.state.update({ reference: null }));
+        if (this.input) {
+            this.input.onchange = () => {
+                const file = this.input.files[0];
+                this.input.value = '';
+                if (file) this.load(file);
+            };
+        }
+        const on = (id, event, fn) => { const el = this.field(id); if (el) el[event] = () => fn(el); };
+        on('reference-visible', 'onchange', el => this.set({ visible: el.checked }));
+        on('reference-grayscale', 'onchange', el => this.set({ grayscale: el.checked }));
+        on('reference-placement', 'onchange', el => this.set({ above: el.value === 'over' }));
+        on('reference-opacity', 'oninput', el => this.set({ opacity: parseInt(el.value) / 100 }));
+        on('reference-x', 'onchange', el => this.set({ x: parseInt(el.value) || 0 }));
+        on('reference-y', 'onchange', el => this.set({ y: parseInt(el.value) || 0 }));
+        on('reference-scale', 'onchange', el => this.set({ scale: Math.max(1, Math.min(1000, parseInt(el.value) || 100)) / 100 }));
+    }
+
+    set(changes) {
+        if (this.state.reference) this.state.update({ reference: { ...this.state.reference, ...changes } });
+    }
+
+    load(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, ReferencePanel.MAX_SIZE / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.width * scale));
+                canvas.height = Math.max(1, Math.round(img.height * scale));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                const previous = this.state.reference;
+                this.state.update({
+                    reference: {
+                        src: canvas.toDataURL('image/png'), x: 0, y: 0, scale: 1,
+                        opacity: previous ? previous.opacity : 0.5, above: previous ? previous.above : false,
+                        grayscale: previous ? previous.grayscale : false, visible: true
+                    }
+                });
             };
+            img.onerror = () => alert(`${file.name} could not be read as an image.`);
+            img.src = event.target.result;
+        };
+        reader.readAsDataURL(file);
+    }
+
+    update() {
+        const reference = this.state.reference;
+        const options = this.field('reference-options');
+        if (options) options.style.display = reference ? 'flex' : 'none';
+        ['reference-fit-btn', 'reference-remove-btn'].forEach(id => { if (this.field(id)) this.field(id).disabled = !reference; });
+        if (!reference) return;
+        const value = (id, v) => { const el = this.field(id); if (el && document.activeElement !== el) el.value = v; };
+        const check = (id, on) => { if (this.field(id)) this.field(id).checked = on; };
+        check('reference-visible', reference.visible);
+        check('reference-grayscale', reference.grayscale);
+        value('reference-placement', reference.above ? 'over' : 'under');
+        value('reference-opacity', Math.round(reference.opacity * 100));
+        value('reference-x', reference.x);
+        value('reference-y', reference.y);
+        value('reference-scale', Math.round(reference.scale * 100));
+        const label = this.field('reference-opacity-value');
+        if (label) label.textContent = `${Math.round(reference.opacity * 100)}%`;
+    }
+}
+
+// --- 33. Preview & Navigator ---
+// The sprite at real size (1×, 2× or 4×) and a minimap with the visible part of the viewport outlined; dragging
+// on the minimap pans the view. Both redraw on every notify. The panel sits in the sidebar or floats over the canvas.
+class PreviewPanel {
+    static FLOATING_KEY = 'previewFloating';
+    static SCALES = [1, 2, 4];
+
+    constructor(state, layers, viewport) {
+        this.state = state; this.layers = layers; this.viewport = viewport;
+        this.panel = document.getElementById('preview-panel');
+        this.canvas = document.getElementById('preview-canvas');
+        this.navigator = document.getElementById('navigator-canvas');
+        this.flat = document.createElement('canvas');
+        this.navFit = null;
+        this.setupControls();
+        this.dock(localStorage.getItem(PreviewPanel.FLOATING_KEY) === 'true');
+        this.state.subscribe(() => this.render());
+    }
+
+    setupControls() {
+        document.querySelectorAll('[data-preview-scale]').forEach(btn => {
+            btn.onclick = () => this.state.update({ previewScale: parseInt(btn.dataset.previewScale) });
         });
+        const toggle = document.getElementById('preview-bg-toggle');
+        const color = document.getElementById('preview-bg-color');
+        // The picker keeps its color while the backdrop is off, so turning it back on restores the same one
+        const apply = () => this.state.update({ previewBackground: toggle && toggle.checked && color ? color.value : null });
+        if (toggle) toggle.onchange = apply;
+        if (color) color.oninput = () => {
+            if (toggle) toggle.checked = true;
+            apply();
+        };
+        const dockBtn = document.getElementById('preview-dock-btn');
+        if (dockBtn) dockBtn.onclick = () => this.dock(!this.floating);
 
-        // Square utility
-        bind('square-btn', () => {
-            if (wIn && hIn) {
-                const max = Math.max(parseInt(wIn.value) || 0, parseInt(hIn.value) || 0);
-                wIn.value = max;
-                hIn.value = max;
+        const nav = this.navigator;
+        if (!nav) return;
+        let dragging = false;
+        nav.addEventListener('pointerdown', (e) => {
+            dragging = true;
+            if (nav.setPointerCapture) nav.setPointerCapture(e.pointerId);
+            this.panTo(e.clientX, e.clientY);
+        });
+        nav.addEventListener('pointermove', (e) => { if (dragging) this.panTo(e.clientX, e.clientY); });
+        const stop = () => { dragging = false; };
+        nav.addEventListener('pointerup', stop);
+        nav.addEventListener('pointercancel', stop);
+    }
+
+    // Floating moves the panel into the viewport's corner; docking puts it back at the top of the sidebar
+    dock(floating) {
+        if (!this.panel) return;
+        if (!this.home) this.home = { parent: this.panel.parentNode, next: this.panel.nextSibling };
+        const viewport = this.viewport.viewport;
+        if (floating && viewport) viewport.appendChild(this.panel);
+        else if (this.home.parent) this.home.parent.insertBefore(this.panel, this.home.next);
+        this.floating = floating && !!viewport;
+        this.panel.classList.toggle('floating', this.floating);
+        localStorage.setItem(PreviewPanel.FLOATING_KEY, String(this.floating));
+        const dockBtn = document.getElementById('preview-dock-btn');
+        if (dockBtn) {
+            dockBtn.title = this.floating ? 'Dock in the sidebar' : 'Float over the canvas';
+            dockBtn.innerHTML = `<i data-lucide="${this.floating ? 'panel-right' : 'picture-in-picture-2'}"></i>`;
+            if (window.lucide) window.lucide.createIcons();
+        }
+    }
+
+    // The flattened frame plus whatever is still being drawn: a shape preview or a floating selection
+    composite() {
+        const image = this.layers.flatten(this.state.activeFrameIndex, this.flat);
+        const ctx = image.getContext('2d');
+        if (this.state.preview) ctx.drawImage(this.state.preview, 0, 0);
+        const floating = this.state.floating;
+        if (floating) ctx.drawImage(floating.canvas, floating.x, floating.y);
+        return image;
+    }
+
+    render() {
+        if (!this.canvas) return;
+        const { width, height, previewScale, previewBackground } = this.state;
+        const image = this.composite();
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.canvas.style.width = `${width * previewScale}px`;
+        this.canvas.style.height = `${height * previewScale}px`;
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        if (previewBackground) {
+            ctx.fillStyle = previewBackground;
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.drawImage(image, 0, 0);
+        document.querySelectorAll('[data-preview-scale]').forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.previewScale) === previewScale));
+        const toggle = document.getElementById('preview-bg-toggle');
+        if (toggle) toggle.checked = !!previewBackground;
+        const color = document.getElementById('preview-bg-color');
+        if (color && previewBackground && document.activeElement !== color) color.value = previewBackground;
+        this.renderNavigator(image);
+    }
+
+    renderNavigator(image) {
+        const nav = this.navigator;
+        if (!nav) return;
+        const { width, height, previewBackground } = this.state;
+        const scale = Math.min(nav.width / width, nav.height / height);
+        const ox = (nav.width - width * scale) / 2, oy = (nav.height - height * scale) / 2;
+        this.navFit = { scale, ox, oy };
+        const ctx = nav.getContext('2d');
+        ctx.clearRect(0, 0, nav.width, nav.height);
+        ctx.imageSmoothingEnabled = false;
+        if (previewBackground) {
+            ctx.fillStyle = previewBackground;
+            ctx.fillRect(ox, oy, width * scale, height * scale);
+        }
+        ctx.drawImage(image, ox, oy, width * scale, height * scale);
+        const view = this.visibleRect();
+        ctx.save();
+        ctx.strokeStyle = 'rgba(56, 189, 248, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(ox + view.x * scale, oy + view.y * scale, view.width * scale, view.height * scale);
+        ctx.restore();
+    }
+
+    // The part of the document inside the viewport, in document pixels
+    visibleRect() {
+        const z = Math.max(1, Math.floor(this.state.zoom));
+        const origin = this.viewport.coords.origin();
+        const el = this.viewport.viewport;
+        return {
+            x: -this.state.panX / z - origin.x, y: -this.state.panY / z - origin.y,
+            width: el.clientWidth / z, height: el.clientHeight / z
+        };
+    }
+
+    // Centres the viewport on the document point under the pointer
+    panTo(clientX, clientY) {
+        const nav = this.navigator;
+        if (!this.navFit) return;
+        const rect = nav.getBoundingClientRect();
+        const sx = rect.width ? nav.width / rect.width : 1, sy = rect.height ? nav.height / rect.height : 1;
+        const { scale, ox, oy } = this.navFit;
+        const x = ((clientX - rect.left) * sx - ox) / scale, y = ((clientY - rect.top) * sy - oy) / scale;
+        const z = Math.max(1, Math.floor(this.state.zoom));
+        const origin = this.viewport.coords.origin();
+        const el = this.viewport.viewport;
+        this.state.update({
+            panX: el.clientWidth / 2 - (origin.x + x) * z,
+            panY: el.clientHeight / 2 - (origin.y + y) * z
+        });
+    }
+}
+
+// --- 34. Command Palette ---
+// Ctrl+K: type to filter every registered command, arrows to choose, Enter to run
+class CommandPalette {
+    constructor(commands) {
+        this.commands = commands;
+        this.modal = document.getElementById('command-palette');
+        this.input = document.getElementById('command-search');
+        this.list = document.getElementById('command-list');
+        this.results = [];
+        this.index = 0;
+        this.setupControls();
+    }
+
+    setupControls() {
+        const button = document.getElementById('command-palette-btn');
+        if (button) button.onclick = () => this.open();
+        if (!this.modal || !this.input) return;
+        this.modal.onclick = (e) => { if (e.target === this.modal) this.close(); };
+        this.input.oninput = () => { this.index = 0; this.render(); };
+        this.input.onkeydown = (e) => {
+            e.stopPropagation();
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const count = Math.max(1, this.results.length);
+                this.index = (this.index + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+                this.render();
+            }
+            if (e.key === 'Enter') this.runAt(this.index);
+            if (e.key === 'Escape') this.close();
+        };
+    }
+
+    open() {
+        if (!this.modal || !this.input) return;
+        this.input.value = '';
+        this.index = 0;
+        this.modal.classList.add('active');
+        this.render();
+        this.input.focus();
+    }
+
+    close() { if (this.modal) this.modal.classList.remove('active'); }
+
+    // Closes first so a command that opens a dialog isn't left underneath the palette
+    runAt(index) {
+        const command = this.results[index];
+        if (!command) return;
+        this.close();
+        this.commands.run(command.id);
+    }
+
+    render() {
+        if (!this.list) return;
+        this.results = this.commands.search(this.input.value);
+        this.list.innerHTML = '';
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<p class="recent-empty">No matching commands.</p>';
+            return;
+        }
+        this.results.forEach((command, i) => {
+            const row = document.createElement('div');
+            row.className = 'command-row' + (i === this.index ? ' active' : '');
+            const label = document.createElement('span');
+            label.textContent = command.label;
+            const category = document.createElement('small');
+            category.textContent = command.category;
+            row.append(label, category);
+            const keys = this.commands.keys(command.id);
+            if (keys.length) {
+                const key = document.createElement('span');
+                key.className = 'key';
+                key.textContent = keys[0];
+                row.appendChild(key);
             }
+            // Keeps focus in the search field while clicking
+            row.onmousedown = (e) => e.preventDefault();
+            row.onclick = () => this.runAt(i);
+            this.list.appendChild(row);
+        });
+        const active = this.list.children[this.index];
+        if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+// --- 35. Keyboard Shortcuts ---
+// Rebinding: click a command's shortcut and press the new keys. Backspace removes it, Escape cancels.
+class ShortcutsDialog {
+    constructor(commands) {
+        this.commands = commands;
+        this.modal = document.getElementById('shortcuts-modal');
+        this.list = document.getElementById('shortcuts-list');
+        this.recording = null;
+        this.setupControls();
+    }
+
+    setupControls() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        bind('shortcuts-btn', () => this.open());
+        bind('shortcuts-close', () => this.close());
+        bind('shortcuts-reset-btn', () => {
+            if (confirm('Restore every shortcut to its default?')) this.commands.resetAll();
         });
+        if (this.modal) this.modal.onclick = (e) => { if (e.target === this.modal) this.close(); };
+        this.commands.onChange(() => this.render());
+    }
 
-        bind('resize-btn', () => {
-            const MAX = 320, MIN = 1;
-            let nw = Math.min(MAX, Math.max(MIN, parseInt(wIn.value) || MIN));
-            let nh = Math.min(MAX, Math.max(MIN, parseInt(hIn.value) || MIN));
+    open() {
+        if (!this.modal) return;
+        this.recording = null;
+        this.modal.classList.add('active');
+        this.render();
+    }
 
-            // Reflect clamped values back to the inputs so user sees what was applied
-            wIn.value = nw;
-            hIn.value = nh;
+    close() {
+        this.recording = null;
+        if (this.modal) this.modal.classList.remove('active');
+    }
 
-            const temp = document.createElement('canvas');
-            temp.width = this.state.width;
-            temp.height = this.state.height;
-            temp.getContext('2d').drawImage(this.files.workCanvas, 0, 0);
+    render() {
+        if (!this.list || !this.modal.classList.contains('active')) return;
+        this.list.innerHTML = '';
+        let category = null, recordingBtn = null;
+        this.commands.all().forEach(command => {
+            if (command.category !== category) {
+                category = command.category;
+                const heading = document.createElement('h4');
+                heading.textContent = category;
+                this.list.appendChild(heading);
+            }
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            const label = document.createElement('span');
+            label.textContent = command.label;
 
-            this.state.update({ width: nw, height: nh });
-            this.files.workCanvas.width = nw;
-            this.files.workCanvas.height = nh;
-            this.files.workCtx.drawImage(temp, 0, 0);
+            const keyBtn = document.createElement('button');
+            keyBtn.className = 'secondary shortcut-key';
+            const recording = this.recording === command.id;
+            keyBtn.classList.toggle('recording', recording);
+            keyBtn.textContent = recording ? 'Press keys…' : (this.commands.keys(command.id).join(' / ') || 'None');
+            keyBtn.onclick = () => { this.recording = recording ? null : command.id; this.render(); };
+            keyBtn.onkeydown = (e) => this.record(e, command);
+            if (recording) recordingBtn = keyBtn;
 
-            this.viewport.autoFit();
-            this.state.saveHistory(this.files.workCanvas.toDataURL());
+            const resetBtn = document.createElement('div');
+            resetBtn.className = 'tool-btn';
+            resetBtn.title = 'Restore default';
+            resetBtn.innerHTML = '<i data-lucide="rotate-ccw"></i>';
+            resetBtn.style.visibility = this.commands.isCustom(command.id) ? 'visible' : 'hidden';
+            resetBtn.onclick = () => {
+                if (this.confirmTaken(command, command.defaults)) this.commands.reset(command.id);
+            };
+            row.append(label, keyBtn, resetBtn);
+            this.list.appendChild(row);
         });
+        if (window.lucide) window.lucide.createIcons();
+        if (recordingBtn) recordingBtn.focus();
+    }
 
-        // Info Modal Logic
-        const modal = document.getElementById('info-modal');
-        const openModal = () => { if (modal) { modal.classList.add('active'); if (window.lucide) window.lucide.createIcons(); } };
-        const closeModal = () => { if (modal) modal.classList.remove('active'); };
+    record(e, command) {
+        if (this.recording !== command.id) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            this.recording = null;
+            this.render();
+            return;
+        }
+        const unbind = e.key === 'Backspace' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey;
+        const combo = CommandRegistry.combo(e);
+        if (!combo) return;
+        const keys = unbind ? [] : [combo];
+        if (!this.confirmTaken(command, keys)) return;
+        this.recording = null;
+        this.commands.setKeys(command.id, keys);
+    }
 
-        bind('info-btn', openModal);
-        bind('close-modal', closeModal);
-        if (modal) modal.onclick = (e) => { if (e.target === modal) closeModal(); };
+    // A combo already bound elsewhere is only moved over once the user agrees
+    confirmTaken(command, keys) {
+        const taken = this.commands.conflicts(command.id, keys);
+        if (taken.length === 0) return true;
+        const names = taken.map(other => `"${other.label}" (${this.commands.keys(other.id).filter(k => keys.includes(k)).join(', ')})`).join(', ');
+        return confirm(`Already in use by ${names}. Reassign to "${command.label}"?`);
+    }
+}
 
-        // Reset Canvas Confirmation Modal
-        const confirmModal = document.getElementById('confirm-modal');
-        const openConfirm = () => { if (confirmModal) { confirmModal.classList.add('active'); if (window.lucide) window.lucide.createIcons(); } };
-        const closeConfirm = () => { if (confirmModal) confirmModal.classList.remove('active'); };
+// --- 36. Session Storage ---
+// Autosaved documents live in IndexedDB. Where that isn't available (some browsers restrict it for
+// pages opened from file://) the same records fall back to localStorage.
+class SessionStore {
+    static DB_NAME = 'pixel-no-kiseki';
+    static STORE = 'documents';
+    static FALLBACK_KEY = 'autosaveDocuments';
+    static MAX_DOCUMENTS = 12;
 
-        bind('reset-canvas-btn', openConfirm);
-        bind('confirm-reset-cancel', closeConfirm);
-        if (confirmModal) confirmModal.onclick = (e) => { if (e.target === confirmModal) closeConfirm(); };
+    static newId() { return Date.now().toString(36) + Math.random().toString(36).slice(2, 8); }
 
-        bind('confirm-reset-ok', () => {
-            this.files.workCtx.clearRect(0, 0, this.files.workCanvas.width, this.files.workCanvas.height);
-            this.state.saveHistory(this.files.workCanvas.toDataURL());
-            this.state.notify();
-            closeConfirm();
+    constructor() {
+        this.ready = this.open();
+    }
+
+    open() {
+        return new Promise((resolve) => {
+            try {
+                if (!window.indexedDB) return resolve(null);
+                const request = window.indexedDB.open(SessionStore.DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(SessionStore.STORE, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            } catch (err) {
+                resolve(null);
+            }
         });
+    }
 
-        window.onkeydown = (e) => {
-            const key = e.key.toLowerCase();
-            if (key === 'p') this.state.update({ currentTool: 'pencil' });
-            if (key === 'e') this.state.update({ currentTool: 'eraser' });
-            if (key === 'b') this.state.update({ currentTool: 'fill' });
-            if (key === 'i') this.state.update({ currentTool: 'eyedropper' });
-            if (key === 'h') this.state.update({ currentTool: 'hand' });
-            if (key === 'c') this.viewport.centerOnly();
-            if (e.ctrlKey && key === 'z') { e.preventDefault(); document.getElementById('undo-btn').click(); }
-            if (e.ctrlKey && key === 'y') { e.preventDefault(); document.getElementById('redo-btn').click(); }
-        };
+    async transaction(mode, fn) {
+        const db = await this.ready;
+        return new Promise((resolve, reject) => {
+            // db.transaction throws outright (rather than erroring the request) when the database is closing
+            try {
+                const tx = db.transaction(SessionStore.STORE, mode);
+                const request = fn(tx.objectStore(SessionStore.STORE));
+                tx.oncomplete = () => resolve(request ? request.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            } catch (err) {
+                reject(err);
+            }
+        });
     }
 
-    loadStateToWorkCanvas(dataURL) {
-        const img = new Image();
-        img.onload = () => {
-            // Ensure the canvas matches the history state dimensions
-            this.state.update({ width: img.width, height: img.height });
-            this.files.workCanvas.width = img.width;
-            this.files.workCanvas.height = img.height;
-            this.files.workCtx.drawImage(img, 0, 0);
-            this.state.notify();
+    readFallback() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SessionStore.FALLBACK_KEY));
+            return Array.isArray(saved) ? saved.filter(record => record && typeof record === 'object' && !Array.isArray(record)) : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    writeFallback(records) {
+        localStorage.setItem(SessionStore.FALLBACK_KEY, JSON.stringify(records));
+    }
+
+    // Newest first
+    async list() {
+        const db = await this.ready;
+        const records = db ? await this.transaction('readonly', store => store.getAll()) : this.readFallback();
+        return records.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async get(id) {
+        const db = await this.ready;
+        if (!db) return this.readFallback().find(r => r.id === id) || null;
+        return (await this.transaction('readonly', store => store.get(id))) || null;
+    }
+
+    async put(record) {
+        const db = await this.ready;
+        if (!db) {
+            const records = this.readFallback().filter(r => r.id !== record.id);
+            records.unshift(record);
+            this.writeFallback(records.slice(0, SessionStore.MAX_DOCUMENTS));
+            return;
+        }
+        await this.transaction('readwrite', store => store.put(record));
+        const stale = (await this.list()).slice(SessionStore.MAX_DOCUMENTS);
+        if (stale.length) await this.transaction('readwrite', store => { stale.forEach(r => store.delete(r.id)); return null; });
+    }
+
+    async remove(id) {
+        const db = await this.ready;
+        if (!db) {
+            this.writeFallback(this.readFallback().filter(r => r.id !== id));
+            return;
+        }
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+}
+
+class Autosave {
+    static DELAY = 1000;
+    static LAST_KEY = 'lastDocument';
+
+    constructor(state, layers, files, store) {
+        this.state = state; this.layers = layers; this.files = files; this.store = store;
+        this.timer = null;
+        // Only history movement counts as an edit, so the untouched blank document is never saved
+        this.savedRevision = this.state.historyRevision;
+        // The reference image isn't part of the history, so changing it counts on its own
+        this.savedReference = this.state.reference;
+        this.state.subscribe(() => {
+            if (this.state.historyRevision !== this.savedRevision || this.state.reference !== this.savedReference) this.schedule();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+        this.setupModals();
+    }
+
+    schedule() {
+        this.savedRevision = this.state.historyRevision;
+        this.savedReference = this.state.reference;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.save(), Autosave.DELAY);
+    }
+
+    flush() {
+        if (!this.timer) return;
+        clearTimeout(this.timer);
+        this.save();
+    }
+
+    thumbnail() {
+        const thumb = document.createElement('canvas');
+        thumb.width = 64;
+        thumb.height = 64;
+        drawThumbnail(thumb, this.layers.flatten());
+        return thumb.toDataURL('image/png');
+    }
+
+    async save() {
+        this.timer = null;
+        const record = {
+            id: this.state.documentId,
+            name: this.state.documentName,
+            width: this.state.width,
+            height: this.state.height,
+            updatedAt: Date.now(),
+            thumbnail: this.thumbnail(),
+            project: ProjectFile.serialize(this.state, this.layers.snapshot())
         };
-        img.src = dataURL;
+        try {
+            await this.store.put(record);
+            localStorage.setItem(Autosave.LAST_KEY, record.id);
+        } catch (err) {
+            console.error('Autosave Error:', err);
+        }
     }
 
-    rgbToHex(rgb) {
-        if (!rgb) return '';
-        const match = rgb.match(/^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/);
-        if (!match) return rgb;
-        return "#" + ((1 << 24) + (parseInt(match[1]) << 16) + (parseInt(match[2]) << 8) + parseInt(match[3])).toString(16).slice(1).toLowerCase();
+    async open(record) {
+        // Persist pending edits to the current document before replacing it
+        this.flush();
+        if (await this.files.loadProject(record.project, record.name, record.id)) {
+            this.savedRevision = this.state.historyRevision;
+            this.savedReference = this.state.reference;
+            localStorage.setItem(Autosave.LAST_KEY, record.id);
+        }
+    }
+
+    // Offers the document that was being edited when the page last closed
+    async offerRestore() {
+        const id = localStorage.getItem(Autosave.LAST_KEY);
+        if (!id) return;
+        const record = await this.store.get(id);
+        const modal = document.getElementById('restore-modal');
+        if (!record || !modal) return;
+        const thumb = document.getElementById('restore-thumb');
+        const info = document.getElementById('restore-info');
+        if (thumb) thumb.src = record.thumbnail;
+        if (info) info.textContent = `${record.name} · ${record.width} x ${record.height} · ${this.formatTime(record.updatedAt)}`;
+        this.pendingRestore = record;
+        modal.classList.add('active');
+    }
+
+    setupModals() {
+        const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.onclick = fn; };
+        const restoreModal = document.getElementById('restore-modal');
+        const closeRestore = () => { if (restoreModal) restoreModal.classList.remove('active'); this.pendingRestore = null; };
+        bind('restore-ok', () => {
+            const record = this.pendingRestore;
+            closeRestore();
+            if (record) this.open(record);
+        });
+        bind('restore-cancel', closeRestore);
+
+        const recentModal = document.getElementById('recent-modal');
+        const closeRecent = () => { if (recentModal) recentModal.classList.remove('active'); };
+        bind('recent-btn', () => {
+            if (!recentModal) return;
+            recentModal.classList.add('active');
+            this.renderRecent();
+        });
+        bind('close-recent-modal', closeRecent);
+        if (recentModal) recentModal.onclick = (e) => { if (e.target === recentModal) closeRecent(); };
+    }
+
+    async renderRecent() {
+        const list = document.getElementById('recent-list');
+        if (!list) return;
+        const records = await this.store.list();
+        list.innerHTML = '';
+        if (records.length === 0) {
+            list.innerHTML = '<p class="recent-empty">No autosaved documents yet. Your work is saved here automatically as you draw.</p>';
+            return;
+        }
+        records.forEach(record => {
+            const row = document.createElement('div');
+            row.className = 'recent-row' + (record.id === this.state.documentId ? ' current' : '');
+
+            const thumb = document.createElement('img');
+            thumb.className = 'recent-thumb';
+            thumb.src = record.thumbnail;
+            thumb.alt = '';
+
+            const info = document.createElement('div');
+            info.className = 'recent-info';
+            const name = document.createElement('strong');
+            name.textContent = record.name;
+            const meta = document.createElement('span');
+            meta.textContent = `${record.width} x ${record.height} · ${this.formatTime(record.updatedAt)}`;
+            info.append(name, meta);
+
+            const openBtn = document.createElement('div');
+            openBtn.className = 'tool-btn';
+            openBtn.title = 'Open';
+            openBtn.innerHTML = '<i data-lucide="folder-open"></i>';
+            openBtn.onclick = async () => {
+                document.getElementById('recent-modal').classList.remove('active');
+                await this.open(record);
+            };
+
+            const deleteBtn = document.createElement('div');
+            deleteBtn.className = 'tool-btn';
+            deleteBtn.title = 'Delete';
+            deleteBtn.innerHTML = '<i data-lucide="trash-2"></i>';
+            deleteBtn.onclick = async () => {
+                await this.store.remove(record.id);
+                if (localStorage.getItem(Autosave.LAST_KEY) === record.id) localStorage.removeItem(Autosave.LAST_KEY);
+                this.renderRecent();
+            };
+
+            row.append(thumb, info, openBtn, deleteBtn);
+            list.appendChild(row);
+        });
+        if (window.lucide) window.lucide.createIcons();
+    }
+
+    formatTime(time) {
+        const minutes = Math.round((Date.now() - time) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 60 * 24) return `${Math.round(minutes / 60)} h ago`;
+        return new Date(time).toLocaleDateString();
     }
 }
 
-// --- 8. App Orchestrator ---
+// --- 37. App Orchestrator ---
 class App {
+    static PEN_ERASER_KEY = 'penEraserSwitch';
+    // A two-finger tap: both fingers lifted within this many ms, neither moving more than TAP_SLOP px
+    static TAP_MS = 250;
+    static TAP_SLOP = 10;
+
     constructor() {
         try {
             const elements = {
                 canvas: document.getElementById('drawing-canvas'),
                 container: document.getElementById('canvas-container'),
+                overlay: document.getElementById('selection-canvas'),
                 viewport: document.getElementById('viewport')
             };
-            this.workCanvas = document.createElement('canvas');
-            this.workCtx = this.workCanvas.getContext('2d', { alpha: true });
+            state.documentId = SessionStore.newId();
+            this.layers = new LayerManager(state);
+            this.layers.reset();
+            this.frames = new FrameManager(state, this.layers);
+            this.history = new HistoryManager(state, this.layers);
+            this.colorModes = new ColorModeManager(state, this.layers, this.history);
+            this.selection = new SelectionManager(state, this.layers, this.history, this.colorModes);
+            this.transforms = new TransformManager(state, this.layers, this.history, this.selection);
+            this.adjustments = new AdjustmentManager(state, this.layers, this.history, this.selection, this.colorModes);
 
             this.viewport = new ViewportManager(state, elements);
-            this.tools = new ToolManager(state, this.viewport, this.workCtx);
+            this.tools = new ToolManager(state, this.viewport, this.layers, this.history, this.selection, this.colorModes);
             this.theme = new ThemeSystem(state);
-            this.files = new FileManager(state, this.viewport, this.workCanvas, this.workCtx);
-            this.ui = new UIController(state, this.viewport, this.tools, this.files);
+            this.files = new FileManager(state, this.viewport, this.layers, this.frames, this.history);
+            this.ui = new UIController(state, this.viewport, this.tools, this.files, this.layers, this.history, this.selection, this.colorModes);
+            this.layerPanel = new LayerPanel(state, this.layers, this.history);
+            this.timeline = new TimelinePanel(state, this.layers, this.frames, this.files, this.history);
+            this.historyPanel = new HistoryPanel(state, this.history);
+            this.palettePanel = new PalettePanel(state, this.layers, this.files, this.colorModes, this.ui);
+            this.colorPicker = new ColorPicker(state, this.ui);
+            this.brushPanel = new BrushPanel(state, this.selection);
+            this.spriteSheetDialog = new SpriteSheetDialog(state, this.files);
+            this.exportDialog = new ExportDialog(state, this.files);
+            this.importDialog = new ImportDialog(state, this.files, this.selection);
+            this.transformDialog = new TransformDialog(state, this.transforms, this.viewport);
+            this.adjustmentDialog = new AdjustmentDialog(state, this.layers, this.adjustments);
+            this.referencePanel = new ReferencePanel(state);
+            this.previewPanel = new PreviewPanel(state, this.layers, this.viewport);
+            this.commands = new CommandRegistry();
+            this.registerCommands();
+            this.commandPalette = new CommandPalette(this.commands);
+            this.shortcutsDialog = new ShortcutsDialog(this.commands);
+            this.commands.listen();
 
-            this.initPalette();
             this.initDrawingEvents(elements.canvas);
 
-            this.workCanvas.width = state.width;
-            this.workCanvas.height = state.height;
-            this.workCtx.clearRect(0, 0, state.width, state.height);
-
             state.subscribe(() => {
-                this.viewport.render(this.workCanvas);
+                this.viewport.render(this.layers, this.selection.path);
             });
 
             this.viewport.autoFit();
-            state.saveHistory(this.workCanvas.toDataURL());
+
+            this.sessions = new SessionStore();
+            this.autosave = new Autosave(state, this.layers, this.files, this.sessions);
+            this.autosave.offerRestore().catch(err => console.error('Restore Error:', err));
             console.log('Pixel-no-Kiseki: Boot Complete.');
         } catch (err) {
             console.error('Boot Error:', err);
         }
     }
 
-    initPalette() {
-        const palette = document.getElementById('palette');
-        if (!palette) return;
-        const colors = ['#000000', '#ffffff', '#ff0000', '#00ff00', '#0000ff', '#ffff00', '#ff00ff', '#00ffff', '#ffa500', '#800080', '#38bdf8', '#fbbf24', '#f87171', '#4ade80', '#a78bfa'];
-        colors.forEach(color => {
-            const swatch = document.createElement('div');
-            swatch.className = 'swatch';
-            swatch.dataset.color = color;
-            // Inner layer for actual color display (on top of checkerboard ::before)
-            const colorLayer = document.createElement('div');
-            colorLayer.style.cssText = `position:absolute;inset:0;background:${color};`;
-            swatch.appendChild(colorLayer);
-            swatch.onclick = () => {
-                // preserve current alpha when switching palette color
-                const { alpha } = this.ui.parseColor(state.currentColor);
-                state.update({ currentColor: this.ui.buildColor(color, alpha) });
-            };
-            palette.appendChild(swatch);
+    // Every action reachable from the keyboard and the command palette. Dialog openers and transforms reuse
+    // their buttons so the command does exactly what clicking does.
+    registerCommands() {
+        const commands = this.commands;
+        const click = (id) => () => { const el = document.getElementById(id); if (el) el.click(); };
+        const tool = (id, label, key) => commands.register(`tool.${id}`, label, key, () => state.update({ currentTool: id }));
+        tool('pencil', 'Pencil', 'P');
+        tool('eraser', 'Eraser', 'E');
+        tool('fill', 'Bucket Fill', 'B');
+        tool('eyedropper', 'Eyedropper', 'I');
+        tool('gradient', 'Gradient', 'G');
+        tool('line', 'Line', 'U');
+        tool('rect', 'Rectangle', 'R');
+        tool('ellipse', 'Ellipse', 'O');
+        tool('select', 'Rectangle Select', 'M');
+        tool('lasso', 'Lasso', 'L');
+        tool('wand', 'Magic Wand', 'W');
+        tool('move', 'Move Selection', 'V');
+        tool('hand', 'Hand', 'H');
+        commands.register('tool.pixelPerfect', 'Toggle Pixel-Perfect Pencil', null, () => state.update({ pixelPerfect: !state.pixelPerfect }));
+
+        commands.register('color.swap', 'Swap Foreground/Background Colors', 'X', () => this.ui.swapColors());
+        commands.register('color.editSlot', 'Switch Edited Color (Foreground/Background)', null, () => state.update({ colorSlot: state.colorSlot === 'primary' ? 'secondary' : 'primary' }));
+        commands.register('color.eyedropperSample', 'Toggle Eyedropper Sampling All Layers', null, () => state.update({ eyedropperSample: state.eyedropperSample === 'composite' ? 'layer' : 'composite' }));
+
+        commands.register('edit.undo', 'Undo', 'Ctrl+Z', click('undo-btn'));
+        commands.register('edit.redo', 'Redo', ['Ctrl+Y', 'Ctrl+Shift+Z'], click('redo-btn'));
+        // Ctrl+V is left to the browser so the paste event carries the system clipboard
+        commands.register('edit.copy', 'Copy', 'Ctrl+C', () => this.selection.copy());
+        commands.register('edit.cut', 'Cut', 'Ctrl+X', () => this.selection.cut());
+
+        commands.register('select.all', 'Select All', 'Ctrl+A', () => this.selection.selectAll());
+        commands.register('select.clear', 'Deselect', ['Ctrl+D', 'Escape'], () => this.selection.clear());
+        commands.register('select.drop', 'Drop Selection', 'Enter', () => this.selection.drop());
+        commands.register('select.erase', 'Delete Selection', 'Delete', () => this.selection.erase());
+
+        commands.register('file.open', 'Open Project', 'Ctrl+O', () => this.files.openProject());
+        commands.register('file.save', 'Save Project', 'Ctrl+S', () => this.files.saveProject());
+        commands.register('file.saveAs', 'Save Project As', 'Ctrl+Shift+S', () => this.files.openSaveAsDialog());
+        commands.register('file.import', 'Import Image', null, () => this.files.triggerImport());
+        commands.register('file.export', 'Export', 'Ctrl+E', () => this.exportDialog.open());
+        commands.register('file.spriteSheet', 'Sprite Sheet', null, () => this.spriteSheetDialog.open());
+        commands.register('file.recent', 'Recent Documents', null, click('recent-btn'));
+
+        commands.register('view.center', 'Center View', 'C', () => this.viewport.centerOnly());
+        commands.register('view.fit', 'Fit to Screen', 'F', () => this.viewport.autoFit());
+        commands.register('view.symmetry', 'Toggle Symmetry', 'S', () => state.update({ symmetryEnabled: !state.symmetryEnabled }));
+        commands.register('view.pixelGrid', 'Toggle Pixel Grid', null, () => state.update({ pixelGrid: !state.pixelGrid }));
+        commands.register('view.tileGrid', 'Toggle Tile Grid', null, () => state.update({ tileGrid: !state.tileGrid }));
+        commands.register('view.tiled', 'Toggle Tiled Mode', null, () => { state.update({ tiledMode: !state.tiledMode }); this.viewport.autoFit(); });
+        commands.register('view.reference', 'Load Reference Image', null, click('reference-load-btn'));
+        commands.register('view.referenceToggle', 'Toggle Reference Image', null, () => this.referencePanel.set({ visible: !(state.reference && state.reference.visible) }));
+        commands.register('view.preview', 'Toggle Floating Preview', null, () => this.previewPanel.dock(!this.previewPanel.floating));
+        commands.register('view.theme', 'Toggle Theme', null, click('theme-toggle'));
+
+        commands.register('canvas.resize', 'Resize Canvas', 'Ctrl+Alt+C', () => this.transformDialog.open());
+        // Clearing still asks first; it has no default key so it can't be hit by accident
+        commands.register('canvas.reset', 'Reset Canvas', null, click('reset-canvas-btn'));
+        commands.register('canvas.flipH', 'Flip Horizontal', 'Shift+H', click('flip-h-btn'));
+        commands.register('canvas.flipV', 'Flip Vertical', 'Shift+V', click('flip-v-btn'));
+        commands.register('canvas.rotateCw', 'Rotate 90° Clockwise', null, click('rotate-cw-btn'));
+        commands.register('canvas.rotateCcw', 'Rotate 90° Counter-clockwise', null, click('rotate-ccw-btn'));
+        commands.register('canvas.rotate180', 'Rotate 180°', null, click('rotate-180-btn'));
+
+        Object.entries(ColorAdjust.LABELS).forEach(([kind, label]) => {
+            commands.register(`adjust.${kind}`, label, null, () => this.adjustmentDialog.open(kind));
         });
-        state.notify();
+
+        commands.register('app.palette', 'Command Palette', 'Ctrl+K', () => this.commandPalette.open());
+        commands.register('app.shortcuts', 'Keyboard Shortcuts', 'Ctrl+/', () => this.shortcutsDialog.open());
+        commands.register('app.help', 'Help & About', null, click('info-btn'));
+    }
+
+    // With the pen's eraser end down the eraser is used; the tip brings back the tool from before
+    switchPenEnd(eraser) {
+        if (!this.penEraser) return;
+        if (eraser && state.currentTool !== 'eraser') {
+            this.toolBeforeEraser = state.currentTool;
+            state.update({ currentTool: 'eraser' });
+        } else if (!eraser && this.toolBeforeEraser) {
+            state.update({ currentTool: this.toolBeforeEraser });
+            this.toolBeforeEraser = null;
+        }
     }
 
+    // Mouse, pen and touch all arrive as Pointer Events. One finger draws like the mouse; a second finger turns
+    // the gesture into pinch-zoom and pan, and two fingers tapped together undo.
     initDrawingEvents(canvas) {
         if (!canvas) return;
-        canvas.onmousedown = (e) => {
-            if (e.button === 1 || (e.button === 0 && (e.altKey || state.isPanning || state.currentTool === 'hand'))) {
+        this.penEraser = localStorage.getItem(App.PEN_ERASER_KEY) !== 'false';
+        this.toolBeforeEraser = null;
+        const penToggle = document.getElementById('pen-eraser-toggle');
+        if (penToggle) {
+            penToggle.checked = this.penEraser;
+            penToggle.onchange = () => {
+                this.penEraser = penToggle.checked;
+                localStorage.setItem(App.PEN_ERASER_KEY, String(this.penEraser));
+            };
+        }
+
+        const touches = new Map();
+        let pinch = null;
+        let panFrom = null;
+        let drawingPointer = null;
+        // The symmetry axes being dragged ({ pointerId, x, y }, see ViewportManager.symmetryGrab)
+        let axisDrag = null;
+
+        const startPinch = () => {
+            if (this.tools.cancel() === 'SHOULD_SAVE_HISTORY') this.history.commit();
+            drawingPointer = null;
+            panFrom = null;
+            axisDrag = null;
+            state.update({ isPanning: false });
+            const [a, b] = [...touches.values()];
+            const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            pinch = { distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)), zoom: state.zoom, mid, start: mid, time: Date.now(), moved: false };
+        };
+
+        const movePinch = () => {
+            const [a, b] = [...touches.values()];
+            const distance = Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+            const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            if (Math.abs(distance - pinch.distance) > App.TAP_SLOP || Math.hypot(mid.x - pinch.start.x, mid.y - pinch.start.y) > App.TAP_SLOP) pinch.moved = true;
+            this.viewport.zoomAt(pinch.zoom * distance / pinch.distance, mid.x, mid.y);
+            state.update({ panX: state.panX + mid.x - pinch.mid.x, panY: state.panY + mid.y - pinch.mid.y });
+            pinch.mid = mid;
+        };
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'touch') {
+                touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                if (touches.size === 2) startPinch();
+                if (touches.size >= 2 || pinch) return;
+            }
+            canvas.setPointerCapture(e.pointerId);
+            // Button 5 (or buttons bit 32) is the pen's eraser end
+            const eraserEnd = e.pointerType === 'pen' && (e.button === 5 || (e.buttons & 32) !== 0);
+            if (e.pointerType === 'pen') this.switchPenEnd(eraserEnd);
+            const primary = e.button === 0 || eraserEnd;
+            // The right button paints with the background color
+            const secondary = e.button === 2;
+            if (e.button === 1 || ((primary || secondary) && (e.altKey || state.isPanning || state.currentTool === 'hand'))) {
+                panFrom = { x: e.clientX, y: e.clientY };
                 state.update({ isPanning: true }); return;
             }
-            if (e.button === 0) {
+            // Pressing on a symmetry guide drags the axis instead of drawing
+            const grab = primary && this.viewport.symmetryGrab(e, canvas.getBoundingClientRect());
+            if (grab) {
+                axisDrag = { pointerId: e.pointerId, ...grab };
+                return;
+            }
+            if (primary || secondary) {
+                drawingPointer = e.pointerId;
                 const { x, y } = this.viewport.coords.screenToPixel(e, canvas.getBoundingClientRect());
-                if (this.tools.execute('start', x, y) === 'SHOULD_SAVE_HISTORY') state.saveHistory(this.workCanvas.toDataURL());
+                if (this.tools.execute('start', x, y, { shift: e.shiftKey, secondary }) === 'SHOULD_SAVE_HISTORY') this.history.commit();
                 state.notify();
             }
-        };
+        });
+
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
         // Brush size slider
         const brushSlider = document.getElementById('brush-size-slider');
         const brushLabel = document.getElementById('brush-size-label');
         const brushPreview = document.getElementById('brush-preview-row');
-        const updateBrushUI = (size) => {
+        // Driven by state so a brush restored from a project file shows up too
+        let shownBrush = null;
+        const updateBrushUI = () => {
+            const brush = this.tools.brush;
+            shownBrush = brush;
+            const size = state.brushSize;
+            if (brushSlider && parseInt(brushSlider.value) !== size) brushSlider.value = size;
             if (brushLabel) brushLabel.textContent = `${size}px`;
-            state.update({ brushSize: size });
-            // Draw mini grid preview
+            // Draw mini grid preview of the brush mask
             if (brushPreview) {
                 const cellSize = 6;
                 brushPreview.innerHTML = '';
                 const grid = document.createElement('div');
-                grid.style.cssText = `display:grid;grid-template-columns:repeat(${size},${cellSize}px);gap:1px;`;
-                for (let i = 0; i < size * size; i++) {
+                grid.style.cssText = `display:grid;grid-template-columns:repeat(${brush.width},${cellSize}px);gap:1px;`;
+                brush.bits.forEach(bit => {
                     const cell = document.createElement('div');
-                    cell.style.cssText = `width:${cellSize}px;height:${cellSize}px;background:var(--accent);border-radius:1px;`;
+                    cell.style.cssText = `width:${cellSize}px;height:${cellSize}px;background:${bit ? 'var(--accent)' : 'transparent'};border-radius:1px;`;
                     grid.appendChild(cell);
-                }
+                });
                 brushPreview.appendChild(grid);
             }
         };
-        if (brushSlider) {
-            brushSlider.oninput = () => updateBrushUI(parseInt(brushSlider.value));
-            updateBrushUI(1);
-        }
+        if (brushSlider) brushSlider.oninput = () => state.update({ brushSize: parseInt(brushSlider.value) });
+        state.subscribe(() => { if (this.tools.brush !== shownBrush) updateBrushUI(); });
+        updateBrushUI();
 
         const brushCursor = document.getElementById('brush-cursor');
         const viewport = document.getElementById('viewport');
 
+        // Square brushes use the cursor's own border; other shapes are outlined along the mask's edges on a canvas
+        let outlineKey = null;
+        const outlineCursor = (brush, zoom) => {
+            const key = brush.solid ? 'solid' : `${zoom}:${brush.width}:${brush.bits.join('')}`;
+            if (key === outlineKey) return;
+            outlineKey = key;
+            brushCursor.innerHTML = '';
+            brushCursor.classList.toggle('shaped', !brush.solid);
+            if (brush.solid) return;
+            const outline = document.createElement('canvas');
+            outline.width = brush.width * zoom;
+            outline.height = brush.height * zoom;
+            const ctx = outline.getContext('2d');
+            const on = (x, y) => x >= 0 && y >= 0 && x < brush.width && y < brush.height && brush.bits[y * brush.width + x] === 1;
+            const edge = (x0, y0, x1, y1) => { ctx.moveTo(x0 * zoom, y0 * zoom); ctx.lineTo(x1 * zoom, y1 * zoom); };
+            ctx.beginPath();
+            for (let y = 0; y < brush.height; y++) {
+                for (let x = 0; x < brush.width; x++) {
+                    if (!on(x, y)) continue;
+                    if (!on(x, y - 1)) edge(x, y, x + 1, y);
+                    if (!on(x, y + 1)) edge(x, y + 1, x + 1, y + 1);
+                    if (!on(x - 1, y)) edge(x, y, x, y + 1);
+                    if (!on(x + 1, y)) edge(x + 1, y, x + 1, y + 1);
+                }
+            }
+            // Dark under light, like the square cursor's border and shadow
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.stroke();
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.stroke();
+            brushCursor.appendChild(outline);
+        };
+
         const showCursor = (e) => {
             if (!brushCursor || state.currentTool === 'hand' || state.currentTool === 'eyedropper') {
                 if (brushCursor) brushCursor.style.display = 'none';
                 return;
             }
-            const b = state.brushSize || 1;
+            // Only the brush tools cover more than the pixel under the pointer
+            const brush = (state.currentTool === 'pencil' || state.currentTool === 'eraser') ? this.tools.brush : Brush.mask('square', 1);
             const zoom = Math.max(1, Math.floor(state.zoom));
             const rect = canvas.getBoundingClientRect();
             // Hide if mouse is outside the canvas bounds
@@ -723,55 +7632,94 @@ class App {
                 return;
             }
             const { x, y } = this.viewport.coords.screenToPixel(e, rect);
-            const half = Math.floor(b / 2);
-            const screenX = rect.left + (x - half) * zoom;
-            const screenY = rect.top + (y - half) * zoom;
+            const origin = this.viewport.coords.origin();
+            const screenX = rect.left + (origin.x + x - Math.floor(brush.width / 2)) * zoom;
+            const screenY = rect.top + (origin.y + y - Math.floor(brush.height / 2)) * zoom;
+            outlineCursor(brush, zoom);
             brushCursor.style.display = 'block';
             brushCursor.style.position = 'fixed';
-            brushCursor.style.width = `${b * zoom}px`;
-            brushCursor.style.height = `${b * zoom}px`;
+            brushCursor.style.width = `${brush.width * zoom}px`;
+            brushCursor.style.height = `${brush.height * zoom}px`;
             brushCursor.style.left = `${screenX}px`;
             brushCursor.style.top = `${screenY}px`;
         };
 
-        canvas.addEventListener('mouseenter', () => { if (brushCursor) brushCursor.style.display = 'block'; });
-        canvas.addEventListener('mouseleave', () => { if (brushCursor) brushCursor.style.display = 'none'; });
+        canvas.addEventListener('pointerenter', (e) => { if (brushCursor && e.pointerType !== 'touch') brushCursor.style.display = 'block'; });
+        canvas.addEventListener('pointerleave', () => { if (brushCursor) brushCursor.style.display = 'none'; });
 
-        window.onmousemove = (e) => {
+        window.addEventListener('pointermove', (e) => {
+            if (touches.has(e.pointerId)) {
+                touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                if (pinch) {
+                    if (touches.size === 2) movePinch();
+                    return;
+                }
+            }
             if (state.isPanning) {
-                state.update({ panX: state.panX + e.movementX, panY: state.panY + e.movementY });
+                if (panFrom) state.update({ panX: state.panX + e.clientX - panFrom.x, panY: state.panY + e.clientY - panFrom.y });
+                panFrom = { x: e.clientX, y: e.clientY };
                 if (brushCursor) brushCursor.style.display = 'none';
                 return;
             }
-            const { x, y } = this.viewport.coords.screenToPixel(e, canvas.getBoundingClientRect());
+            const rect = canvas.getBoundingClientRect();
+            if (axisDrag) {
+                if (e.pointerId !== axisDrag.pointerId) return;
+                // Half-pixel steps inside the canvas, like the axis inputs
+                const point = this.viewport.coords.screenToPoint(e, rect);
+                const snap = (v, size) => Math.max(0, Math.min(size, Math.round(v * 2) / 2));
+                const changes = {};
+                if (axisDrag.x) changes.symmetryX = snap(point.x, state.width);
+                if (axisDrag.y) changes.symmetryY = snap(point.y, state.height);
+                state.update(changes);
+                return;
+            }
+            // Over a symmetry guide the cursor shows which way it can be dragged
+            const hover = !state.isDrawing && e.pointerType !== 'touch' && this.viewport.symmetryGrab(e, rect);
+            canvas.classList.toggle('axis-x', !!hover && hover.x && !hover.y);
+            canvas.classList.toggle('axis-y', !!hover && hover.y && !hover.x);
+            canvas.classList.toggle('axis-xy', !!hover && hover.x && hover.y);
+            const { x, y } = this.viewport.coords.screenToPixel(e, rect);
             const coordDisp = document.getElementById('coord-display');
             if (coordDisp) coordDisp.innerText = `${x} : ${y}`;
-            showCursor(e);
-            if (state.isDrawing) {
-                if (this.tools.execute('move', x, y) === 'SHOULD_SAVE_HISTORY') state.saveHistory(this.workCanvas.toDataURL());
+            // Fingers have no hover, so there is nothing for the cursor to follow
+            if (e.pointerType === 'touch' || hover) { if (brushCursor) brushCursor.style.display = 'none'; }
+            else showCursor(e);
+            if (state.isDrawing && e.pointerId === drawingPointer) {
+                // A fast pen delivers several samples per frame; drawing each keeps curves from turning into chords
+                const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+                (samples.length > 0 ? samples : [e]).forEach(sample => {
+                    const point = this.viewport.coords.screenToPixel(sample, rect);
+                    if (this.tools.execute('move', point.x, point.y, { shift: e.shiftKey }) === 'SHOULD_SAVE_HISTORY') this.history.commit();
+                });
                 state.notify();
             }
-        };
+        });
 
-        window.onmouseup = () => {
-            if (this.tools.execute('end') === 'SHOULD_SAVE_HISTORY') state.saveHistory(this.workCanvas.toDataURL());
+        const release = (e) => {
+            if (touches.delete(e.pointerId) && pinch) {
+                if (touches.size > 0) return;
+                // Both fingers down and up again quickly without moving: undo
+                if (!pinch.moved && e.type === 'pointerup' && Date.now() - pinch.time < App.TAP_MS) this.history.undo();
+                pinch = null;
+                return;
+            }
+            if (axisDrag) {
+                if (e.pointerId === axisDrag.pointerId) axisDrag = null;
+                return;
+            }
+            if (drawingPointer !== null && e.pointerId !== drawingPointer) return;
+            drawingPointer = null;
+            panFrom = null;
+            if (this.tools.execute('end') === 'SHOULD_SAVE_HISTORY') this.history.commit();
             state.update({ isPanning: false });
             state.notify();
         };
+        window.addEventListener('pointerup', release);
+        window.addEventListener('pointercancel', release);
 
         this.viewport.viewport.onwheel = (e) => {
             e.preventDefault();
-            const delta = e.deltaY < 0 ? 1.1 : 0.9;
-            const oldZoom = state.zoom;
-            let newZoom = Math.max(1, Math.min(100, state.zoom * delta));
-            const rect = canvas.getBoundingClientRect();
-            const mouseX = e.clientX - rect.left, mouseY = e.clientY - rect.top;
-            const ratio = newZoom / oldZoom;
-            state.update({
-                zoom: newZoom,
-                panX: state.panX - (mouseX * ratio - mouseX),
-                panY: state.panY - (mouseY * ratio - mouseY)
-            });
+            this.viewport.zoomAt(state.zoom * (e.deltaY < 0 ? 1.1 : 0.9), e.clientX, e.clientY);
         };
     }
 }
@@ -0,0 +1,135 @@
+// Checks the pixel-art upscalers on small fixtures, in Node without a browser: node --test tests/
+// app.js is a classic browser script, so it is evaluated in a bare context and PixelScaler read back out of it.
+// The hqx and xBR expectations are FFmpeg's output (its hqx and xbr filters) for the same fixtures.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({ window: {} });
+vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8')}\nglobalThis.PixelScaler = PixelScaler;`, context);
+const { PixelScaler } = context;
+
+const COLORS = { '.': 'e0d8b0', '#': '303040', 'o': 'c04030', '+': 'd0c8a0' };
+
+// An ImageData-shaped image from rows of COLORS keys
+const image = rows => {
+    const width = rows[0].length, height = rows.length;
+    const data = new Uint8ClampedArray(width * height * 4);
+    [...rows.join('')].forEach((key, i) => {
+        const hex = COLORS[key];
+        data.set([0, 2, 4].map(at => parseInt(hex.slice(at, at + 2), 16)).concat(255), i * 4);
+    });
+    return { width, height, data };
+};
+
+// Rows of space-separated rrggbb values, failing on anything not fully opaque
+const hexRows = ({ width, height, data }) => Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => {
+    const i = (y * width + x) * 4;
+    assert.equal(data[i + 3], 255);
+    return [...data.slice(i, i + 3)].map(v => v.toString(16).padStart(2, '0')).join('');
+}).join(' '));
+
+// Rows of COLORS keys, for scalers that only ever copy source pixels
+const keyRows = result => {
+    const keys = Object.fromEntries(Object.entries(COLORS).map(([key, hex]) => [hex, key]));
+    return hexRows(result).map(row => row.split(' ').map(hex => keys[hex]).join(''));
+};
+
+const DIAGONAL = ['#..', '.#.', '..#'];
+const MIXED = ['.#++', '+#.o', 'o.+o', '+oo#'];
+const SMALL = ['#o#', 'o..', '+.+'];
+
+test('scale2x rounds the corners of a diagonal', () => {
+    assert.deepEqual(keyRows(PixelScaler.apply('scale2x', image(DIAGONAL))), [
+        '##....',
+        '#.#...',
+        '.###..',
+        '..###.',
+        '...#.#',
+        '....##'
+    ]);
+});
+
+test('scale3x rounds the corners of a diagonal', () => {
+    assert.deepEqual(keyRows(PixelScaler.apply('scale3x', image(DIAGONAL))), [
+        '###......',
+        '##.#.....',
+        '#..#.....',
+        '.#####...',
+        '...###...',
+        '...#####.',
+        '.....#..#',
+        '.....#.##',
+        '......###'
+    ]);
+});
+
+test('hq2x matches the reference output', () => {
+    assert.deepEqual(hexRows(PixelScaler.apply('hq2x', image(MIXED))), [
+        'e0d8b0 e0d8b0 303040 303040 d0c8a0 d0c8a0 d0c8a0 d0c8a0',
+        'dcd4ac dcd4ac 303040 303040 d4cca4 d4cca4 d4cca4 d0c8a0',
+        'd4cca4 d4cca4 303040 303040 dcd4ac d8d0a8 c3523f c04030',
+        'd0c8a0 d4cca4 45444d 46454e dcd4ac dcd4ac c04030 c04030',
+        'c4624c d2ac8a dcd4ac dcd4ac d8d0a8 d4cca4 c04030 c04030',
+        'c04030 c04030 d8b290 dcd4ac d4cca4 ceb792 c04030 c04030',
+        'd0c8a0 cca684 c6644e c04030 c04030 c04030 42323e 303040',
+        'd0c8a0 d0c8a0 c04030 c04030 c04030 c04030 303040 303040'
+    ]);
+});
+
+test('hq4x matches the reference output', () => {
+    assert.deepEqual(hexRows(PixelScaler.apply('hq4x', image(SMALL))), [
+        '303040 303040 303040 303040 c04030 c04030 c04030 c04030 303040 303040 303040 303040',
+        '303040 303040 303040 303040 c04030 c04030 c04030 c04030 303040 303040 303040 303040',
+        '303040 303040 303040 303040 c04030 c04030 c04030 c04030 303040 303040 303040 303040',
+        '303040 303040 303040 783838 c04030 c04030 c04030 c04030 303040 303040 303040 303040',
+        'c04030 c04030 c04030 c04030 c04030 c04030 c86650 d8b290 e0d8b0 e0d8b0 e0d8b0 e0d8b0',
+        'c04030 c04030 c04030 c04030 c86650 d8b290 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0',
+        'c04030 c04030 c6644e d4ae8c dcd4ac ded6ae e0d8b0 e0d8b0 ded6ae ded6ae ded6ae ded6ae',
+        'c4624c cca684 d6cea6 d8d0a8 dad2aa ded6ae e0d8b0 e0d8b0 dcd4ac dcd4ac dcd4ac dcd4ac',
+        'd0c8a0 d0c8a0 d4cca4 d6cea6 dcd4ac ded6ae ded6ae dcd4ac d8d0a8 d6cea6 d4cca4 d4cca4',
+        'd0c8a0 d0c8a0 d2caa2 d6cea6 dcd4ac ded6ae ded6ae dcd4ac d6cea6 d4cca4 d2caa2 d2caa2',
+        'd0c8a0 d0c8a0 d2caa2 d4cca4 dcd4ac ded6ae ded6ae dcd4ac d4cca4 d2caa2 d0c8a0 d0c8a0',
+        'd0c8a0 d0c8a0 d2caa2 d4cca4 dcd4ac ded6ae ded6ae dcd4ac d4cca4 d2caa2 d0c8a0 d0c8a0'
+    ]);
+});
+
+test('xbr2x matches the reference output', () => {
+    assert.deepEqual(hexRows(PixelScaler.apply('xbr2x', image(MIXED))), [
+        'e0d8b0 e0d8b0 303040 303040 d0c8a0 d0c8a0 d0c8a0 d0c8a0',
+        'e0d8b0 e0d8b0 303040 303040 d0c8a0 d0c8a0 d0c8a0 d0c8a0',
+        'd0c8a0 dcd4ac 303040 5c5a5c d8d0a8 e0d8b0 cca684 c04030',
+        'd0c8a0 d4cca4 807c70 b4ae94 e0d8b0 d8d0a8 c4624c c04030',
+        'c4624c cca684 e0d8b0 e0d8b0 d8d0a8 cca684 c04030 c04030',
+        'c04030 c04030 c7654f cfa987 cca684 c2513e c04030 c04030',
+        'cca684 c2513e c04030 c04030 c04030 c04030 ae3e32 54343c',
+        'd0c8a0 cca684 c04030 c04030 c04030 c04030 54343c 303040'
+    ]);
+});
+
+test('xbr4x matches the reference output', () => {
+    assert.deepEqual(hexRows(PixelScaler.apply('xbr4x', image(SMALL))), [
+        '303040 303040 303040 54343c c04030 c04030 c04030 c04030 303040 303040 303040 303040',
+        '303040 303040 303040 9c3c34 c04030 c04030 c04030 c04030 303040 303040 303040 303040',
+        '303040 303040 54343c c04030 c04030 c04030 c04030 783838 303040 303040 303040 303040',
+        '54343c 9c3c34 c04030 c04030 c04030 c04030 783838 303040 303040 303040 303040 303040',
+        'c04030 c04030 c04030 c04030 c04030 d08c70 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0',
+        'c04030 c04030 c04030 c04030 d08c70 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0',
+        'c04030 c04030 c4624c cca684 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0',
+        'c4624c cca684 d0c8a0 d0c8a0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0',
+        'd0c8a0 d0c8a0 d0c8a0 d0c8a0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 dcd4ac d4cca4',
+        'd0c8a0 d0c8a0 d0c8a0 d0c8a0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 d4cca4 d0c8a0 d0c8a0',
+        'd0c8a0 d0c8a0 d0c8a0 d0c8a0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 dcd4ac d0c8a0 d0c8a0 d0c8a0',
+        'd0c8a0 d0c8a0 d0c8a0 d0c8a0 e0d8b0 e0d8b0 e0d8b0 e0d8b0 d4cca4 d0c8a0 d0c8a0 d0c8a0'
+    ]);
+});
+
+test('hq2x keeps a transparent pixel from bleeding into its opaque neighbours', () => {
+    // Same RGB as the rest, so only the alpha check tells them apart
+    const { width, height, data } = image(['##', '##']);
+    data[3] = 0;
+    const out = PixelScaler.apply('hq2x', { width, height, data }).data;
+    assert.deepEqual([...out.slice(2 * 4, 3 * 4)], [0x30, 0x30, 0x40, 255]);
+});